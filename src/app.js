@@ -5,8 +5,13 @@ const express = require("express");
 const admin = require("firebase-admin");
 const path = require("path");
 const cors = require("cors");
+const authConfig = require("./config/auth.config");
+const { errorHandler } = require("./middleware/error.middleware");
 const app = express();
 
+// Lets req.ip (and so per-IP rate limits) see the client behind a proxy
+app.set("trust proxy", authConfig.trustProxy);
+
 // Middleware for parsing JSON and URL-encoded data
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -31,50 +36,57 @@ app.use(
   })
 );
 
-// Initialize Firebase Admin with environment variables
-try {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, "\n"),
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL,
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${encodeURIComponent(
-      process.env.FIREBASE_CLIENT_EMAIL
-    )}`,
-    universe_domain: "googleapis.com",
-  };
+// Initialize Firebase Admin with environment variables. The in-memory backend
+// (AUTH_BACKEND=memory) keeps users and sessions in process and needs no credentials.
+if (authConfig.backend === "firebase") {
+  try {
+    const serviceAccount = {
+      type: "service_account",
+      project_id: process.env.FIREBASE_PROJECT_ID,
+      private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, "\n"),
+      private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+      client_email: process.env.FIREBASE_CLIENT_EMAIL,
+      client_id: process.env.FIREBASE_CLIENT_ID,
+      auth_uri: "https://accounts.google.com/o/oauth2/auth",
+      token_uri: "https://oauth2.googleapis.com/token",
+      auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
+      client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${encodeURIComponent(
+        process.env.FIREBASE_CLIENT_EMAIL
+      )}`,
+      universe_domain: "googleapis.com",
+    };
 
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
-    storageBucket: `${process.env.FIREBASE_PROJECT_ID}.appspot.com`,
-  });
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
+      storageBucket: `${process.env.FIREBASE_PROJECT_ID}.appspot.com`,
+    });
 
-  console.log("Firebase Admin initialized successfully");
-  console.log(`Project ID: ${process.env.FIREBASE_PROJECT_ID}`);
-} catch (error) {
-  console.error("Error initializing Firebase Admin:", error);
-  process.exit(1);
-}
+    console.log("Firebase Admin initialized successfully");
+    console.log(`Project ID: ${process.env.FIREBASE_PROJECT_ID}`);
+  } catch (error) {
+    console.error("Error initializing Firebase Admin:", error);
+    process.exit(1);
+  }
 
-// Initialize Firestore
-const db = admin.firestore();
-db.settings({ timestampsInSnapshots: true });
+  // Initialize Firestore
+  const db = admin.firestore();
+  db.settings({ timestampsInSnapshots: true });
+} else {
+  console.log("Using the in-memory auth backend; data is lost on restart");
+}
 
 // Import routes
 const authRoutes = require("./routes/auth.routes");
 const mediaRoutes = require("./routes/media.routes");
 const compressRoutes = require("./routes/compress.routes");
+const adminRoutes = require("./routes/admin.routes");
 
 // Use routes
 app.use("/api/auth", authRoutes);
 app.use("/api/media", mediaRoutes);
 app.use("/api/compress", compressRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Base route
 app.get("/", (req, res) => {
@@ -90,4 +102,7 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" });
 });
 
+// Render every error as { success: false, message, error }; must come after the routes
+app.use(errorHandler);
+
 module.exports = app;
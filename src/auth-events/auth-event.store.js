@@ -0,0 +1,29 @@
+/**
+ * Auth event store interface: the `auth_events` audit log of sign-ins,
+ * account changes, failures and rate limit hits.
+ *
+ * Implementations:
+ * - FirestoreAuthEventStore (firestore.auth-event.store.js) writes to the
+ *   `auth_events` collection
+ * - MemoryAuthEventStore (memory.auth-event.store.js) keeps events in process,
+ *   for tests and local development
+ *
+ * @typedef {object} AuthEvent
+ * @property {string|null} uid - The user, null when the request never identified one
+ * @property {string} action - What was attempted, one of AUTH_EVENT_ACTIONS
+ * @property {string} outcome - "success" or "failure"
+ * @property {string|null} errorCode - Error code of a failure
+ * @property {string|null} ipHash - Keyed hash of the client IP
+ * @property {string|null} userAgent - The client's User-Agent header
+ * @property {string} path - The request path
+ * @property {Date} createdAt - When the event happened
+ * @property {Date} expiresAt - When the retention policy removes the event
+ *
+ * @typedef {object} AuthEventStore
+ * @property {function(AuthEvent): Promise<string>} add - Store an event, returns its ID
+ * @property {function(string, {limit: number=}): Promise<Array<AuthEvent & {id: string}>>} listByUid - List a user's most recent events, newest first; all of them without a limit
+ * @property {function(string): Promise<number>} deleteByUid - Delete every event of a user, returns how many were deleted
+ * @property {function(Date, number): Promise<number>} deleteExpired - Delete up to the given number of events expired at the date, returns how many were deleted
+ */
+
+module.exports = {};
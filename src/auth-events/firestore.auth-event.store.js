@@ -0,0 +1,72 @@
+const admin = require("firebase-admin");
+
+const AUTH_EVENTS_COLLECTION = "auth_events";
+
+/**
+ * Turn an event snapshot into a plain object with its ID
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - The snapshot
+ * @returns {object} The event with `id`
+ */
+const toEvent = (doc) => {
+  const { createdAt, expiresAt, ...event } = doc.data();
+  return {
+    ...event,
+    createdAt: createdAt.toDate(),
+    expiresAt: expiresAt.toDate(),
+    id: doc.id,
+  };
+};
+
+/**
+ * AuthEventStore backed by the Firestore `auth_events` collection. Listing a
+ * user's events needs a composite index on `uid` and `createdAt` (descending);
+ * Firestore prints a link to create it on the first query. See
+ * auth-event.store.js for the interface.
+ */
+class FirestoreAuthEventStore {
+  constructor(db = admin.firestore()) {
+    this.db = db;
+    this.events = db.collection(AUTH_EVENTS_COLLECTION);
+  }
+
+  async add(event) {
+    const ref = await this.events.add(event);
+    return ref.id;
+  }
+
+  async listByUid(uid, { limit } = {}) {
+    let query = this.events
+      .where("uid", "==", uid)
+      .orderBy("createdAt", "desc");
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(toEvent);
+  }
+
+  async deleteByUid(uid) {
+    const writer = this.db.bulkWriter();
+    const snapshot = await this.events.where("uid", "==", uid).get();
+    const deletions = snapshot.docs.map((doc) => writer.delete(doc.ref));
+    await Promise.all(deletions);
+    await writer.close();
+    return snapshot.size;
+  }
+
+  async deleteExpired(now, batchSize) {
+    const snapshot = await this.events
+      .where("expiresAt", "<=", now)
+      .limit(batchSize)
+      .get();
+    if (snapshot.empty) return 0;
+
+    const batch = this.db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    return snapshot.size;
+  }
+}
+
+module.exports = FirestoreAuthEventStore;
@@ -0,0 +1,33 @@
+const authConfig = require("../config/auth.config");
+
+let authEventStore = null;
+
+/**
+ * Get the auth event store for the configured backend (AUTH_BACKEND)
+ * @returns {import("./auth-event.store").AuthEventStore} The store
+ */
+const getAuthEventStore = () => {
+  if (!authEventStore) {
+    if (authConfig.backend === "memory") {
+      const MemoryAuthEventStore = require("./memory.auth-event.store");
+      authEventStore = new MemoryAuthEventStore();
+    } else {
+      const FirestoreAuthEventStore = require("./firestore.auth-event.store");
+      authEventStore = new FirestoreAuthEventStore();
+    }
+  }
+  return authEventStore;
+};
+
+/**
+ * Replace the auth event store, e.g. with a fresh in-memory one in tests
+ * @param {import("./auth-event.store").AuthEventStore} store - The store to use
+ */
+const setAuthEventStore = (store) => {
+  authEventStore = store;
+};
+
+module.exports = {
+  getAuthEventStore,
+  setAuthEventStore,
+};
@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+
+/**
+ * AuthEventStore kept entirely in process memory. See auth-event.store.js
+ * for the interface.
+ */
+class MemoryAuthEventStore {
+  constructor() {
+    this.events = new Map();
+  }
+
+  /**
+   * Drop every event, e.g. between tests
+   */
+  clear() {
+    this.events.clear();
+  }
+
+  async add(event) {
+    const id = crypto.randomBytes(10).toString("hex");
+    this.events.set(id, structuredClone(event));
+    return id;
+  }
+
+  async listByUid(uid, { limit } = {}) {
+    return (
+      Array.from(this.events.entries())
+        .filter(([, event]) => event.uid === uid)
+        .map(([id, event]) => ({ ...structuredClone(event), id }))
+        // Latest insertions first among events from the same millisecond
+        .reverse()
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+    );
+  }
+
+  async deleteByUid(uid) {
+    const events = Array.from(this.events.entries()).filter(
+      ([, event]) => event.uid === uid
+    );
+    events.forEach(([id]) => this.events.delete(id));
+    return events.length;
+  }
+
+  async deleteExpired(now, batchSize) {
+    const expired = Array.from(this.events.entries())
+      .filter(([, event]) => event.expiresAt <= now)
+      .slice(0, batchSize);
+    expired.forEach(([id]) => this.events.delete(id));
+    return expired.length;
+  }
+}
+
+module.exports = MemoryAuthEventStore;
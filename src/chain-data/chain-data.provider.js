@@ -0,0 +1,29 @@
+/**
+ * Chain data provider interface: read-only access to on-chain state of EVM
+ * chains, identified by EIP-155 chain ID.
+ *
+ * Implementations:
+ * - RpcChainDataProvider (rpc.chain-data.provider.js) calls the JSON-RPC
+ *   endpoint configured for each chain in CHAIN_RPC_URLS
+ * - FixtureChainDataProvider (fixture.chain-data.provider.js) answers from
+ *   fixtures kept in process, for tests and local development
+ *
+ * @typedef {object} TokenBalanceQuery
+ * @property {number} chainId - EIP-155 chain ID
+ * @property {string} standard - "erc20", "erc721" or "erc1155"
+ * @property {string} contract - Token contract address
+ * @property {string} owner - Holder address
+ * @property {string|null} tokenId - Token ID of an ERC-1155 balance
+ *
+ * @typedef {object} SignatureQuery
+ * @property {number} chainId - EIP-155 chain ID
+ * @property {string} address - Address of the smart-contract wallet
+ * @property {string} hash - 32-byte hash that was signed, hex encoded
+ * @property {string} signature - Hex encoded signature, possibly wrapped for EIP-6492
+ *
+ * @typedef {object} ChainDataProvider
+ * @property {function(TokenBalanceQuery): Promise<bigint>} getTokenBalance - Balance of a holder in the token's base units (the number of tokens held for ERC-721)
+ * @property {function(SignatureQuery): Promise<boolean>} isValidSignature - Whether a smart-contract wallet accepts a signature under EIP-1271, including wallets not deployed yet whose signature is wrapped for EIP-6492
+ */
+
+module.exports = {};
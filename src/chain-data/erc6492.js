@@ -0,0 +1,112 @@
+const { ethers } = require("ethers");
+
+// Suffix that marks an EIP-6492 wrapped signature
+const ERC6492_MAGIC_SUFFIX =
+  "0x6492649264926492649264926492649264926492649264926492649264926492";
+
+// Creation code of the EIP-6492 universal signature validator. Sent as a
+// deployless eth_call with the constructor arguments (address signer,
+// bytes32 hash, bytes signature) appended, its constructor deploys an
+// undeployed wallet through the factory in the wrapped signature, asks the
+// wallet's EIP-1271 isValidSignature (or ecrecovers for plain accounts) and
+// returns a single byte: 0x01 if the signature is valid.
+const ERC6492_VALIDATOR_BYTECODE =
+  "0x608060405234801561001057600080fd5b5060405161069438038061069483398101604081" +
+  "905261002f9161051e565b600061003c848484610048565b9050806000526001601ff35b6000" +
+  "7f64926492649264926492649264926492649264926492649264926492649264926100748361" +
+  "040c565b036101e7576000606080848060200190518101906100929190610577565b60405192" +
+  "955090935091506000906001600160a01b038516906100b69085906105dd565b600060405180" +
+  "8303816000865af19150503d80600081146100f3576040519150601f19603f3d011682016040" +
+  "523d82523d6000602084013e6100f8565b606091505b50509050876001600160a01b03163b60" +
+  "000361016057806101605760405162461bcd60e51b815260206004820152601e60248201527f" +
+  "5369676e617475726556616c696461746f723a206465706c6f796d656e740000604482015260" +
+  "64015b60405180910390fd5b604051630b135d3f60e11b808252906001600160a01b038a1690" +
+  "631626ba7e90610190908b9087906004016105f9565b602060405180830381865afa15801561" +
+  "01ad573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101" +
+  "906101d19190610633565b6001600160e01b03191614945050505050610405565b6001600160" +
+  "a01b0384163b1561027a57604051630b135d3f60e11b808252906001600160a01b0386169063" +
+  "1626ba7e9061022790879087906004016105f9565b602060405180830381865afa1580156102" +
+  "44573d6000803e3d6000fd5b505050506040513d601f19601f82011682018060405250810190" +
+  "6102689190610633565b6001600160e01b031916149050610405565b81516041146102df5760" +
+  "405162461bcd60e51b815260206004820152603a602482015260008051602061067483398151" +
+  "915260448201527f3a20696e76616c6964207369676e6174757265206c656e67746800000000" +
+  "00006064820152608401610157565b6102e7610425565b506020820151604080840151845185" +
+  "9392600091859190811061030c5761030c61065d565b016020015160f81c9050601b81148015" +
+  "9061032b57508060ff16601c14155b1561038c5760405162461bcd60e51b8152602060048201" +
+  "52603b602482015260008051602061067483398151915260448201527f3a20696e76616c6964" +
+  "207369676e617475726520762076616c756500000000006064820152608401610157565b6040" +
+  "8051600081526020810180835289905260ff8316918101919091526060810184905260808101" +
+  "8390526001600160a01b0389169060019060a0016020604051602081039080840390855afa15" +
+  "80156103ea573d6000803e3d6000fd5b505050602060405103516001600160a01b0316149450" +
+  "505050505b9392505050565b600060208251101561041d57600080fd5b508051015190565b60" +
+  "405180606001604052806003906020820280368337509192915050565b6001600160a01b0381" +
+  "16811461045857600080fd5b50565b634e487b7160e01b600052604160045260246000fd5b60" +
+  "005b8381101561048c578181015183820152602001610474565b50506000910152565b600082" +
+  "601f8301126104a657600080fd5b81516001600160401b038111156104bf576104bf61045b56" +
+  "5b604051601f8201601f19908116603f011681016001600160401b03811182821017156104ed" +
+  "576104ed61045b565b60405281815283820160200185101561050557600080fd5b6105168260" +
+  "20830160208701610471565b949350505050565b600080600060608486031215610533576000" +
+  "80fd5b835161053e81610443565b6020850151604086015191945092506001600160401b0381" +
+  "111561056157600080fd5b61056d86828701610495565b9150509250925092565b6000806000" +
+  "6060848603121561058c57600080fd5b835161059781610443565b6020850151909350600160" +
+  "0160401b038111156105b357600080fd5b6105bf86828701610495565b604086015190935090" +
+  "506001600160401b0381111561056157600080fd5b600082516105ef81846020870161047156" +
+  "5b9190910192915050565b828152604060208201526000825180604084015261061e81606085" +
+  "0160208701610471565b601f01601f1916919091016060019392505050565b60006020828403" +
+  "121561064557600080fd5b81516001600160e01b03198116811461040557600080fd5b634e48" +
+  "7b7160e01b600052603260045260246000fdfe5369676e617475726556616c696461746f7223" +
+  "7265636f7665725369676e6572";
+
+/**
+ * Check whether a signature is wrapped for EIP-6492
+ * @param {string} signature - Hex encoded signature
+ * @returns {boolean} True if the signature ends with the EIP-6492 suffix
+ */
+const isErc6492Signature = (signature) =>
+  ethers.isHexString(signature) &&
+  signature.toLowerCase().endsWith(ERC6492_MAGIC_SUFFIX.slice(2));
+
+/**
+ * Wrap a signature of an undeployed wallet for EIP-6492
+ * @param {object} wrapped - The wrapped signature's parts
+ * @param {string} wrapped.factory - Address of the factory that deploys the wallet
+ * @param {string} wrapped.factoryCalldata - Calldata of the deployment call
+ * @param {string} wrapped.signature - The wallet's signature once deployed
+ * @returns {string} The wrapped signature
+ */
+const wrapErc6492Signature = ({ factory, factoryCalldata, signature }) =>
+  ethers.concat([
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "bytes", "bytes"],
+      [factory, factoryCalldata, signature]
+    ),
+    ERC6492_MAGIC_SUFFIX,
+  ]);
+
+/**
+ * Split an EIP-6492 wrapped signature into its parts
+ * @param {string} signature - The wrapped signature
+ * @returns {{factory: string, factoryCalldata: string, signature: string}|null} The parts, or null if the signature is not wrapped or malformed
+ */
+const unwrapErc6492Signature = (signature) => {
+  if (!isErc6492Signature(signature)) return null;
+
+  try {
+    const [factory, factoryCalldata, innerSignature] =
+      ethers.AbiCoder.defaultAbiCoder().decode(
+        ["address", "bytes", "bytes"],
+        ethers.dataSlice(signature, 0, ethers.dataLength(signature) - 32)
+      );
+    return { factory, factoryCalldata, signature: innerSignature };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ERC6492_MAGIC_SUFFIX,
+  ERC6492_VALIDATOR_BYTECODE,
+  isErc6492Signature,
+  wrapErc6492Signature,
+  unwrapErc6492Signature,
+};
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { unwrapErc6492Signature } = require("./erc6492");
+
+/**
+ * Build the key of a fixture. Addresses are compared case-insensitively.
+ * @param {import("./chain-data.provider").TokenBalanceQuery} query - The balance query
+ * @returns {string} The key
+ */
+const balanceKey = ({ chainId, contract, owner, tokenId = null }) =>
+  [
+    chainId,
+    contract.toLowerCase(),
+    tokenId === null ? "" : String(tokenId),
+    owner.toLowerCase(),
+  ].join(":");
+
+/**
+ * Build the key of a smart-contract wallet fixture
+ * @param {number} chainId - EIP-155 chain ID
+ * @param {string} address - Wallet address
+ * @returns {string} The key
+ */
+const walletKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+/**
+ * ChainDataProvider that answers from fixtures instead of a chain. Balances
+ * without a fixture are 0. Smart-contract wallet fixtures accept signatures
+ * from any of their owners, as a 1-of-n multisig would, whether or not the
+ * signature is wrapped for EIP-6492. See chain-data.provider.js for the
+ * interface.
+ */
+class FixtureChainDataProvider {
+  /**
+   * @param {object} fixtures - Initial fixtures
+   * @param {Array<{chainId: number, contract: string, owner: string, tokenId: string=, balance: string|number}>} fixtures.balances - Token balances
+   * @param {Array<{chainId: number, address: string, owners: string[]}>} fixtures.contractWallets - Smart-contract wallets
+   */
+  constructor({ balances = [], contractWallets = [] } = {}) {
+    this.balances = new Map();
+    this.contractWallets = new Map();
+    balances.forEach((entry) => this.setBalance(entry));
+    contractWallets.forEach((entry) => this.setContractWallet(entry));
+  }
+
+  /**
+   * Load fixtures from a JSON file with the constructor's shape
+   * @param {string} file - Path of the file
+   * @returns {FixtureChainDataProvider} The provider
+   */
+  static fromFile(file) {
+    return new FixtureChainDataProvider(
+      JSON.parse(fs.readFileSync(file, "utf8"))
+    );
+  }
+
+  /**
+   * Drop every fixture, e.g. between tests
+   */
+  clear() {
+    this.balances.clear();
+    this.contractWallets.clear();
+  }
+
+  /**
+   * Set the balance a query returns
+   * @param {object} entry - The fixture: a TokenBalanceQuery without `standard`, plus `balance`
+   */
+  setBalance({ balance, ...query }) {
+    this.balances.set(balanceKey(query), BigInt(balance));
+  }
+
+  /**
+   * Register a smart-contract wallet
+   * @param {object} entry - The fixture
+   * @param {number} entry.chainId - EIP-155 chain ID
+   * @param {string} entry.address - Wallet address
+   * @param {string[]} entry.owners - Addresses whose signatures the wallet accepts
+   */
+  setContractWallet({ chainId, address, owners }) {
+    this.contractWallets.set(
+      walletKey(chainId, address),
+      new Set(owners.map((owner) => owner.toLowerCase()))
+    );
+  }
+
+  async getTokenBalance(query) {
+    return this.balances.get(balanceKey(query)) || 0n;
+  }
+
+  async isValidSignature({ chainId, address, hash, signature }) {
+    const owners = this.contractWallets.get(walletKey(chainId, address));
+    if (!owners) return false;
+
+    const wrapped = unwrapErc6492Signature(signature);
+    try {
+      const signer = ethers.recoverAddress(
+        hash,
+        wrapped ? wrapped.signature : signature
+      );
+      return owners.has(signer.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = FixtureChainDataProvider;
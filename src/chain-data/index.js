@@ -0,0 +1,40 @@
+const authConfig = require("../config/auth.config");
+
+let chainDataProvider = null;
+
+/**
+ * Get the chain data provider configured by CHAIN_DATA_PROVIDER
+ * @returns {import("./chain-data.provider").ChainDataProvider} The provider
+ */
+const getChainDataProvider = () => {
+  if (!chainDataProvider) {
+    const { provider, rpcUrls, rpcTimeoutMs, fixturesFile } =
+      authConfig.chainData;
+    if (provider === "fixture") {
+      const FixtureChainDataProvider = require("./fixture.chain-data.provider");
+      chainDataProvider = fixturesFile
+        ? FixtureChainDataProvider.fromFile(fixturesFile)
+        : new FixtureChainDataProvider();
+    } else {
+      const RpcChainDataProvider = require("./rpc.chain-data.provider");
+      chainDataProvider = new RpcChainDataProvider({
+        rpcUrls,
+        timeoutMs: rpcTimeoutMs,
+      });
+    }
+  }
+  return chainDataProvider;
+};
+
+/**
+ * Replace the chain data provider, e.g. with fixtures in tests
+ * @param {import("./chain-data.provider").ChainDataProvider} provider - The provider to use
+ */
+const setChainDataProvider = (provider) => {
+  chainDataProvider = provider;
+};
+
+module.exports = {
+  getChainDataProvider,
+  setChainDataProvider,
+};
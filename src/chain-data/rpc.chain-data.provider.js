@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+const { ERC6492_VALIDATOR_BYTECODE, isErc6492Signature } = require("./erc6492");
+
+const BALANCE_ABIS = {
+  erc20: ["function balanceOf(address owner) view returns (uint256)"],
+  erc721: ["function balanceOf(address owner) view returns (uint256)"],
+  erc1155: [
+    "function balanceOf(address owner, uint256 id) view returns (uint256)",
+  ],
+};
+
+const ERC1271 = new ethers.Interface([
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+]);
+
+// Value isValidSignature returns for a valid signature
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+/**
+ * ChainDataProvider that reads from the JSON-RPC endpoint of each chain. See
+ * chain-data.provider.js for the interface.
+ */
+class RpcChainDataProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {Object<string, string>} options.rpcUrls - RPC URLs by chain ID
+   * @param {number} options.timeoutMs - Timeout of each RPC request
+   */
+  constructor({ rpcUrls = {}, timeoutMs = 5000 } = {}) {
+    this.rpcUrls = rpcUrls;
+    this.timeoutMs = timeoutMs;
+    this.providers = new Map();
+  }
+
+  /**
+   * Get the ethers provider of a chain, connecting on first use
+   * @param {number} chainId - EIP-155 chain ID
+   * @returns {import("ethers").JsonRpcProvider} The provider
+   */
+  getProvider(chainId) {
+    if (!this.providers.has(chainId)) {
+      const url = this.rpcUrls[chainId];
+      if (!url) {
+        throw new Error(`No RPC URL configured for chain ${chainId}`);
+      }
+
+      const request = new ethers.FetchRequest(url);
+      request.timeout = this.timeoutMs;
+      // The chain is known, so skip ethers' network detection on every start
+      this.providers.set(
+        chainId,
+        new ethers.JsonRpcProvider(request, chainId, { staticNetwork: true })
+      );
+    }
+    return this.providers.get(chainId);
+  }
+
+  async getTokenBalance({
+    chainId,
+    standard,
+    contract,
+    owner,
+    tokenId = null,
+  }) {
+    const token = new ethers.Contract(
+      contract,
+      BALANCE_ABIS[standard],
+      this.getProvider(chainId)
+    );
+
+    return standard === "erc1155"
+      ? token.balanceOf(owner, tokenId)
+      : token.balanceOf(owner);
+  }
+
+  async isValidSignature({ chainId, address, hash, signature }) {
+    const provider = this.getProvider(chainId);
+
+    try {
+      if (isErc6492Signature(signature)) {
+        // Deployless call of the universal validator, which handles both
+        // deployed and counterfactual wallets without sending a transaction
+        const result = await provider.call({
+          data: ethers.concat([
+            ERC6492_VALIDATOR_BYTECODE,
+            ethers.AbiCoder.defaultAbiCoder().encode(
+              ["address", "bytes32", "bytes"],
+              [address, hash, signature]
+            ),
+          ]),
+        });
+        return result !== "0x" && BigInt(result) === 1n;
+      }
+
+      // An address without code answers with empty data, which is not valid
+      const result = await provider.call({
+        to: address,
+        data: ERC1271.encodeFunctionData("isValidSignature", [hash, signature]),
+      });
+      return result.slice(0, 10).toLowerCase() === ERC1271_MAGIC_VALUE;
+    } catch (error) {
+      // A reverting wallet or validator rejects the signature
+      if (ethers.isError(error, "CALL_EXCEPTION")) return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = RpcChainDataProvider;
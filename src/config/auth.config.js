@@ -0,0 +1,418 @@
+// Load environment variables if not already loaded
+require("dotenv").config();
+
+const path = require("path");
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value: "true", a number of
+ * proxy hops, or a list of trusted addresses and subnets
+ * @param {string|undefined} value - The TRUST_PROXY value
+ * @returns {boolean|number|string} The setting
+ */
+const parseTrustProxy = (value) => {
+  if (!value) return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+/**
+ * Parse a comma-separated list, e.g. MERGE_FIELDS=favorites,settings
+ * @param {string|undefined} value - The list
+ * @returns {string[]} The non-empty entries
+ */
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// Scopes a rate limit rule can count hits by: the client IP, the wallet address
+// in the request body or path, and the authenticated user
+const RATE_LIMIT_SCOPES = ["ip", "wallet", "uid"];
+
+// Rate limit rules by name. Each scope allows `limit` hits per `windowSeconds`.
+const DEFAULT_RATE_LIMITS = {
+  // Sign-in and sign-up: /authenticate, /wallet/verify, /anonymous, /wallet/connect
+  authenticate: {
+    ip: { limit: 10, windowSeconds: 60 },
+    wallet: { limit: 10, windowSeconds: 60 },
+  },
+  walletNonce: {
+    ip: { limit: 30, windowSeconds: 60 },
+    wallet: { limit: 10, windowSeconds: 60 },
+  },
+  // Public lookups that could be used to enumerate usernames and wallets
+  lookup: {
+    ip: { limit: 60, windowSeconds: 60 },
+  },
+  media: {
+    ip: { limit: 30, windowSeconds: 60 },
+    uid: { limit: 30, windowSeconds: 60 },
+  },
+  compress: {
+    ip: { limit: 5, windowSeconds: 600 },
+    uid: { limit: 5, windowSeconds: 600 },
+  },
+};
+
+/**
+ * Merge rate limit overrides from RATE_LIMITS (JSON) into the default rules.
+ * Overrides replace whole scopes, e.g. {"lookup": {"ip": {"limit": 10, "windowSeconds": 60}}};
+ * a rule or a scope set to null is disabled.
+ * @param {string|undefined} value - The RATE_LIMITS value
+ * @returns {object} The rules by name
+ */
+const parseRateLimits = (value) => {
+  const isObject = (entry) =>
+    !!entry && typeof entry === "object" && !Array.isArray(entry);
+
+  const overrides = value ? JSON.parse(value) : {};
+  if (!isObject(overrides)) {
+    throw new Error("RATE_LIMITS must be a JSON object of rules by name");
+  }
+  const rules = { ...DEFAULT_RATE_LIMITS };
+
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!(name in DEFAULT_RATE_LIMITS)) {
+      throw new Error(
+        `RATE_LIMITS: ${name} is not a rule; use ${Object.keys(
+          DEFAULT_RATE_LIMITS
+        ).join(", ")}`
+      );
+    }
+    if (override === null) {
+      delete rules[name];
+      continue;
+    }
+    if (!isObject(override)) {
+      throw new Error(
+        `RATE_LIMITS: ${name} must be an object of scopes, or null to disable the rule`
+      );
+    }
+
+    const rule = { ...rules[name] };
+    for (const [scope, scopeRule] of Object.entries(override)) {
+      if (!RATE_LIMIT_SCOPES.includes(scope)) {
+        throw new Error(
+          `RATE_LIMITS: ${name}.${scope} is not a scope; use ${RATE_LIMIT_SCOPES.join(
+            ", "
+          )}`
+        );
+      }
+      if (scopeRule === null) {
+        delete rule[scope];
+        continue;
+      }
+      if (
+        !isObject(scopeRule) ||
+        !(scopeRule.limit > 0) ||
+        !(scopeRule.windowSeconds > 0)
+      ) {
+        throw new Error(
+          `RATE_LIMITS: ${name}.${scope} needs a positive limit and windowSeconds, or null to disable the scope`
+        );
+      }
+      rule[scope] = scopeRule;
+    }
+    rules[name] = rule;
+  }
+  return rules;
+};
+
+// Event types a webhook subscription can receive; "*" subscribes to all of them
+const WEBHOOK_EVENT_TYPES = [
+  "user.created",
+  "wallet.linked",
+  "username.changed",
+  "user.deleted",
+];
+
+/**
+ * Parse webhook subscriptions from WEBHOOKS (JSON), e.g.
+ * [{"id": "crm", "url": "https://crm.example.com/hooks/auth", "secret": "…", "events": ["user.created"]}]
+ * @param {string|undefined} value - The WEBHOOKS value
+ * @returns {Array<{id: string, url: string, secret: string, events: string[]}>} The subscriptions
+ */
+const parseWebhooks = (value) => {
+  const subscriptions = value ? JSON.parse(value) : [];
+  if (!Array.isArray(subscriptions)) {
+    throw new Error("WEBHOOKS must be a JSON array of subscriptions");
+  }
+
+  const ids = new Set();
+  for (const { id, url, secret, events } of subscriptions) {
+    if (!id || typeof id !== "string" || ids.has(id)) {
+      throw new Error("WEBHOOKS: every subscription needs a unique string id");
+    }
+    ids.add(id);
+    if (!/^https?:\/\//.test(url || "")) {
+      throw new Error(`WEBHOOKS: ${id}.url must be an http or https URL`);
+    }
+    if (!secret || typeof secret !== "string") {
+      throw new Error(`WEBHOOKS: ${id}.secret is required`);
+    }
+    if (
+      !Array.isArray(events) ||
+      !events.length ||
+      !events.every(
+        (event) => event === "*" || WEBHOOK_EVENT_TYPES.includes(event)
+      )
+    ) {
+      throw new Error(
+        `WEBHOOKS: ${id}.events must list "*" or any of ${WEBHOOK_EVENT_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+  }
+  return subscriptions;
+};
+
+// Token standards a token gate rule can check balances of
+const TOKEN_GATE_STANDARDS = ["erc20", "erc721", "erc1155"];
+
+/**
+ * Parse JSON-RPC endpoints from CHAIN_RPC_URLS (JSON), keyed by EIP-155 chain
+ * ID, e.g. {"1": "https://eth.example.com", "8453": "https://base.example.com"}
+ * @param {string|undefined} value - The CHAIN_RPC_URLS value
+ * @returns {Object<string, string>} RPC URLs by chain ID
+ */
+const parseRpcUrls = (value) => {
+  const urls = value ? JSON.parse(value) : {};
+  for (const [chainId, url] of Object.entries(urls)) {
+    if (!/^\d+$/.test(chainId) || !/^https?:\/\//.test(url)) {
+      throw new Error(
+        `CHAIN_RPC_URLS: ${chainId} needs a numeric chain ID and an http or https URL`
+      );
+    }
+  }
+  return urls;
+};
+
+/**
+ * Parse token gate rules from TOKEN_GATES (JSON), e.g.
+ * [{"id": "genesis", "standard": "erc721", "chainId": 1, "contract": "0x…", "minBalance": "1"}]
+ * `minBalance` is in the token's base units and defaults to 1; ERC-1155 rules
+ * also name a `tokenId`.
+ * @param {string|undefined} value - The TOKEN_GATES value
+ * @returns {Array<{id: string, standard: string, chainId: number, contract: string, tokenId: string|null, minBalance: bigint}>} The rules
+ */
+const parseTokenGates = (value) => {
+  const rules = value ? JSON.parse(value) : [];
+  if (!Array.isArray(rules)) {
+    throw new Error("TOKEN_GATES must be a JSON array of rules");
+  }
+
+  const ids = new Set();
+  return rules.map(
+    ({ id, standard, chainId, contract, tokenId = null, minBalance = 1 }) => {
+      // Ids end up in every token's custom claims, which must stay small
+      if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(id || "") || ids.has(id)) {
+        throw new Error(
+          "TOKEN_GATES: every rule needs a unique id of up to 32 lowercase letters, digits, '_' or '-'"
+        );
+      }
+      ids.add(id);
+      if (!TOKEN_GATE_STANDARDS.includes(standard)) {
+        throw new Error(
+          `TOKEN_GATES: ${id}.standard must be one of ${TOKEN_GATE_STANDARDS.join(
+            ", "
+          )}`
+        );
+      }
+      if (!Number.isInteger(chainId) || chainId <= 0) {
+        throw new Error(
+          `TOKEN_GATES: ${id}.chainId must be a positive integer`
+        );
+      }
+      if (!/^0x[0-9a-fA-F]{40}$/.test(contract || "")) {
+        throw new Error(`TOKEN_GATES: ${id}.contract must be an EVM address`);
+      }
+      if ((standard === "erc1155") !== (tokenId !== null)) {
+        throw new Error(
+          `TOKEN_GATES: ${id}.tokenId is required for erc1155 rules and only allowed for them`
+        );
+      }
+      if (!/^\d+$/.test(String(minBalance)) || BigInt(minBalance) <= 0n) {
+        throw new Error(
+          `TOKEN_GATES: ${id}.minBalance must be a positive integer`
+        );
+      }
+      return {
+        id,
+        standard,
+        chainId,
+        contract: contract.toLowerCase(),
+        tokenId: tokenId === null ? null : String(tokenId),
+        minBalance: BigInt(minBalance),
+      };
+    }
+  );
+};
+
+const authConfig = {
+  // Storage and identity backend: "firebase" (Firestore and Firebase Auth) or
+  // "memory", which keeps everything in process for tests and local development
+  backend: process.env.AUTH_BACKEND === "memory" ? "memory" : "firebase",
+
+  // Wallet sign-in message settings shared by every chain family
+  signIn: {
+    // Domain and URI the client is expected to be served from
+    domain: process.env.SIWE_DOMAIN || `localhost:${process.env.PORT || 3589}`,
+    uri: process.env.SIWE_URI || `http://localhost:${process.env.PORT || 3589}`,
+    statement:
+      process.env.SIWE_STATEMENT || "Sign in to Web3 Auth with your wallet.",
+  },
+
+  // Sign-In with Ethereum (EIP-4361) default EIP-155 chain
+  siwe: {
+    chainId: toInt(process.env.SIWE_CHAIN_ID, 1),
+  },
+
+  // Sign-In with Solana default cluster
+  siws: {
+    chainId: process.env.SIWS_CHAIN_ID || "mainnet",
+  },
+
+  // How long an issued nonce stays valid before it must be signed
+  nonceTtlSeconds: toInt(process.env.AUTH_NONCE_TTL_SECONDS, 300),
+
+  // Allows wallet authentication by address only, without a signature.
+  // Never enable this in production: anyone who knows an address can log in.
+  allowInsecureWalletAuth: process.env.ALLOW_INSECURE_WALLET_AUTH === "true",
+
+  // Username policy
+  username: {
+    minLength: toInt(process.env.USERNAME_MIN_LENGTH, 3),
+    maxLength: toInt(process.env.USERNAME_MAX_LENGTH, 24),
+    // Unicode-aware pattern every normalized username must match. The default
+    // allows letters, digits, '_', '.' and '-', starting and ending with a
+    // letter or digit.
+    allowedPattern: new RegExp(
+      process.env.USERNAME_ALLOWED_PATTERN ||
+        "^[\\p{L}\\p{N}](?:[\\p{L}\\p{N}_.-]*[\\p{L}\\p{N}])?$",
+      "u"
+    ),
+    // JSON file with `reserved` (exact names) and `blocked` (substrings) lists
+    listsFile:
+      process.env.USERNAME_LISTS_FILE ||
+      path.join(__dirname, "username-lists.json"),
+    // Minimum number of days between two username changes by the same user
+    changeCooldownDays: toInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS, 30),
+    // Days a released username keeps resolving to its previous owner before
+    // anyone else can claim it
+    holdDays: toInt(process.env.USERNAME_HOLD_DAYS, 30),
+  },
+
+  // Usernames that are ENS (.eth) or SNS (.sol) names can only be claimed by
+  // an account with a linked wallet whose reverse record is that name
+  nameResolution: {
+    // "onchain" (ENS through the CHAIN_RPC_URLS endpoint of ensChainId for
+    // EVM wallets, SNS through snsRpcUrl for Solana wallets) or "fixture",
+    // which answers from a JSON file for tests and local development and is
+    // the default with the memory backend
+    resolver:
+      process.env.NAME_RESOLVER ||
+      (process.env.AUTH_BACKEND === "memory" ? "fixture" : "onchain"),
+    ensChainId: toInt(process.env.ENS_CHAIN_ID, 1),
+    snsRpcUrl: process.env.SNS_RPC_URL || "https://api.mainnet-beta.solana.com",
+    // JSON file with the fixture resolver's `names` by wallet address
+    fixturesFile: process.env.NAME_RESOLVER_FIXTURES_FILE || null,
+    // Users re-verified per batch
+    batchSize: toInt(process.env.NAME_REVERIFY_BATCH_SIZE, 100),
+    // Re-verify claimed names in the server process every N hours; 0 disables it
+    reverifyIntervalHours: toInt(process.env.NAME_REVERIFY_INTERVAL_HOURS, 0),
+  },
+
+  // User document fields holding data the user created, which move to the
+  // wallet account when an anonymous account is merged into it. Nothing else
+  // on the anonymous document is copied.
+  mergeFields: parseList(process.env.MERGE_FIELDS),
+
+  // Days a deleted account can still be restored before it is purged.
+  // 0 deletes accounts immediately.
+  accountDeletionGraceDays: toInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 0),
+
+  // Removal of anonymous users that never picked a username or linked a wallet
+  anonymousCleanup: {
+    // Days since `lastActive` after which such a user is deleted
+    maxAgeDays: toInt(process.env.ANON_CLEANUP_MAX_AGE_DAYS, 30),
+    // Users read and deleted per batch
+    batchSize: toInt(process.env.ANON_CLEANUP_BATCH_SIZE, 200),
+    // Run the cleanup in the server process every N hours; 0 disables it
+    intervalHours: toInt(process.env.ANON_CLEANUP_INTERVAL_HOURS, 0),
+  },
+
+  // Require a Firebase ID token on the media and compression routers
+  requireAuthForMedia: process.env.REQUIRE_AUTH_MEDIA === "true",
+  requireAuthForCompress: process.env.REQUIRE_AUTH_COMPRESS === "true",
+
+  // Per-route rate limits. Counters live in process ("memory") or in a Redis
+  // compatible server ("redis"), which shares them between server instances.
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    store: process.env.RATE_LIMIT_STORE === "redis" ? "redis" : "memory",
+    redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    keyPrefix: process.env.RATE_LIMIT_KEY_PREFIX || "ratelimit:",
+    rules: parseRateLimits(process.env.RATE_LIMITS),
+  },
+
+  // Audit log of sign-ins, account changes, failures and rate limit hits
+  authEvents: {
+    enabled: process.env.AUTH_EVENTS_ENABLED !== "false",
+    // Key of the HMAC that stands in for client IPs. Without it a random key
+    // is used, so hashes cannot be compared across restarts or instances.
+    ipHashKey: process.env.AUTH_EVENTS_IP_HASH_KEY || null,
+    // Days an event is kept. Stored as `expiresAt`, which a Firestore TTL
+    // policy or the purge job uses to remove it.
+    retentionDays: toInt(process.env.AUTH_EVENTS_RETENTION_DAYS, 90),
+    // Run the purge in the server process every N hours; 0 disables it
+    purgeIntervalHours: toInt(process.env.AUTH_EVENTS_PURGE_INTERVAL_HOURS, 0),
+  },
+
+  // Webhooks that POST signed JSON events to other services. Deliveries are
+  // queued in a durable outbox and retried with exponential backoff.
+  webhooks: {
+    subscriptions: parseWebhooks(process.env.WEBHOOKS),
+    // Attempts before a delivery is marked failed (it can still be replayed)
+    maxAttempts: toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    timeoutMs: toInt(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+    // Send due deliveries from the server process every N seconds; 0 disables it
+    dispatchIntervalSeconds: toInt(
+      process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+      10
+    ),
+  },
+
+  // Reads of on-chain state: "rpc" (JSON-RPC endpoints per chain) or
+  // "fixture", which serves balances from a JSON file for tests and local
+  // development and is the default with the memory backend
+  chainData: {
+    provider:
+      process.env.CHAIN_DATA_PROVIDER ||
+      (process.env.AUTH_BACKEND === "memory" ? "fixture" : "rpc"),
+    rpcUrls: parseRpcUrls(process.env.CHAIN_RPC_URLS),
+    rpcTimeoutMs: toInt(process.env.CHAIN_RPC_TIMEOUT_MS, 5000),
+    // JSON file with the fixture provider's `balances`
+    fixturesFile: process.env.CHAIN_DATA_FIXTURES_FILE || null,
+  },
+
+  // Token gate rules evaluated against the user's linked EVM wallets at sign-in.
+  // The ids of the rules a user passes are embedded in the token as `gates`.
+  tokenGates: {
+    rules: parseTokenGates(process.env.TOKEN_GATES),
+    // Seconds a balance read is reused before the chain is asked again
+    cacheTtlSeconds: toInt(process.env.TOKEN_GATE_CACHE_TTL_SECONDS, 300),
+  },
+
+  // Express "trust proxy" setting. Behind a load balancer this must be set
+  // (e.g. 1 for one proxy hop) so per-IP limits see the client's address.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+};
+
+module.exports = authConfig;
@@ -0,0 +1,97 @@
+const admin = require("firebase-admin");
+
+/**
+ * Convert a Firebase UserRecord to the provider-neutral shape
+ * @param {import("firebase-admin/auth").UserRecord} record - The Firebase user
+ * @returns {import("./identity.provider").IdentityUser} The user
+ */
+const toIdentityUser = (record) => ({
+  uid: record.uid,
+  disabled: record.disabled,
+  customClaims: record.customClaims || null,
+  metadata: {
+    creationTime: record.metadata.creationTime,
+    lastSignInTime: record.metadata.lastSignInTime || null,
+    lastRefreshTime: record.metadata.lastRefreshTime || null,
+  },
+  tokensValidAfterTime: record.tokensValidAfterTime || null,
+  providerData: record.providerData.map(({ providerId }) => ({ providerId })),
+});
+
+// Firebase Auth looks up at most 100 users per getUsers call
+const MAX_LOOKUP = 100;
+
+/**
+ * IdentityProvider backed by Firebase Auth. See identity.provider.js for the
+ * interface.
+ */
+class FirebaseIdentityProvider {
+  constructor(auth = admin.auth()) {
+    this.auth = auth;
+  }
+
+  async createUser(properties = {}) {
+    const record = await this.auth.createUser(properties);
+    return { uid: record.uid };
+  }
+
+  async getUser(uid) {
+    try {
+      return toIdentityUser(await this.auth.getUser(uid));
+    } catch (error) {
+      if (error.code === "auth/user-not-found") return null;
+      throw error;
+    }
+  }
+
+  async getUsers(uids) {
+    const users = [];
+    for (let i = 0; i < uids.length; i += MAX_LOOKUP) {
+      const result = await this.auth.getUsers(
+        uids.slice(i, i + MAX_LOOKUP).map((uid) => ({ uid }))
+      );
+      users.push(...result.users.map(toIdentityUser));
+    }
+    return users;
+  }
+
+  async updateUser(uid, properties) {
+    await this.auth.updateUser(uid, properties);
+  }
+
+  async deleteUser(uid) {
+    try {
+      await this.auth.deleteUser(uid);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") throw error;
+    }
+  }
+
+  async deleteUsers(uids) {
+    const result = await this.auth.deleteUsers(uids);
+    return {
+      // Missing users count as deleted, e.g. after an interrupted cleanup
+      errors: result.errors.filter(
+        ({ error }) => error.code !== "auth/user-not-found"
+      ),
+    };
+  }
+
+  async createCustomToken(uid, claims) {
+    return this.auth.createCustomToken(uid, claims);
+  }
+
+  async verifyIdToken(idToken) {
+    return this.auth.verifyIdToken(idToken);
+  }
+
+  async revokeRefreshTokens(uid) {
+    await this.auth.revokeRefreshTokens(uid);
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    await this.auth.setCustomUserClaims(uid, claims);
+  }
+}
+
+module.exports = FirebaseIdentityProvider;
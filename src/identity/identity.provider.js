@@ -0,0 +1,31 @@
+/**
+ * Identity provider interface: the accounts that can sign in and the tokens
+ * they sign in with.
+ *
+ * Implementations:
+ * - FirebaseIdentityProvider (firebase.identity.provider.js) wraps Firebase Auth
+ * - MemoryIdentityProvider (memory.identity.provider.js) keeps accounts in
+ *   process and signs its own tokens, for tests and local development
+ *
+ * @typedef {object} IdentityUser
+ * @property {string} uid - The user ID
+ * @property {boolean} disabled - Whether sign-in is disabled
+ * @property {object|null} customClaims - Custom token claims
+ * @property {{creationTime: string, lastSignInTime: string|null, lastRefreshTime: string|null}} metadata - Account activity times
+ * @property {string|null} tokensValidAfterTime - Tokens issued before this time are revoked
+ * @property {Array<{providerId: string}>} providerData - Linked sign-in providers
+ *
+ * @typedef {object} IdentityProvider
+ * @property {function(object=): Promise<{uid: string}>} createUser - Create an account
+ * @property {function(string): Promise<IdentityUser|null>} getUser - Read an account, null if it does not exist
+ * @property {function(string[]): Promise<IdentityUser[]>} getUsers - Read the accounts that exist among the uids
+ * @property {function(string, {disabled: boolean}): Promise<void>} updateUser - Update account properties; a disabled account cannot sign in
+ * @property {function(string): Promise<void>} deleteUser - Delete an account; missing accounts are ignored
+ * @property {function(string[]): Promise<{errors: Array<{index: number, error: Error}>}>} deleteUsers - Delete accounts in bulk
+ * @property {function(string, object=): Promise<string>} createCustomToken - Mint a sign-in token for an account
+ * @property {function(string): Promise<object>} verifyIdToken - Verify an ID token and return its decoded claims (`uid`, `auth_time`, custom claims)
+ * @property {function(string): Promise<void>} revokeRefreshTokens - Revoke every refresh token of an account
+ * @property {function(string, object|null): Promise<void>} setCustomUserClaims - Replace the custom claims of an account
+ */
+
+module.exports = {};
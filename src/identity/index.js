@@ -0,0 +1,33 @@
+const authConfig = require("../config/auth.config");
+
+let identityProvider = null;
+
+/**
+ * Get the identity provider for the configured backend (AUTH_BACKEND)
+ * @returns {import("./identity.provider").IdentityProvider} The provider
+ */
+const getIdentityProvider = () => {
+  if (!identityProvider) {
+    if (authConfig.backend === "memory") {
+      const MemoryIdentityProvider = require("./memory.identity.provider");
+      identityProvider = new MemoryIdentityProvider();
+    } else {
+      const FirebaseIdentityProvider = require("./firebase.identity.provider");
+      identityProvider = new FirebaseIdentityProvider();
+    }
+  }
+  return identityProvider;
+};
+
+/**
+ * Replace the identity provider, e.g. with a fresh in-memory one in tests
+ * @param {import("./identity.provider").IdentityProvider} provider - The provider to use
+ */
+const setIdentityProvider = (provider) => {
+  identityProvider = provider;
+};
+
+module.exports = {
+  getIdentityProvider,
+  setIdentityProvider,
+};
@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+
+// Lifetime of the ID tokens minted here, matching Firebase ID tokens
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const toBase64Url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * IdentityProvider kept entirely in process memory. Custom tokens double as
+ * ID tokens: there is no client SDK to exchange them with, so a token from
+ * createCustomToken can be sent straight back as `Authorization: Bearer`.
+ * Tokens are HMAC-signed with a per-instance secret and expire after an hour.
+ * See identity.provider.js for the interface.
+ */
+class MemoryIdentityProvider {
+  constructor() {
+    this.secret = crypto.randomBytes(32);
+    this.users = new Map();
+  }
+
+  /**
+   * Drop every account, e.g. between tests
+   */
+  clear() {
+    this.users.clear();
+  }
+
+  sign(payload) {
+    const body = toBase64Url(JSON.stringify(payload));
+    const signature = crypto
+      .createHmac("sha256", this.secret)
+      .update(body)
+      .digest("base64url");
+    return `${body}.${signature}`;
+  }
+
+  async createUser({ uid = crypto.randomBytes(14).toString("hex") } = {}) {
+    if (this.users.has(uid)) {
+      const error = new Error("The user with the provided uid already exists.");
+      error.code = "auth/uid-already-exists";
+      throw error;
+    }
+
+    this.users.set(uid, {
+      uid,
+      disabled: false,
+      customClaims: null,
+      metadata: {
+        creationTime: new Date().toUTCString(),
+        lastSignInTime: null,
+        lastRefreshTime: null,
+      },
+      tokensValidAfterTime: null,
+      providerData: [],
+    });
+    return { uid };
+  }
+
+  async getUser(uid) {
+    return this.users.has(uid) ? structuredClone(this.users.get(uid)) : null;
+  }
+
+  async getUsers(uids) {
+    return uids
+      .filter((uid) => this.users.has(uid))
+      .map((uid) => structuredClone(this.users.get(uid)));
+  }
+
+  async updateUser(uid, { disabled }) {
+    const user = this.users.get(uid);
+    if (!user) {
+      const error = new Error(
+        "There is no user record corresponding to the provided identifier."
+      );
+      error.code = "auth/user-not-found";
+      throw error;
+    }
+
+    if (disabled !== undefined) {
+      user.disabled = disabled;
+    }
+  }
+
+  async deleteUser(uid) {
+    this.users.delete(uid);
+  }
+
+  async deleteUsers(uids) {
+    uids.forEach((uid) => this.users.delete(uid));
+    return { errors: [] };
+  }
+
+  async createCustomToken(uid, claims = {}) {
+    const user = this.users.get(uid);
+    if (!user) {
+      const error = new Error(
+        "There is no user record corresponding to the provided identifier."
+      );
+      error.code = "auth/user-not-found";
+      throw error;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    user.metadata.lastSignInTime = new Date(now * 1000).toUTCString();
+
+    return this.sign({
+      ...(user.customClaims || {}),
+      ...claims,
+      uid,
+      auth_time: now,
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+    });
+  }
+
+  async verifyIdToken(idToken) {
+    const [body, signature] = String(idToken).split(".");
+    const expected = body
+      ? crypto.createHmac("sha256", this.secret).update(body).digest()
+      : null;
+    const provided = Buffer.from(signature || "", "base64url");
+
+    if (
+      !expected ||
+      provided.length !== expected.length ||
+      !crypto.timingSafeEqual(provided, expected)
+    ) {
+      const error = new Error("Invalid ID token");
+      error.code = "auth/argument-error";
+      throw error;
+    }
+
+    const decoded = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (decoded.exp <= Math.floor(Date.now() / 1000)) {
+      const error = new Error("ID token has expired");
+      error.code = "auth/id-token-expired";
+      throw error;
+    }
+
+    const user = this.users.get(decoded.uid);
+    if (!user || user.disabled) {
+      const error = new Error("The user record is missing or disabled");
+      error.code = user ? "auth/user-disabled" : "auth/user-not-found";
+      throw error;
+    }
+
+    user.metadata.lastRefreshTime = new Date().toUTCString();
+    return decoded;
+  }
+
+  async revokeRefreshTokens(uid) {
+    const user = this.users.get(uid);
+    if (!user) return;
+
+    // Firebase keeps this at second precision
+    user.tokensValidAfterTime = new Date(
+      Math.floor(Date.now() / 1000) * 1000
+    ).toUTCString();
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    const user = this.users.get(uid);
+    if (user) {
+      user.customClaims = claims ? { ...claims } : null;
+    }
+  }
+}
+
+module.exports = MemoryIdentityProvider;
@@ -0,0 +1,27 @@
+const { recordAuthEvent } = require("../utils/auth-event.utils");
+
+/**
+ * Build middleware that records an auth event once the response is sent.
+ * The outcome follows the status code and the error code is the one the
+ * error middleware rendered. Handlers can refine the event through
+ * `res.locals.authEvent`, e.g. `{uid, action: "sign_up"}` after a sign-in
+ * that created the account.
+ * @param {string} action - The action, one of AUTH_EVENT_ACTIONS
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const auditAuthEvent = (action) => (req, res, next) => {
+  res.on("finish", () => {
+    const event = res.locals.authEvent || {};
+    recordAuthEvent(req, {
+      action: event.action || action,
+      uid: event.uid || (req.user ? req.user.uid : null),
+      outcome: res.statusCode < 400 ? "success" : "failure",
+      errorCode: res.locals.errorCode || null,
+    });
+  });
+  next();
+};
+
+module.exports = {
+  auditAuthEvent,
+};
@@ -0,0 +1,137 @@
+const logger = require("../utils/logger");
+const authUtils = require("../utils/auth.utils");
+const { getIdentityProvider } = require("../identity");
+const { AuthenticationError, ForbiddenError } = require("../utils/errors");
+const { getUserRole, hasRole } = require("../utils/role.utils");
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {import("express").Request} req - The request
+ * @returns {string|null} The token or null if missing
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Require a valid Firebase ID token from a session that has not been logged
+ * out, and attach the decoded token to `req.user`
+ */
+const requireAuth = async (req, res, next) => {
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    return next(
+      new AuthenticationError(
+        "Authorization header with a Firebase ID token is required",
+        "MISSING_AUTH_TOKEN"
+      )
+    );
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await getIdentityProvider().verifyIdToken(idToken);
+  } catch (error) {
+    logger.warn(`Rejected Firebase ID token: ${error.code || error.message}`);
+    return next(
+      new AuthenticationError(
+        "Invalid or expired authentication token",
+        "INVALID_AUTH_TOKEN"
+      )
+    );
+  }
+
+  try {
+    // Tokens stay cryptographically valid until they expire, so logout is enforced here
+    if (await authUtils.isSessionRevoked(decodedToken)) {
+      return next(
+        new AuthenticationError(
+          "This session has been logged out. Please sign in again.",
+          "SESSION_REVOKED"
+        )
+      );
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decodedToken;
+  next();
+};
+
+/**
+ * Authenticate requests that carry a bearer token the way `requireAuth` does
+ * and let requests without one through, so routes that serve everyone still
+ * know a signed-in caller
+ */
+const optionalAuth = (req, res, next) =>
+  getBearerToken(req) ? requireAuth(req, res, next) : next();
+
+/**
+ * Reject requests whose body or path uid belongs to someone other than the
+ * authenticated user. Must run after `requireAuth`.
+ */
+const requireSelf = (req, res, next) => {
+  const requestedUids = [req.params.uid, req.body && req.body.uid].filter(
+    Boolean
+  );
+
+  if (requestedUids.some((uid) => uid !== req.user.uid)) {
+    logger.warn(
+      `User ${
+        req.user.uid
+      } attempted to act on another account: ${requestedUids.join(", ")}`
+    );
+    return next(
+      new ForbiddenError(
+        "You can only perform this action on your own account",
+        "UID_MISMATCH"
+      )
+    );
+  }
+
+  next();
+};
+
+/**
+ * Build middleware that rejects users below a role. The role comes from the
+ * token's `role` claim, so it must run after `requireAuth`.
+ * @param {string} role - The minimum role, e.g. "moderator"
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  const userRole = getUserRole(req.user);
+
+  if (!hasRole(userRole, role)) {
+    logger.warn(
+      `User ${req.user.uid} with role ${userRole} denied an action requiring ${role}`
+    );
+    return next(
+      new ForbiddenError(
+        `This action requires the ${role} role`,
+        "INSUFFICIENT_ROLE"
+      )
+    );
+  }
+
+  next();
+};
+
+/**
+ * Build middleware that requires authentication only when enabled, so routers
+ * can opt in through configuration
+ * @param {boolean} enabled - Whether authentication is required
+ * @returns {import("express").RequestHandler[]} Middleware to spread into a route
+ */
+const authIf = (enabled) => (enabled ? [requireAuth] : []);
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireSelf,
+  requireRole,
+  authIf,
+};
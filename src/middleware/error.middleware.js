@@ -0,0 +1,73 @@
+const multer = require("multer");
+const logger = require("../utils/logger");
+const { AppError, ValidationError } = require("../utils/errors");
+
+/**
+ * Wrap an async route handler so a rejected promise reaches the error
+ * middleware instead of going unhandled
+ * @param {import("express").RequestHandler} handler - The route handler
+ * @returns {import("express").RequestHandler} The wrapped handler
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+/**
+ * Render every error as `{success: false, message, error}`. AppErrors carry
+ * their own status, code and client message; anything else is logged and
+ * reported as a 500 without internal details outside development.
+ */
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  // Rejected uploads (too large, unexpected field) are validation failures
+  if (error instanceof multer.MulterError) {
+    error = new ValidationError([
+      { field: `files.${error.field || "file"}`, message: error.message },
+    ]);
+  }
+
+  if (error instanceof AppError) {
+    // Read by the auth event middleware when the response finishes
+    res.locals.errorCode = error.code;
+    if (error.retryAt) {
+      res.set(
+        "Retry-After",
+        String(Math.max(Math.ceil((error.retryAt - Date.now()) / 1000), 0))
+      );
+    }
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.code,
+      ...error.details,
+    });
+  }
+
+  // Malformed JSON rejected by express.json()
+  if (error.type === "entity.parse.failed") {
+    res.locals.errorCode = "INVALID_JSON";
+    return res.status(400).json({
+      success: false,
+      message: "Request body is not valid JSON",
+      error: "INVALID_JSON",
+    });
+  }
+
+  logger.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+  res.locals.errorCode = "INTERNAL_ERROR";
+  res.status(500).json({
+    success: false,
+    message: "Something went wrong",
+    error: "INTERNAL_ERROR",
+    ...(process.env.NODE_ENV === "development"
+      ? { details: error.message }
+      : {}),
+  });
+};
+
+module.exports = {
+  asyncHandler,
+  errorHandler,
+};
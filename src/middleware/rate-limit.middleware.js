@@ -0,0 +1,131 @@
+const logger = require("../utils/logger");
+const authConfig = require("../config/auth.config");
+const { getRateLimitStore } = require("../rate-limit");
+const { TooManyRequestsError } = require("../utils/errors");
+const { parseWalletAddress } = require("../utils/wallet.utils");
+const { parseSiweMessage } = require("../utils/siwe.utils");
+const { getChallenge } = require("../utils/nonce.utils");
+const {
+  AUTH_EVENT_ACTIONS,
+  recordAuthEvent,
+} = require("../utils/auth-event.utils");
+
+/**
+ * Read the wallet a signed challenge was issued to. The address in the
+ * message is not trusted before the signature is checked, so it only counts
+ * when the message is the one stored with its nonce; anyone could otherwise
+ * use up another wallet's quota with made-up messages.
+ * @param {string} message - The signed challenge message
+ * @returns {Promise<string|null>} The issued address, or null for messages that were never issued or can no longer be used
+ */
+const getChallengeWallet = async (message) => {
+  const fields = parseSiweMessage(message);
+  if (!fields) {
+    return null;
+  }
+
+  try {
+    const challenge = await getChallenge(fields.nonce);
+    return challenge.message === message ? challenge.walletAddress : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the wallet address a request is about, in canonical form when it
+ * parses so different spellings of one address share a counter. Signed
+ * challenges carry the address in their message rather than in
+ * `walletAddress`.
+ * @param {import("express").Request} req - The request
+ * @returns {Promise<string|null>} The address or null if the request has none
+ */
+const getRequestWallet = async (req) => {
+  const body = req.body || {};
+  const address =
+    body.walletAddress ||
+    req.params.walletAddress ||
+    (await getChallengeWallet(body.message));
+  if (typeof address !== "string" || !address.trim()) {
+    return null;
+  }
+
+  try {
+    return parseWalletAddress(address).canonicalAddress;
+  } catch (error) {
+    return address.trim().toLowerCase();
+  }
+};
+
+// How each scope identifies the caller, synchronously or not; requests
+// without a value skip the scope
+const SCOPE_KEYS = {
+  ip: (req) => req.ip || null,
+  wallet: getRequestWallet,
+  uid: (req) => (req.user ? req.user.uid : null),
+};
+
+/**
+ * Build middleware that enforces the rate limit rule `name` from
+ * `authConfig.rateLimit.rules`. Routes sharing a rule share its counters.
+ * Requests over any scope's limit are rejected with 429 RATE_LIMITED and a
+ * Retry-After header, and recorded as a `rate_limited` auth event; routes
+ * that record their own event do so after this middleware. If the store
+ * fails, requests are let through: an outage of the limiter must not take
+ * sign-in down with it.
+ * @param {string} name - The rule name, e.g. "authenticate"
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const rateLimit = (name) => async (req, res, next) => {
+  const { enabled, rules } = authConfig.rateLimit;
+  const rule = rules[name];
+  if (!enabled || !rule) {
+    return next();
+  }
+
+  let retryAt = null;
+  try {
+    const store = getRateLimitStore();
+    for (const [scope, { limit, windowSeconds }] of Object.entries(rule)) {
+      const value = await SCOPE_KEYS[scope](req);
+      if (!value) continue;
+
+      const { count, resetAt } = await store.increment(
+        `${name}:${scope}:${value}`,
+        windowSeconds * 1000
+      );
+      if (count > limit && (!retryAt || resetAt > retryAt)) {
+        retryAt = resetAt;
+      }
+    }
+  } catch (error) {
+    logger.error(
+      `Rate limit check for ${name} failed, allowing request:`,
+      error
+    );
+    return next();
+  }
+
+  if (retryAt) {
+    logger.warn(`Rate limit ${name} exceeded by ${req.ip} on ${req.path}`);
+    recordAuthEvent(req, {
+      action: AUTH_EVENT_ACTIONS.RATE_LIMITED,
+      uid: req.user ? req.user.uid : null,
+      outcome: "failure",
+      errorCode: "RATE_LIMITED",
+      details: { rule: name },
+    });
+    return next(
+      new TooManyRequestsError(
+        "Too many requests. Please try again later.",
+        "RATE_LIMITED",
+        retryAt
+      )
+    );
+  }
+  next();
+};
+
+module.exports = {
+  rateLimit,
+};
@@ -0,0 +1,42 @@
+const { unlink } = require("fs/promises");
+const logger = require("../utils/logger");
+const { ValidationError } = require("../utils/errors");
+const { validateSchema, validateFile } = require("../utils/validation.utils");
+
+/**
+ * Build middleware that validates a request against a route schema from
+ * src/schemas and rejects it with a ValidationError listing every failed
+ * field. File rules are checked against `req.file`, so the middleware must
+ * run after multer; a rejected upload is removed from disk.
+ * @param {object} schema - The route schema
+ * @param {object} schema.params - Schema for `req.params`
+ * @param {object} schema.query - Schema for `req.query`
+ * @param {object} schema.body - Schema for `req.body`
+ * @param {object} schema.file - Rule for the uploaded file
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [
+    ...(schema.params
+      ? validateSchema(schema.params, req.params, "params")
+      : []),
+    ...(schema.query ? validateSchema(schema.query, req.query, "query") : []),
+    ...(schema.body ? validateSchema(schema.body, req.body, "body") : []),
+    ...(schema.file ? validateFile(schema.file, req.file) : []),
+  ];
+
+  if (!errors.length) {
+    return next();
+  }
+
+  if (req.file) {
+    unlink(req.file.path).catch((error) =>
+      logger.warn(`Failed to remove rejected upload ${req.file.path}:`, error)
+    );
+  }
+  next(new ValidationError(errors));
+};
+
+module.exports = {
+  validate,
+};
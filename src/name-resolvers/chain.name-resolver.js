@@ -0,0 +1,23 @@
+/**
+ * NameResolver that hands each wallet to the resolver of its chain family,
+ * e.g. ENS for EVM wallets and SNS for Solana wallets. See name-resolver.js
+ * for the interface.
+ */
+class ChainNameResolver {
+  /**
+   * @param {Object<string, import("./name-resolver").NameResolver>} resolvers - Resolvers by chain family
+   */
+  constructor(resolvers) {
+    this.resolvers = resolvers;
+  }
+
+  async reverseResolve(address, chain) {
+    const resolver = this.resolvers[chain];
+    if (!resolver) {
+      throw new Error(`No name resolver configured for ${chain} wallets`);
+    }
+    return resolver.reverseResolve(address, chain);
+  }
+}
+
+module.exports = ChainNameResolver;
@@ -0,0 +1,41 @@
+const { ethers } = require("ethers");
+
+/**
+ * NameResolver for ENS. ethers checks that the reverse record's name resolves
+ * forward to the same address, so a wallet cannot claim a name by setting a
+ * reverse record alone. See name-resolver.js for the interface.
+ */
+class EnsNameResolver {
+  /**
+   * @param {object} options - Resolver options
+   * @param {string} options.rpcUrl - JSON-RPC URL of the chain ENS lives on
+   * @param {number} options.chainId - EIP-155 chain ID of that chain
+   * @param {number} options.timeoutMs - Timeout of each RPC request
+   */
+  constructor({ rpcUrl, chainId = 1, timeoutMs = 5000 }) {
+    this.rpcUrl = rpcUrl;
+    this.chainId = chainId;
+    this.timeoutMs = timeoutMs;
+    this.provider = null;
+  }
+
+  async reverseResolve(address, chain) {
+    if (chain !== "evm") {
+      throw new Error(`The ENS resolver cannot resolve ${chain} wallets`);
+    }
+    if (!this.rpcUrl) {
+      throw new Error(`No RPC URL configured for chain ${this.chainId}`);
+    }
+
+    if (!this.provider) {
+      const request = new ethers.FetchRequest(this.rpcUrl);
+      request.timeout = this.timeoutMs;
+      this.provider = new ethers.JsonRpcProvider(request, this.chainId, {
+        staticNetwork: true,
+      });
+    }
+    return this.provider.lookupAddress(address);
+  }
+}
+
+module.exports = EnsNameResolver;
@@ -0,0 +1,57 @@
+const fs = require("fs");
+
+/**
+ * NameResolver that answers from fixtures instead of a name service. Wallets
+ * without a fixture have no name. See name-resolver.js for the interface.
+ */
+class FixtureNameResolver {
+  /**
+   * @param {object} fixtures - Initial fixtures
+   * @param {Object<string, string>} fixtures.names - Primary names by wallet address
+   */
+  constructor({ names = {} } = {}) {
+    this.names = new Map();
+    Object.entries(names).forEach(([address, name]) =>
+      this.setName(address, name)
+    );
+  }
+
+  /**
+   * Load fixtures from a JSON file with the constructor's shape
+   * @param {string} file - Path of the file
+   * @returns {FixtureNameResolver} The resolver
+   */
+  static fromFile(file) {
+    return new FixtureNameResolver(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  /**
+   * Drop every fixture, e.g. between tests
+   */
+  clear() {
+    this.names.clear();
+  }
+
+  /**
+   * Set or remove the primary name of a wallet. EVM addresses are matched
+   * case-insensitively, Solana addresses exactly.
+   * @param {string} address - The wallet address
+   * @param {string|null} name - The name, or null to remove it
+   */
+  setName(address, name) {
+    const key = address.startsWith("0x") ? address.toLowerCase() : address;
+    if (name) {
+      this.names.set(key, name);
+    } else {
+      this.names.delete(key);
+    }
+  }
+
+  async reverseResolve(address, chain) {
+    return (
+      this.names.get(chain === "evm" ? address.toLowerCase() : address) || null
+    );
+  }
+}
+
+module.exports = FixtureNameResolver;
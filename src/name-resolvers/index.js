@@ -0,0 +1,49 @@
+const authConfig = require("../config/auth.config");
+
+let nameResolver = null;
+
+/**
+ * Get the name resolver configured by NAME_RESOLVER
+ * @returns {import("./name-resolver").NameResolver} The resolver
+ */
+const getNameResolver = () => {
+  if (!nameResolver) {
+    const { resolver, ensChainId, snsRpcUrl, fixturesFile } =
+      authConfig.nameResolution;
+    if (resolver === "fixture") {
+      const FixtureNameResolver = require("./fixture.name-resolver");
+      nameResolver = fixturesFile
+        ? FixtureNameResolver.fromFile(fixturesFile)
+        : new FixtureNameResolver();
+    } else {
+      const ChainNameResolver = require("./chain.name-resolver");
+      const EnsNameResolver = require("./ens.name-resolver");
+      const SnsNameResolver = require("./sns.name-resolver");
+      nameResolver = new ChainNameResolver({
+        evm: new EnsNameResolver({
+          rpcUrl: authConfig.chainData.rpcUrls[ensChainId],
+          chainId: ensChainId,
+          timeoutMs: authConfig.chainData.rpcTimeoutMs,
+        }),
+        solana: new SnsNameResolver({
+          rpcUrl: snsRpcUrl,
+          timeoutMs: authConfig.chainData.rpcTimeoutMs,
+        }),
+      });
+    }
+  }
+  return nameResolver;
+};
+
+/**
+ * Replace the name resolver, e.g. with fixtures in tests
+ * @param {import("./name-resolver").NameResolver} resolver - The resolver to use
+ */
+const setNameResolver = (resolver) => {
+  nameResolver = resolver;
+};
+
+module.exports = {
+  getNameResolver,
+  setNameResolver,
+};
@@ -0,0 +1,19 @@
+/**
+ * Name resolver interface: reverse resolution of wallet addresses to their
+ * primary ENS (.eth) or SNS (.sol) name.
+ *
+ * Implementations:
+ * - ChainNameResolver (chain.name-resolver.js) hands each wallet to the
+ *   resolver of its chain family
+ * - EnsNameResolver (ens.name-resolver.js) reads ENS reverse records of EVM
+ *   wallets through a JSON-RPC endpoint
+ * - SnsNameResolver (sns.name-resolver.js) reads the SNS primary domain of
+ *   Solana wallets through a Solana JSON-RPC endpoint
+ * - FixtureNameResolver (fixture.name-resolver.js) answers from fixtures kept
+ *   in process, for tests and local development
+ *
+ * @typedef {object} NameResolver
+ * @property {function(string, string): Promise<string|null>} reverseResolve - Primary name of a wallet address of a chain family ("evm" or "solana"), or null if it has none. Throws if the name cannot be looked up.
+ */
+
+module.exports = {};
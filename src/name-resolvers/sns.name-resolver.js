@@ -0,0 +1,64 @@
+const { Connection, PublicKey } = require("@solana/web3.js");
+const {
+  getPrimaryDomain,
+  FavouriteDomainNotFoundError,
+  AccountDoesNotExistError,
+} = require("@bonfida/spl-name-service");
+
+/**
+ * NameResolver for SNS (Solana Name Service). A wallet's name is its primary
+ * domain, and only counts while the wallet still owns that domain (directly
+ * or as the holder of its tokenized NFT), so a wallet cannot keep a name it
+ * sold. See name-resolver.js for the interface.
+ */
+class SnsNameResolver {
+  /**
+   * @param {object} options - Resolver options
+   * @param {string} options.rpcUrl - Solana JSON-RPC URL
+   * @param {number} options.timeoutMs - Timeout of each RPC request
+   */
+  constructor({ rpcUrl, timeoutMs = 5000 }) {
+    this.rpcUrl = rpcUrl;
+    this.timeoutMs = timeoutMs;
+    this.connection = null;
+  }
+
+  async reverseResolve(address, chain) {
+    if (chain !== "solana") {
+      throw new Error(`The SNS resolver cannot resolve ${chain} wallets`);
+    }
+    if (!this.rpcUrl) {
+      throw new Error("No Solana RPC URL configured");
+    }
+
+    if (!this.connection) {
+      this.connection = new Connection(this.rpcUrl, {
+        commitment: "confirmed",
+        fetch: (url, options) =>
+          fetch(url, {
+            ...options,
+            signal: AbortSignal.timeout(this.timeoutMs),
+          }),
+      });
+    }
+
+    try {
+      const { reverse, stale } = await getPrimaryDomain(
+        this.connection,
+        new PublicKey(address)
+      );
+      return stale ? null : `${reverse}.sol`;
+    } catch (error) {
+      // No primary domain, or the domain it pointed at no longer exists
+      if (
+        error instanceof FavouriteDomainNotFoundError ||
+        error instanceof AccountDoesNotExistError
+      ) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SnsNameResolver;
@@ -0,0 +1,36 @@
+const authConfig = require("../config/auth.config");
+
+let rateLimitStore = null;
+
+/**
+ * Get the rate limit store for the configured backend (RATE_LIMIT_STORE)
+ * @returns {import("./rate-limit.store").RateLimitStore} The store
+ */
+const getRateLimitStore = () => {
+  if (!rateLimitStore) {
+    if (authConfig.rateLimit.store === "redis") {
+      const RedisRateLimitStore = require("./redis.rate-limit.store");
+      rateLimitStore = new RedisRateLimitStore({
+        url: authConfig.rateLimit.redisUrl,
+        keyPrefix: authConfig.rateLimit.keyPrefix,
+      });
+    } else {
+      const MemoryRateLimitStore = require("./memory.rate-limit.store");
+      rateLimitStore = new MemoryRateLimitStore();
+    }
+  }
+  return rateLimitStore;
+};
+
+/**
+ * Replace the rate limit store, e.g. with a fresh in-memory one in tests
+ * @param {import("./rate-limit.store").RateLimitStore} store - The store to use
+ */
+const setRateLimitStore = (store) => {
+  rateLimitStore = store;
+};
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore,
+};
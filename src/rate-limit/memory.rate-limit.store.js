@@ -0,0 +1,50 @@
+// Expired windows are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * RateLimitStore kept in process memory. See rate-limit.store.js for the
+ * interface.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    // key -> {count, resetAt (ms)}
+    this.windows = new Map();
+    this.nextSweepAt = Date.now() + SWEEP_INTERVAL_MS;
+  }
+
+  /**
+   * Drop every counter, e.g. between tests
+   */
+  clear() {
+    this.windows.clear();
+  }
+
+  sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+    this.nextSweepAt = now + SWEEP_INTERVAL_MS;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    if (now >= this.nextSweepAt) {
+      this.sweep(now);
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+module.exports = MemoryRateLimitStore;
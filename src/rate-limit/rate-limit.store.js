@@ -0,0 +1,17 @@
+/**
+ * Rate limit store interface: fixed-window hit counters shared by every
+ * server process that uses the same store.
+ *
+ * Implementations:
+ * - MemoryRateLimitStore (memory.rate-limit.store.js) counts in process, so
+ *   each server instance enforces its own limits
+ * - RedisRateLimitStore (redis.rate-limit.store.js) counts in Redis or any
+ *   server that speaks its protocol (Valkey, KeyDB, Dragonfly), so limits hold
+ *   across instances
+ *
+ * @typedef {object} RateLimitStore
+ * @property {function(string, number): Promise<{count: number, resetAt: Date}>} increment - Count a hit for a key in the window of the given length (ms) and return the hits so far and when the window ends
+ * @property {function(string): Promise<void>} reset - Forget the hits of a key
+ */
+
+module.exports = {};
@@ -0,0 +1,56 @@
+const Redis = require("ioredis");
+const logger = require("../utils/logger");
+
+// Count a hit and start the window on the first one, atomically. Returns the
+// count and the milliseconds left in the window.
+const INCREMENT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return {count, redis.call("PTTL", KEYS[1])}
+`;
+
+/**
+ * RateLimitStore backed by Redis or a Redis-compatible server. See
+ * rate-limit.store.js for the interface.
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.url - Server URL, e.g. redis://localhost:6379
+   * @param {string} options.keyPrefix - Prefix for every counter key
+   * @param {import("ioredis").Redis} options.client - Existing client to use instead of connecting to `url`
+   */
+  constructor({ url, keyPrefix = "", client = null } = {}) {
+    this.client =
+      client ||
+      new Redis(url, {
+        // Give up on a command after one reconnect instead of holding the request
+        maxRetriesPerRequest: 1,
+      });
+    this.client.on("error", (error) =>
+      logger.error(`Rate limit store connection error: ${error.message}`)
+    );
+    this.keyPrefix = keyPrefix;
+  }
+
+  async increment(key, windowMs) {
+    const [count, ttl] = await this.client.eval(
+      INCREMENT_SCRIPT,
+      1,
+      this.keyPrefix + key,
+      windowMs
+    );
+
+    // A key left without an expiry by an interrupted script resets now
+    const remainingMs = ttl > 0 ? ttl : windowMs;
+    return { count, resetAt: new Date(Date.now() + remainingMs) };
+  }
+
+  async reset(key) {
+    await this.client.del(this.keyPrefix + key);
+  }
+}
+
+module.exports = RedisRateLimitStore;
@@ -0,0 +1,230 @@
+const admin = require("firebase-admin");
+const { DELETE_FIELD, RECORD_KINDS } = require("./user.repository");
+const { NotFoundError } = require("../utils/errors");
+const { fromFirestore } = require("../utils/firestore.utils");
+
+const USERS_COLLECTION = "users";
+const USERNAMES_COLLECTION = "usernames";
+const WALLETS_COLLECTION = "wallets";
+const NONCES_COLLECTION = "auth_nonces";
+
+// gRPC status Firestore reports when updating a missing document
+const NOT_FOUND = 5;
+
+/**
+ * Convert written fields to Firestore values: DELETE_FIELD removes the field
+ * @param {object} fields - Fields to write
+ * @returns {object} The Firestore fields
+ */
+const toFirestore = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      value === DELETE_FIELD ? admin.firestore.FieldValue.delete() : value,
+    ])
+  );
+
+/**
+ * Turn a document snapshot into a plain object with its ID
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - The snapshot
+ * @returns {object|null} The document data with `id`, or null if it does not exist
+ */
+const toEntity = (doc) =>
+  doc.exists ? { ...fromFirestore(doc.data()), id: doc.id } : null;
+
+/**
+ * UserRepository backed by Cloud Firestore. See user.repository.js for the
+ * interface.
+ */
+class FirestoreUserRepository {
+  constructor(db = admin.firestore()) {
+    this.db = db;
+    this.users = db.collection(USERS_COLLECTION);
+    this.usernames = db.collection(USERNAMES_COLLECTION);
+    this.wallets = db.collection(WALLETS_COLLECTION);
+    this.nonces = db.collection(NONCES_COLLECTION);
+  }
+
+  async runTransaction(fn) {
+    return this.db.runTransaction((transaction) =>
+      fn(this.wrapTransaction(transaction))
+    );
+  }
+
+  wrapTransaction(transaction) {
+    const get = async (ref) => toEntity(await transaction.get(ref));
+
+    return {
+      getUser: (uid) => get(this.users.doc(uid)),
+      getUsernameReservation: (key) => get(this.usernames.doc(key)),
+      getWallet: (address) => get(this.wallets.doc(address)),
+      getNonce: (nonce) => get(this.nonces.doc(nonce)),
+      setUser: (uid, data) => {
+        transaction.set(this.users.doc(uid), toFirestore(data));
+      },
+      updateUser: (uid, fields) => {
+        transaction.update(this.users.doc(uid), toFirestore(fields));
+      },
+      setUsernameReservation: (key, data) => {
+        transaction.set(this.usernames.doc(key), toFirestore(data));
+      },
+      updateUsernameReservation: (key, fields) => {
+        transaction.update(this.usernames.doc(key), toFirestore(fields));
+      },
+      deleteUsernameReservation: (key) => {
+        transaction.delete(this.usernames.doc(key));
+      },
+      setWallet: (address, data) => {
+        transaction.set(this.wallets.doc(address), toFirestore(data));
+      },
+      deleteWallet: (address) => {
+        transaction.delete(this.wallets.doc(address));
+      },
+      updateNonce: (nonce, fields) => {
+        transaction.update(this.nonces.doc(nonce), toFirestore(fields));
+      },
+      addRecord: (uid, kind, data, id = null) => {
+        const records = this.users.doc(uid).collection(kind);
+        transaction.set(id ? records.doc(id) : records.doc(), data);
+      },
+    };
+  }
+
+  async getUser(uid) {
+    return toEntity(await this.users.doc(uid).get());
+  }
+
+  async updateUser(uid, fields) {
+    try {
+      await this.users.doc(uid).update(toFirestore(fields));
+    } catch (error) {
+      if (error.code === NOT_FOUND) {
+        throw new NotFoundError("User not found", "USER_NOT_FOUND");
+      }
+      throw error;
+    }
+  }
+
+  async findUsers({ filters = [], orderBy, limit, startAfter = null }) {
+    let query = this.users;
+    for (const [field, operator, value] of filters) {
+      query = query.where(field, operator, value);
+    }
+    if (orderBy) {
+      query = query
+        .orderBy(orderBy)
+        .orderBy(admin.firestore.FieldPath.documentId());
+      if (startAfter) {
+        query = query.startAfter(startAfter[orderBy], startAfter.id);
+      }
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(toEntity);
+  }
+
+  async deleteUsers(uids) {
+    const counts = { usernames: 0, wallets: 0, nonces: 0, thumbnails: 0 };
+    const writer = this.db.bulkWriter();
+    const deletions = [];
+
+    for (const uid of uids) {
+      const userRef = this.users.doc(uid);
+      const [usernames, wallets, thumbnails] = await Promise.all([
+        this.usernames.where("uid", "==", uid).get(),
+        this.wallets.where("uid", "==", uid).get(),
+        userRef.collection(RECORD_KINDS.THUMBNAILS).get(),
+      ]);
+
+      // Thumbnail files live in Storage; their paths are recorded on the user
+      if (!thumbnails.empty) {
+        const bucket = admin.storage().bucket();
+        await Promise.all(
+          thumbnails.docs.map((doc) =>
+            bucket.file(doc.get("path")).delete({ ignoreNotFound: true })
+          )
+        );
+      }
+
+      // Challenges issued to the user's wallets are keyed by nonce
+      const nonces = await Promise.all(
+        wallets.docs.map((doc) =>
+          this.nonces.where("walletAddress", "==", doc.id).get()
+        )
+      );
+
+      usernames.docs.forEach((doc) => deletions.push(writer.delete(doc.ref)));
+      wallets.docs.forEach((doc) => deletions.push(writer.delete(doc.ref)));
+      nonces.forEach((snapshot) =>
+        snapshot.docs.forEach((doc) => deletions.push(writer.delete(doc.ref)))
+      );
+      // Removes the user document together with every subcollection
+      deletions.push(this.db.recursiveDelete(userRef, writer));
+
+      counts.usernames += usernames.size;
+      counts.wallets += wallets.size;
+      nonces.forEach((snapshot) => (counts.nonces += snapshot.size));
+      counts.thumbnails += thumbnails.size;
+    }
+
+    await Promise.all(deletions);
+    await writer.close();
+    return counts;
+  }
+
+  async getUsernameReservation(key) {
+    return toEntity(await this.usernames.doc(key).get());
+  }
+
+  async listUsernameReservations(uid) {
+    const snapshot = await this.usernames.where("uid", "==", uid).get();
+    return snapshot.docs.map(toEntity);
+  }
+
+  async getWallet(address) {
+    return toEntity(await this.wallets.doc(address).get());
+  }
+
+  async listWallets(uid) {
+    const snapshot = await this.wallets.where("uid", "==", uid).get();
+    return snapshot.docs.map(toEntity);
+  }
+
+  async addRecord(uid, kind, data, id = null) {
+    const records = this.users.doc(uid).collection(kind);
+    const ref = id ? records.doc(id) : records.doc();
+    await ref.set(data);
+    return ref.id;
+  }
+
+  async listRecords(uid, kind, { orderBy = null, direction = "asc" } = {}) {
+    let query = this.users.doc(uid).collection(kind);
+    if (orderBy) {
+      query = query.orderBy(orderBy, direction);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(toEntity);
+  }
+
+  async listRecordKinds(uid) {
+    const collections = await this.users.doc(uid).listCollections();
+    return collections.map((collection) => collection.id);
+  }
+
+  async createNonce(nonce, data) {
+    await this.nonces.doc(nonce).set(data);
+  }
+
+  async listNonces(walletAddress) {
+    const snapshot = await this.nonces
+      .where("walletAddress", "==", walletAddress)
+      .get();
+    return snapshot.docs.map(toEntity);
+  }
+}
+
+module.exports = FirestoreUserRepository;
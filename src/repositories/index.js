@@ -0,0 +1,36 @@
+const authConfig = require("../config/auth.config");
+const { DELETE_FIELD, RECORD_KINDS } = require("./user.repository");
+
+let userRepository = null;
+
+/**
+ * Get the user repository for the configured backend (AUTH_BACKEND)
+ * @returns {import("./user.repository").UserRepository} The repository
+ */
+const getUserRepository = () => {
+  if (!userRepository) {
+    if (authConfig.backend === "memory") {
+      const MemoryUserRepository = require("./memory.user.repository");
+      userRepository = new MemoryUserRepository();
+    } else {
+      const FirestoreUserRepository = require("./firestore.user.repository");
+      userRepository = new FirestoreUserRepository();
+    }
+  }
+  return userRepository;
+};
+
+/**
+ * Replace the user repository, e.g. with a fresh in-memory one in tests
+ * @param {import("./user.repository").UserRepository} repository - The repository to use
+ */
+const setUserRepository = (repository) => {
+  userRepository = repository;
+};
+
+module.exports = {
+  DELETE_FIELD,
+  RECORD_KINDS,
+  getUserRepository,
+  setUserRepository,
+};
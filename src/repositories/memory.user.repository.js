@@ -0,0 +1,319 @@
+const crypto = require("crypto");
+const { DELETE_FIELD } = require("./user.repository");
+const { NotFoundError } = require("../utils/errors");
+
+// Transactions that keep losing to concurrent writes give up after this many attempts
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const COMPARATORS = {
+  "==": (a, b) => compareValues(a, b) === 0,
+  "<": (a, b) => compareValues(a, b) < 0,
+  "<=": (a, b) => compareValues(a, b) <= 0,
+  ">": (a, b) => compareValues(a, b) > 0,
+  ">=": (a, b) => compareValues(a, b) >= 0,
+};
+
+/**
+ * Compare two stored values the way Firestore orders them within one type
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Apply an update to stored data, removing fields set to DELETE_FIELD
+ * @param {object} data - The current data
+ * @param {object} fields - Fields to write
+ * @returns {object} The updated data
+ */
+const applyFields = (data, fields) => {
+  const updated = { ...data };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === DELETE_FIELD) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
+  }
+  return updated;
+};
+
+const generateId = () => crypto.randomBytes(10).toString("hex");
+
+/**
+ * A collection of documents with a version per document, so transactions can
+ * detect that something they read has changed before they commit
+ */
+class MemoryCollection {
+  constructor() {
+    this.docs = new Map();
+    this.versions = new Map();
+  }
+
+  get(id) {
+    return this.docs.has(id)
+      ? { ...structuredClone(this.docs.get(id)), id }
+      : null;
+  }
+
+  version(id) {
+    return this.versions.get(id) || 0;
+  }
+
+  set(id, data) {
+    this.docs.set(id, structuredClone(data));
+    this.versions.set(id, this.version(id) + 1);
+  }
+
+  update(id, fields, notFoundMessage) {
+    if (!this.docs.has(id)) {
+      throw new Error(notFoundMessage);
+    }
+    this.set(id, applyFields(this.docs.get(id), fields));
+  }
+
+  delete(id) {
+    this.docs.delete(id);
+    this.versions.set(id, this.version(id) + 1);
+  }
+
+  where(field, value) {
+    return Array.from(this.docs.keys())
+      .filter((id) => compareValues(this.docs.get(id)[field], value) === 0)
+      .map((id) => this.get(id));
+  }
+}
+
+/**
+ * UserRepository kept entirely in process memory. Behaves like the Firestore
+ * implementation, including transactions that retry when a document they read
+ * changes and that reject reads after writes. See user.repository.js for the
+ * interface.
+ */
+class MemoryUserRepository {
+  constructor() {
+    this.users = new MemoryCollection();
+    this.usernames = new MemoryCollection();
+    this.wallets = new MemoryCollection();
+    this.nonces = new MemoryCollection();
+    // uid -> kind -> MemoryCollection
+    this.records = new Map();
+  }
+
+  /**
+   * Drop every stored document, e.g. between tests
+   */
+  clear() {
+    this.users = new MemoryCollection();
+    this.usernames = new MemoryCollection();
+    this.wallets = new MemoryCollection();
+    this.nonces = new MemoryCollection();
+    this.records = new Map();
+  }
+
+  recordCollection(uid, kind) {
+    if (!this.records.has(uid)) this.records.set(uid, new Map());
+    const kinds = this.records.get(uid);
+    if (!kinds.has(kind)) kinds.set(kind, new MemoryCollection());
+    return kinds.get(kind);
+  }
+
+  async runTransaction(fn) {
+    for (let attempt = 1; ; attempt++) {
+      const reads = [];
+      const writes = [];
+
+      const read = (collection, id) => {
+        if (writes.length) {
+          throw new Error(
+            "Firestore transactions require all reads to be executed before all writes."
+          );
+        }
+        reads.push({ collection, id, version: collection.version(id) });
+        return collection.get(id);
+      };
+      const write = (apply) => {
+        writes.push(apply);
+      };
+
+      const transaction = {
+        getUser: async (uid) => read(this.users, uid),
+        getUsernameReservation: async (key) => read(this.usernames, key),
+        getWallet: async (address) => read(this.wallets, address),
+        getNonce: async (nonce) => read(this.nonces, nonce),
+        setUser: (uid, data) => write(() => this.users.set(uid, data)),
+        updateUser: (uid, fields) =>
+          write(() =>
+            this.users.update(
+              uid,
+              fields,
+              `No document to update: users/${uid}`
+            )
+          ),
+        setUsernameReservation: (key, data) =>
+          write(() => this.usernames.set(key, data)),
+        updateUsernameReservation: (key, fields) =>
+          write(() =>
+            this.usernames.update(
+              key,
+              fields,
+              `No document to update: usernames/${key}`
+            )
+          ),
+        deleteUsernameReservation: (key) =>
+          write(() => this.usernames.delete(key)),
+        setWallet: (address, data) =>
+          write(() => this.wallets.set(address, data)),
+        deleteWallet: (address) => write(() => this.wallets.delete(address)),
+        updateNonce: (nonce, fields) =>
+          write(() =>
+            this.nonces.update(
+              nonce,
+              fields,
+              `No document to update: auth_nonces/${nonce}`
+            )
+          ),
+        addRecord: (uid, kind, data, id = null) =>
+          write(() =>
+            this.recordCollection(uid, kind).set(id || generateId(), data)
+          ),
+      };
+
+      const result = await fn(transaction);
+
+      // Commit only if nothing read has changed since; otherwise run again
+      const conflict = reads.some(
+        ({ collection, id, version }) => collection.version(id) !== version
+      );
+      if (!conflict) {
+        writes.forEach((apply) => apply());
+        return result;
+      }
+
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw new Error("Transaction aborted after too many conflicts");
+      }
+    }
+  }
+
+  async getUser(uid) {
+    return this.users.get(uid);
+  }
+
+  async updateUser(uid, fields) {
+    if (!this.users.docs.has(uid)) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    this.users.update(uid, fields, "User not found");
+  }
+
+  async findUsers({ filters = [], orderBy, limit, startAfter = null }) {
+    let users = Array.from(this.users.docs.keys())
+      .map((uid) => this.users.get(uid))
+      .filter((user) =>
+        filters.every(
+          ([field, operator, value]) =>
+            user[field] !== undefined &&
+            user[field] !== null &&
+            COMPARATORS[operator](user[field], value)
+        )
+      );
+
+    if (orderBy) {
+      const compare = (a, b) =>
+        compareValues(a[orderBy], b[orderBy]) || compareValues(a.id, b.id);
+      users = users.filter((user) => user[orderBy] !== undefined).sort(compare);
+      if (startAfter) {
+        users = users.filter((user) => compare(user, startAfter) > 0);
+      }
+    }
+
+    return limit ? users.slice(0, limit) : users;
+  }
+
+  async deleteUsers(uids) {
+    const counts = { usernames: 0, wallets: 0, nonces: 0, thumbnails: 0 };
+
+    for (const uid of uids) {
+      for (const reservation of this.usernames.where("uid", uid)) {
+        this.usernames.delete(reservation.id);
+        counts.usernames++;
+      }
+      for (const wallet of this.wallets.where("uid", uid)) {
+        for (const nonce of this.nonces.where("walletAddress", wallet.id)) {
+          this.nonces.delete(nonce.id);
+          counts.nonces++;
+        }
+        this.wallets.delete(wallet.id);
+        counts.wallets++;
+      }
+      if (this.records.has(uid) && this.records.get(uid).has("thumbnails")) {
+        counts.thumbnails += this.records.get(uid).get("thumbnails").docs.size;
+      }
+      this.records.delete(uid);
+      this.users.delete(uid);
+    }
+
+    return counts;
+  }
+
+  async getUsernameReservation(key) {
+    return this.usernames.get(key);
+  }
+
+  async listUsernameReservations(uid) {
+    return this.usernames.where("uid", uid);
+  }
+
+  async getWallet(address) {
+    return this.wallets.get(address);
+  }
+
+  async listWallets(uid) {
+    return this.wallets.where("uid", uid);
+  }
+
+  async addRecord(uid, kind, data, id = null) {
+    const recordId = id || generateId();
+    this.recordCollection(uid, kind).set(recordId, data);
+    return recordId;
+  }
+
+  async listRecords(uid, kind, { orderBy = null, direction = "asc" } = {}) {
+    if (!this.records.has(uid) || !this.records.get(uid).has(kind)) {
+      return [];
+    }
+
+    const collection = this.records.get(uid).get(kind);
+    const records = Array.from(collection.docs.keys()).map((id) =>
+      collection.get(id)
+    );
+    if (orderBy) {
+      const sign = direction === "desc" ? -1 : 1;
+      records.sort((a, b) => sign * compareValues(a[orderBy], b[orderBy]));
+    }
+    return records;
+  }
+
+  async listRecordKinds(uid) {
+    return this.records.has(uid)
+      ? Array.from(this.records.get(uid).keys())
+      : [];
+  }
+
+  async createNonce(nonce, data) {
+    this.nonces.set(nonce, data);
+  }
+
+  async listNonces(walletAddress) {
+    return this.nonces.where("walletAddress", walletAddress);
+  }
+}
+
+module.exports = MemoryUserRepository;
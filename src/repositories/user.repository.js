@@ -0,0 +1,70 @@
+/**
+ * Storage interface for everything the auth server persists: user documents,
+ * the username and wallet reservations that keep them unique, per-user records
+ * (username history, wallet rotations, account merges, thumbnails, admin
+ * actions) and wallet sign-in nonces.
+ *
+ * Implementations:
+ * - FirestoreUserRepository (firestore.user.repository.js) for production
+ * - MemoryUserRepository (memory.user.repository.js) for tests and local
+ *   development without Firebase credentials
+ *
+ * Timestamps are read and written as JavaScript Dates. Writing `DELETE_FIELD`
+ * as a value in an update removes the field. Users, reservations and records
+ * are returned as plain objects with their document ID in `id`.
+ *
+ * @typedef {object} UserTransaction
+ * Reads must all happen before the first write, as Firestore requires.
+ * @property {function(string): Promise<object|null>} getUser - Read a user
+ * @property {function(string): Promise<object|null>} getUsernameReservation - Read a username reservation by key
+ * @property {function(string): Promise<object|null>} getWallet - Read a wallet index entry by canonical address
+ * @property {function(string): Promise<object|null>} getNonce - Read a sign-in nonce
+ * @property {function(string, object): void} setUser - Create or replace a user
+ * @property {function(string, object): void} updateUser - Update fields of a user
+ * @property {function(string, object): void} setUsernameReservation - Create or replace a username reservation
+ * @property {function(string, object): void} updateUsernameReservation - Update fields of a username reservation
+ * @property {function(string): void} deleteUsernameReservation - Delete a username reservation
+ * @property {function(string, object): void} setWallet - Create or replace a wallet index entry
+ * @property {function(string): void} deleteWallet - Delete a wallet index entry
+ * @property {function(string, object): void} updateNonce - Update fields of a nonce
+ * @property {function(string, string, object, string=): void} addRecord - Add a record of a kind to a user, with an optional ID
+ *
+ * @typedef {object} UserRepository
+ * @property {function(function(UserTransaction): Promise<*>): Promise<*>} runTransaction - Run reads and writes atomically, retrying on contention
+ * @property {function(string): Promise<object|null>} getUser - Read a user
+ * @property {function(string, object): Promise<void>} updateUser - Update fields of a user; throws a NotFoundError (USER_NOT_FOUND) if it does not exist
+ * @property {function(UserQuery): Promise<object[]>} findUsers - Query users
+ * @property {function(string[]): Promise<{usernames: number, wallets: number, nonces: number, thumbnails: number}>} deleteUsers - Delete users with their records, reservations, the nonces issued to their wallets and thumbnail files
+ * @property {function(string): Promise<object|null>} getUsernameReservation - Read a username reservation by key
+ * @property {function(string): Promise<object[]>} listUsernameReservations - List the username reservations held by a user
+ * @property {function(string): Promise<object|null>} getWallet - Read a wallet index entry by canonical address
+ * @property {function(string): Promise<object[]>} listWallets - List the wallet index entries of a user
+ * @property {function(string, string, object, string=): Promise<string>} addRecord - Add a record of a kind to a user, returns its ID
+ * @property {function(string, string, {orderBy: string, direction: string}=): Promise<object[]>} listRecords - List a user's records of a kind
+ * @property {function(string): Promise<string[]>} listRecordKinds - List the record kinds a user has
+ * @property {function(string, object): Promise<void>} createNonce - Store a new sign-in nonce
+ * @property {function(string): Promise<object[]>} listNonces - List the nonces issued to a wallet
+ *
+ * @typedef {object} UserQuery
+ * @property {Array<[string, string, *]>} filters - `[field, operator, value]` with operator "==", "<", "<=", ">" or ">="
+ * @property {string} orderBy - Field to order by, ascending; ties are ordered by ID
+ * @property {number} limit - Maximum number of users
+ * @property {object} startAfter - Return users after this one in the query order
+ */
+
+// Value that removes a field when written in an update
+const DELETE_FIELD = Symbol("deleteField");
+
+// Per-user record kinds, stored as subcollections of the user document
+const RECORD_KINDS = {
+  USERNAME_HISTORY: "username_history",
+  WALLET_ROTATIONS: "wallet_rotations",
+  ACCOUNT_MERGES: "account_merges",
+  THUMBNAILS: "thumbnails",
+  ADMIN_ACTIONS: "admin_actions",
+};
+
+module.exports = {
+  DELETE_FIELD,
+  RECORD_KINDS,
+};
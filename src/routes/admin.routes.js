@@ -0,0 +1,219 @@
+const express = require("express");
+const router = express.Router();
+const adminUtils = require("../utils/admin.utils");
+const webhookUtils = require("../utils/webhook.utils");
+const authConfig = require("../config/auth.config");
+const { requireAuth, requireRole } = require("../middleware/auth.middleware");
+const { asyncHandler } = require("../middleware/error.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const schemas = require("../schemas/admin.schemas");
+const { ForbiddenError } = require("../utils/errors");
+
+// Every admin route needs an ID token whose role claim is admin
+router.use(requireAuth, requireRole("admin"));
+
+/**
+ * Build middleware that stops admins from applying an action to their own
+ * account, so they cannot lock themselves out
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const forbidSelf = (message, code) => (req, res, next) => {
+  if (req.params.uid === req.user.uid) {
+    return next(new ForbiddenError(message, code));
+  }
+  next();
+};
+
+// List users by creation time, a page at a time
+router.get(
+  "/users",
+  validate(schemas["GET /users"]),
+  asyncHandler(async (req, res) => {
+    const { users, nextCursor } = await adminUtils.listUsers({
+      limit: req.query.limit
+        ? Number(req.query.limit)
+        : adminUtils.DEFAULT_PAGE_SIZE,
+      cursor: req.query.cursor || null,
+    });
+
+    res.status(200).json({ success: true, users, nextCursor });
+  })
+);
+
+// Find users by uid, username or wallet address
+router.get(
+  "/users/search",
+  validate(schemas["GET /users/search"]),
+  asyncHandler(async (req, res) => {
+    const users = await adminUtils.searchUsers(req.query.q.trim());
+
+    res.status(200).json({ success: true, users });
+  })
+);
+
+// Get a user with their wallets and identity provider account
+router.get(
+  "/users/:uid",
+  validate(schemas["GET /users/:uid"]),
+  asyncHandler(async (req, res) => {
+    const user = await adminUtils.getUserDetails(req.params.uid);
+
+    res.status(200).json({ success: true, user });
+  })
+);
+
+// Get a user's sign-in history and the admin actions taken on the account
+router.get(
+  "/users/:uid/history",
+  validate(schemas["GET /users/:uid/history"]),
+  asyncHandler(async (req, res) => {
+    const history = await adminUtils.getUserAuthHistory(req.params.uid);
+
+    res.status(200).json({ success: true, history });
+  })
+);
+
+// Disable an account and end its sessions
+router.post(
+  "/users/:uid/disable",
+  forbidSelf("You cannot disable your own account", "CANNOT_DISABLE_SELF"),
+  validate(schemas["POST /users/:uid/disable"]),
+  asyncHandler(async (req, res) => {
+    const user = await adminUtils.setUserDisabled(req.params.uid, true, {
+      adminUid: req.user.uid,
+      reason: req.body.reason || null,
+    });
+
+    res.status(200).json({ success: true, message: "User disabled", user });
+  })
+);
+
+// Re-enable a disabled account
+router.post(
+  "/users/:uid/enable",
+  validate(schemas["POST /users/:uid/enable"]),
+  asyncHandler(async (req, res) => {
+    const user = await adminUtils.setUserDisabled(req.params.uid, false, {
+      adminUid: req.user.uid,
+    });
+
+    res.status(200).json({ success: true, message: "User enabled", user });
+  })
+);
+
+// Rename a user, bypassing the rename cooldown
+router.post(
+  "/users/:uid/username",
+  validate(schemas["POST /users/:uid/username"]),
+  asyncHandler(async (req, res) => {
+    const { username, previousUsername } = await adminUtils.forceRenameUser(
+      req.params.uid,
+      req.body.username,
+      req.user.uid
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Username updated",
+      username,
+      previousUsername,
+    });
+  })
+);
+
+// Unlink a wallet from a user, even their last one
+router.delete(
+  "/users/:uid/wallets/:walletAddress",
+  validate(schemas["DELETE /users/:uid/wallets/:walletAddress"]),
+  asyncHandler(async (req, res) => {
+    const { primaryWalletAddress } = await adminUtils.forceUnlinkWallet(
+      req.params.uid,
+      req.params.walletAddress,
+      req.user.uid
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Wallet unlinked",
+      primaryWalletAddress,
+    });
+  })
+);
+
+// Change a user's role; the user is signed out everywhere so new tokens carry it
+router.post(
+  "/users/:uid/role",
+  forbidSelf("You cannot change your own role", "CANNOT_CHANGE_OWN_ROLE"),
+  validate(schemas["POST /users/:uid/role"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.params;
+    const { role, previousRole, changed } = await adminUtils.changeUserRole(
+      uid,
+      req.body.role,
+      req.user.uid
+    );
+
+    res.status(200).json({
+      success: true,
+      message: changed ? "Role updated" : "User already has this role",
+      uid,
+      role,
+      previousRole,
+    });
+  })
+);
+
+// List the configured webhook subscriptions, without their secrets
+router.get("/webhooks", (req, res) => {
+  const subscriptions = authConfig.webhooks.subscriptions.map(
+    ({ id, url, events }) => ({ id, url, events })
+  );
+
+  res.status(200).json({ success: true, subscriptions });
+});
+
+// List webhook deliveries, newest first
+router.get(
+  "/webhooks/deliveries",
+  validate(schemas["GET /webhooks/deliveries"]),
+  asyncHandler(async (req, res) => {
+    const deliveries = await webhookUtils.listWebhookDeliveries({
+      status: req.query.status || null,
+      limit: req.query.limit
+        ? Number(req.query.limit)
+        : adminUtils.DEFAULT_PAGE_SIZE,
+    });
+
+    res.status(200).json({ success: true, deliveries });
+  })
+);
+
+// Get a webhook delivery with its attempt log
+router.get(
+  "/webhooks/deliveries/:id",
+  validate(schemas["GET /webhooks/deliveries/:id"]),
+  asyncHandler(async (req, res) => {
+    const delivery = await webhookUtils.getWebhookDelivery(req.params.id);
+
+    res.status(200).json({ success: true, delivery });
+  })
+);
+
+// Send a delivered or failed webhook delivery again
+router.post(
+  "/webhooks/deliveries/:id/replay",
+  validate(schemas["POST /webhooks/deliveries/:id/replay"]),
+  asyncHandler(async (req, res) => {
+    const delivery = await webhookUtils.replayWebhookDelivery(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Delivery queued for replay",
+      delivery,
+    });
+  })
+);
+
+module.exports = router;
@@ -2,20 +2,114 @@ const express = require("express");
 const router = express.Router();
 const logger = require("../utils/logger");
 const authUtils = require("../utils/auth.utils");
+const accountUtils = require("../utils/account.utils");
+const authConfig = require("../config/auth.config");
+const { parseWalletAddress } = require("../utils/wallet.utils");
+const { requireAuth, requireSelf } = require("../middleware/auth.middleware");
+const { asyncHandler } = require("../middleware/error.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rate-limit.middleware");
+const { auditAuthEvent } = require("../middleware/auth-event.middleware");
+const {
+  AUTH_EVENT_ACTIONS,
+  listUserAuthEvents,
+} = require("../utils/auth-event.utils");
+const schemas = require("../schemas/auth.schemas");
+const {
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+} = require("../utils/errors");
+const {
+  normalizeUsername,
+  isSameUsername,
+} = require("../utils/username.utils");
+
+// Format a linked wallet for API responses
+const formatWallet = ({ address, chain, isPrimary, linkedAt }) => ({
+  address,
+  chain,
+  isPrimary,
+  linkedAt: linkedAt || null,
+});
+
+// Tell the auth event middleware who signed in and whether the account is new
+const setSignInEvent = (res, { uid, isNewUser }) => {
+  res.locals.authEvent = {
+    uid,
+    action: isNewUser ? AUTH_EVENT_ACTIONS.SIGN_UP : AUTH_EVENT_ACTIONS.LOGIN,
+  };
+};
+
+// Authenticate a user and send the unified authentication response
+const authenticateAndRespond = async (
+  res,
+  { walletAddress, username, walletVerified = false, chain = null }
+) => {
+  // If wallet provided, check for username mismatch first
+  if (walletAddress && username) {
+    const existingUser = await authUtils.getUserByWallet(walletAddress);
+    if (existingUser && !isSameUsername(existingUser.username, username)) {
+      logger.info(
+        `User attempted to use wallet ${walletAddress} with username '${username}' but it's already linked to '${existingUser.username}'`
+      );
+
+      throw new BadRequestError(
+        `This wallet address is already linked to username '${
+          existingUser.username || "none"
+        }'. Please use the correct username or create a new account.`,
+        "WALLET_LINKED_TO_DIFFERENT_USERNAME",
+        { existingUsername: existingUser.username || null }
+      );
+    }
+  }
 
-// Error handling middleware
-const handleError = (res, error, message = "An error occurred") => {
-  logger.error(`${message}:`, error);
-  res.status(500).json({
-    success: false,
-    message,
-    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  // Use unified authentication function with optional wallet address
+  const {
+    uid,
+    token,
+    isNewUser,
+    username: existingUsername,
+    authType,
+  } = await authUtils.unifiedWalletAuth(walletAddress, username, {
+    walletVerified,
+    chain,
+  });
+
+  setSignInEvent(res, { uid, isNewUser });
+
+  // Create appropriate success message based on auth type and whether it's a new user
+  let successMessage;
+  if (isNewUser) {
+    successMessage =
+      authType === "wallet"
+        ? "New user created with wallet"
+        : "New anonymous user created";
+  } else {
+    successMessage =
+      authType === "wallet"
+        ? "Authenticated with existing wallet"
+        : "Logged in with existing username";
+  }
+
+  res.status(200).json({
+    success: true,
+    token,
+    uid,
+    isNewUser,
+    username: existingUsername || username || null,
+    authType,
+    message: successMessage,
   });
 };
 
 // Unified Authentication (Handles both wallet and anonymous authentication)
-router.post("/authenticate", async (req, res) => {
-  try {
+router.post(
+  "/authenticate",
+  rateLimit("authenticate"),
+  auditAuthEvent(AUTH_EVENT_ACTIONS.LOGIN),
+  validate(schemas["POST /authenticate"]),
+  asyncHandler(async (req, res) => {
     const { walletAddress, username } = req.body;
 
     // Log the authentication request for debugging
@@ -27,183 +121,207 @@ router.post("/authenticate", async (req, res) => {
       }`
     );
 
-    // If wallet provided, check for username mismatch first
-    if (walletAddress && username) {
-      const existingUser = await authUtils.getUserByWallet(walletAddress);
-      if (existingUser && existingUser.username !== username) {
-        logger.info(
-          `User attempted to use wallet ${walletAddress} with username '${username}' but it's already linked to '${existingUser.username}'`
-        );
-
-        return res.status(400).json({
-          success: false,
-          message: `This wallet address is already linked to username '${
-            existingUser.username || "none"
-          }'. Please use the correct username or create a new account.`,
-          error: "WALLET_LINKED_TO_DIFFERENT_USERNAME",
-          existingUsername: existingUser.username || null,
-        });
-      }
+    if (walletAddress && !authConfig.allowInsecureWalletAuth) {
+      throw authUtils.walletSignatureRequiredError();
     }
 
-    // Use unified authentication function with optional wallet address
-    const {
-      uid,
-      token,
-      isNewUser,
-      username: existingUsername,
-      authType,
-    } = await authUtils.unifiedWalletAuth(walletAddress, username);
-
-    // Create appropriate success message based on auth type and whether it's a new user
-    let successMessage;
-    if (isNewUser) {
-      successMessage =
-        authType === "wallet"
-          ? "New user created with wallet"
-          : "New anonymous user created";
-    } else {
-      successMessage =
-        authType === "wallet"
-          ? "Authenticated with existing wallet"
-          : "Logged in with existing username";
-    }
+    await authenticateAndRespond(res, { walletAddress, username });
+  })
+);
+
+// Issue a sign-in challenge for an EVM or Solana wallet
+router.post(
+  "/wallet/nonce",
+  rateLimit("walletNonce"),
+  validate(schemas["POST /wallet/nonce"]),
+  asyncHandler(async (req, res) => {
+    const { walletAddress, chain, chainId } = req.body;
+
+    const challenge = await authUtils.createWalletChallenge(walletAddress, {
+      chain,
+      chainId,
+    });
 
     res.status(200).json({
       success: true,
-      token,
-      uid,
-      isNewUser,
-      username: existingUsername || username || null,
-      authType,
-      message: successMessage,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      chain: challenge.chain,
+      chainId: challenge.chainId,
+      expiresAt: challenge.expiresAt,
     });
-  } catch (error) {
-    if (
-      error.message &&
-      error.message.includes("already linked to a different wallet")
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "USERNAME_HAS_DIFFERENT_WALLET",
-      });
-    } else if (error.message && error.message.includes("already taken")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "USERNAME_ALREADY_EXISTS",
-      });
-    } else if (
-      error.message &&
-      (error.message.includes("Properties argument must be") ||
-        error.message.includes("Invalid data format for user creation"))
-    ) {
-      // Handle Firebase-specific error for invalid document updates
-      logger.error("Invalid data format error:", error);
-      return res.status(400).json({
-        success: false,
-        message:
-          "Invalid data provided for authentication. Please check your username and wallet address format.",
-        error: "INVALID_DATA_FORMAT",
-      });
-    } else if (error.message && error.message.includes("Invalid user ID")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "INVALID_USER_ID",
-      });
+  })
+);
+
+// Verify a signed challenge and authenticate the wallet that signed it
+router.post(
+  "/wallet/verify",
+  rateLimit("authenticate"),
+  auditAuthEvent(AUTH_EVENT_ACTIONS.LOGIN),
+  validate(schemas["POST /wallet/verify"]),
+  asyncHandler(async (req, res) => {
+    const { message, signature, username } = req.body;
+
+    const { walletAddress, chain } = await authUtils.verifyWalletSignature(
+      message,
+      signature
+    );
+
+    await authenticateAndRespond(res, {
+      walletAddress,
+      username,
+      walletVerified: true,
+      chain,
+    });
+  })
+);
+
+// Link an additional wallet to an existing user. The wallet must sign a
+// challenge from /wallet/nonce to prove the caller controls it.
+router.post(
+  "/wallet/link",
+  auditAuthEvent(AUTH_EVENT_ACTIONS.WALLET_LINK),
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /wallet/link"]),
+  asyncHandler(async (req, res) => {
+    const { message, signature } = req.body;
+    const { uid } = req.user;
+    let { walletAddress } = req.body;
+
+    if (message || signature) {
+      ({ walletAddress } = await authUtils.verifyWalletSignature(
+        message,
+        signature
+      ));
+    } else if (!walletAddress) {
+      throw new ValidationError([
+        { field: "body.message", message: "is required" },
+        { field: "body.signature", message: "is required" },
+      ]);
+    } else if (!authConfig.allowInsecureWalletAuth) {
+      throw authUtils.walletSignatureRequiredError();
     }
-    handleError(res, error, "Failed to authenticate user");
-  }
-});
 
-// Link or Update Wallet to Existing User
-router.post("/wallet/link", async (req, res) => {
-  try {
-    const { walletAddress, uid, currentWalletAddress } = req.body;
+    // Link the wallet address alongside any existing ones
+    const { isPrimary, walletAddress: canonicalAddress } =
+      await authUtils.linkWalletToUser(uid, walletAddress);
 
-    if (!walletAddress || !uid) {
-      return res.status(400).json({
-        success: false,
-        message: "Wallet address and user ID are required",
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: "Wallet linked successfully",
+      isPrimary,
+      walletAddress: canonicalAddress,
+    });
+  })
+);
+
+// Replace a linked wallet with a new one, proven by signatures from both
+router.post(
+  "/wallet/rotate",
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /wallet/rotate"]),
+  asyncHandler(async (req, res) => {
+    const { oldWallet, newWallet } = req.body;
+    const { uid } = req.user;
+
+    const { fromAddress, toAddress, isPrimary } = await authUtils.rotateWallet(
+      uid,
+      { oldWallet, newWallet },
+      { ip: req.ip, userAgent: req.get("user-agent") || null }
+    );
 
-    // Check if the new wallet address is already linked to another user
-    const existingUserWithWallet = await authUtils.getUserByWallet(
+    res.status(200).json({
+      success: true,
+      message: "Wallet rotated successfully",
+      fromAddress,
+      toAddress,
+      isPrimary,
+    });
+  })
+);
+
+// Unlink a wallet from a user. `/wallet/remove` is kept as an alias.
+router.post(
+  ["/wallet/unlink", "/wallet/remove"],
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /wallet/unlink"]),
+  asyncHandler(async (req, res) => {
+    const { walletAddress } = req.body;
+    const { uid } = req.user;
+
+    const { primaryWalletAddress } = await authUtils.removeWalletFromUser(
+      uid,
       walletAddress
     );
-    if (existingUserWithWallet && existingUserWithWallet.uid !== uid) {
-      return res.status(400).json({
-        success: false,
-        message: "This wallet address is already linked to another account",
-        error: "WALLET_ALREADY_LINKED",
-      });
-    }
 
-    // Get the current user
-    const currentUser = await authUtils.getUserById(uid);
-    if (!currentUser) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-        error: "USER_NOT_FOUND",
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: "Wallet removed successfully",
+      primaryWalletAddress,
+    });
+  })
+);
+
+// Merge the signed-in anonymous account into the account of a wallet it signs for
+router.post(
+  "/merge",
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /merge"]),
+  asyncHandler(async (req, res) => {
+    const { message, signature } = req.body;
+    const { uid } = req.user;
+
+    const merged = await authUtils.mergeAnonymousAccount(uid, {
+      message,
+      signature,
+    });
 
-    // If user already has a wallet, verify the current wallet address matches
-    if (
-      currentUser.walletAddress &&
-      currentUser.walletAddress !== currentWalletAddress
-    ) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Current wallet address does not match the account's linked wallet",
-        error: "WALLET_MISMATCH",
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: "Accounts merged successfully",
+      uid: merged.uid,
+      token: merged.token,
+      mergedFrom: merged.mergedFrom,
+      username: merged.username,
+      movedFields: merged.movedFields,
+    });
+  })
+);
+
+// Mark a linked wallet as the user's primary wallet
+router.post(
+  "/wallet/primary",
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /wallet/primary"]),
+  asyncHandler(async (req, res) => {
+    const { walletAddress } = req.body;
+    const { uid } = req.user;
 
-    // Update or link the wallet address
-    await authUtils.linkWalletToUser(uid, walletAddress);
+    await authUtils.setPrimaryWallet(uid, walletAddress);
 
     res.status(200).json({
       success: true,
-      message: currentUser.walletAddress
-        ? "Wallet address updated successfully"
-        : "Wallet linked successfully",
-      walletAddress: walletAddress,
+      message: "Primary wallet updated successfully",
+      primaryWalletAddress: parseWalletAddress(walletAddress).canonicalAddress,
     });
-  } catch (error) {
-    if (error.message === "Wallet already linked to another user") {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "WALLET_ALREADY_LINKED",
-      });
-    } else if (error.message === "User not found") {
-      return res.status(404).json({
-        success: false,
-        message: error.message,
-        error: "USER_NOT_FOUND",
-      });
-    }
-    handleError(res, error, "Failed to update wallet address");
-  }
-});
+  })
+);
 
 // Update Username
-router.post("/username", async (req, res) => {
-  try {
-    const { uid, username } = req.body;
-
-    if (!uid || !username) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID and username are required",
-      });
-    }
+router.post(
+  "/username",
+  auditAuthEvent(AUTH_EVENT_ACTIONS.RENAME),
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /username"]),
+  asyncHandler(async (req, res) => {
+    const { username } = req.body;
+    const { uid } = req.user;
 
     // Update username
     await authUtils.updateUsername(uid, username);
@@ -211,94 +329,81 @@ router.post("/username", async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Username updated successfully",
-      username,
+      username: normalizeUsername(username),
     });
-  } catch (error) {
-    if (error.message && error.message.includes("already taken")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "USERNAME_ALREADY_EXISTS",
-      });
-    }
-    handleError(res, error, "Failed to update username");
-  }
-});
+  })
+);
 
 // Logout endpoint
-router.post("/logout", async (req, res) => {
-  try {
-    const { uid } = req.body;
-
-    if (!uid) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
-
-    // Update last active timestamp and handle logout
-    await authUtils.updateUserLastActive(uid);
+router.post(
+  "/logout",
+  auditAuthEvent(AUTH_EVENT_ACTIONS.LOGOUT),
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /logout"]),
+  asyncHandler(async (req, res) => {
+    const { uid, auth_time: authTime } = req.user;
+
+    // Update last active timestamp and revoke the current session
+    await authUtils.updateUserLastActive(uid, { authTime });
 
     res.status(200).json({
       success: true,
       message: "Logged out successfully",
       instructions: "Please clear any stored tokens from your client storage",
     });
-  } catch (error) {
-    logger.error("Logout error:", error);
-
-    if (error.message === "User ID is required") {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "MISSING_USER_ID",
-      });
-    } else if (
-      error.message &&
-      error.message.includes("No document to update")
-    ) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-        error: "USER_NOT_FOUND",
-      });
-    }
+  })
+);
+
+// Log out every session of the user, e.g. to cut off a compromised device
+router.post(
+  "/logout/everywhere",
+  auditAuthEvent(AUTH_EVENT_ACTIONS.LOGOUT),
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /logout/everywhere"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.user;
+
+    // Revoke refresh tokens and every ID token issued before now
+    await authUtils.updateUserLastActive(uid, { everywhere: true });
 
-    handleError(res, error, "Failed to logout");
-  }
-});
+    res.status(200).json({
+      success: true,
+      message: "Logged out of every session successfully",
+      instructions: "Please clear any stored tokens from your client storage",
+    });
+  })
+);
 
 // Get user profile
-router.get("/user/:uid", async (req, res) => {
-  try {
+router.get(
+  "/user/:uid",
+  rateLimit("lookup"),
+  validate(schemas["GET /user/:uid"]),
+  asyncHandler(async (req, res) => {
     const { uid } = req.params;
 
-    if (!uid) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
-
     // Get user profile
     const user = await authUtils.getUserById(uid);
 
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
     }
 
+    const wallets = await authUtils.listUserWallets(uid);
+
     // Remove sensitive information
     const {
       createdAt,
       lastActive,
       walletLinkedAt,
       walletAddress,
+      walletChain,
       isAnonymous,
       username,
+      usernameVerifiedBy,
+      deletionScheduledFor,
     } = user;
 
     res.status(200).json({
@@ -306,55 +411,215 @@ router.get("/user/:uid", async (req, res) => {
       user: {
         uid,
         username: username || null,
+        // Wallet whose ENS or SNS name the username is
+        usernameVerifiedBy: usernameVerifiedBy || null,
         isAnonymous,
         hasWallet: !!walletAddress,
         walletAddress: walletAddress || null,
-        createdAt: createdAt ? createdAt.toDate() : null,
-        lastActive: lastActive ? lastActive.toDate() : null,
-        walletLinkedAt: walletLinkedAt ? walletLinkedAt.toDate() : null,
+        walletChain: walletChain || null,
+        createdAt: createdAt || null,
+        lastActive: lastActive || null,
+        walletLinkedAt: walletLinkedAt || null,
+        wallets: wallets.map(formatWallet),
+        deletionScheduledFor: deletionScheduledFor || null,
       },
     });
-  } catch (error) {
-    handleError(res, error, "Failed to get user profile");
-  }
-});
+  })
+);
+
+// Export everything stored about the signed-in user as a JSON archive
+router.get(
+  "/user/:uid/export",
+  requireAuth,
+  requireSelf,
+  validate(schemas["GET /user/:uid/export"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.user;
+
+    const archive = await accountUtils.exportUserData(uid);
+    if (!archive) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
 
-// Check username availability
-router.get("/username/available/:username", async (req, res) => {
-  try {
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="user-${uid}-export.json"`
+    );
+    res.status(200).json({
+      success: true,
+      data: archive,
+    });
+  })
+);
+
+// Delete the signed-in user, or schedule the deletion during the grace period
+router.delete(
+  "/user/:uid",
+  requireAuth,
+  requireSelf,
+  validate(schemas["DELETE /user/:uid"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.user;
+
+    const { deleted, scheduledFor } = await accountUtils.requestAccountDeletion(
+      uid
+    );
+
+    res.status(200).json({
+      success: true,
+      message: deleted
+        ? "Account deleted successfully"
+        : "Account deletion scheduled",
+      deleted,
+      scheduledFor,
+    });
+  })
+);
+
+// Undo a scheduled deletion during the grace period
+router.post(
+  "/user/:uid/restore",
+  requireAuth,
+  requireSelf,
+  validate(schemas["POST /user/:uid/restore"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.user;
+
+    await accountUtils.cancelAccountDeletion(uid);
+
+    res.status(200).json({
+      success: true,
+      message: "Account deletion cancelled",
+    });
+  })
+);
+
+// List the signed-in user's recent sign-ins, account changes and failures
+router.get(
+  "/user/:uid/activity",
+  requireAuth,
+  requireSelf,
+  validate(schemas["GET /user/:uid/activity"]),
+  asyncHandler(async (req, res) => {
+    const events = await listUserAuthEvents(req.user.uid, {
+      limit: req.query.limit ? Number(req.query.limit) : 20,
+    });
+
+    res.status(200).json({
+      success: true,
+      events: events.map(
+        ({ action, outcome, errorCode, userAgent, createdAt }) => ({
+          action,
+          outcome,
+          errorCode,
+          userAgent,
+          createdAt,
+        })
+      ),
+    });
+  })
+);
+
+// List every wallet linked to a user
+router.get(
+  "/user/:uid/wallets",
+  rateLimit("lookup"),
+  validate(schemas["GET /user/:uid/wallets"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.params;
+
+    const user = await authUtils.getUserById(uid);
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+
+    const wallets = await authUtils.listUserWallets(uid);
+
+    res.status(200).json({
+      success: true,
+      wallets: wallets.map(formatWallet),
+    });
+  })
+);
+
+// List a user's username changes
+router.get(
+  "/user/:uid/username-history",
+  requireAuth,
+  requireSelf,
+  validate(schemas["GET /user/:uid/username-history"]),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.user;
+
+    const history = await authUtils.getUsernameHistory(uid);
+
+    res.status(200).json({
+      success: true,
+      history: history.map(
+        ({ username, previousUsername, changedAt, reason }) => ({
+          username,
+          previousUsername,
+          changedAt: changedAt || null,
+          ...(reason ? { reason } : {}),
+        })
+      ),
+    });
+  })
+);
+
+// Resolve a username to its account. Usernames released by a rename keep
+// resolving to their previous owner during the hold period.
+router.get(
+  "/username/:username",
+  rateLimit("lookup"),
+  validate(schemas["GET /username/:username"]),
+  asyncHandler(async (req, res) => {
     const { username } = req.params;
 
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: "Username is required",
-      });
+    const user = await authUtils.getUserByUsername(username);
+
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
     }
 
-    // Check if username exists
-    const exists = await authUtils.isUsernameExists(username);
+    res.status(200).json({
+      success: true,
+      uid: user.id,
+      username: user.username || null,
+      redirected: !isSameUsername(user.username, username),
+    });
+  })
+);
+
+// Check username availability
+router.get(
+  "/username/available/:username",
+  rateLimit("lookup"),
+  validate(schemas["GET /username/available/:username"]),
+  asyncHandler(async (req, res) => {
+    const { username } = req.params;
+
+    // Check the username policy and whether it is already reserved
+    const { available, rule, message } =
+      await authUtils.checkUsernameAvailability(username);
 
     res.status(200).json({
       success: true,
-      available: !exists,
+      available,
+      rule,
+      message,
     });
-  } catch (error) {
-    handleError(res, error, "Failed to check username availability");
-  }
-});
+  })
+);
 
 // Check wallet availability
-router.get("/wallet/available/:walletAddress", async (req, res) => {
-  try {
+router.get(
+  "/wallet/available/:walletAddress",
+  rateLimit("lookup"),
+  validate(schemas["GET /wallet/available/:walletAddress"]),
+  asyncHandler(async (req, res) => {
     const { walletAddress } = req.params;
 
-    if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        message: "Wallet address is required",
-      });
-    }
-
     // Check if wallet address exists
     const exists = await authUtils.isWalletExists(walletAddress);
 
@@ -362,14 +627,16 @@ router.get("/wallet/available/:walletAddress", async (req, res) => {
       success: true,
       available: !exists,
     });
-  } catch (error) {
-    handleError(res, error, "Failed to check wallet availability");
-  }
-});
+  })
+);
 
 // Add backward compatibility routes
-router.post("/anonymous", async (req, res) => {
-  try {
+router.post(
+  "/anonymous",
+  rateLimit("authenticate"),
+  auditAuthEvent(AUTH_EVENT_ACTIONS.LOGIN),
+  validate(schemas["POST /anonymous"]),
+  asyncHandler(async (req, res) => {
     const { username } = req.body;
 
     // Forward to the unified authentication endpoint without wallet address
@@ -380,6 +647,7 @@ router.post("/anonymous", async (req, res) => {
       username: existingUsername,
       authType,
     } = await authUtils.unifiedWalletAuth(null, username);
+    setSignInEvent(res, { uid, isNewUser });
 
     res.status(200).json({
       success: true,
@@ -392,54 +660,35 @@ router.post("/anonymous", async (req, res) => {
         ? "New anonymous user created"
         : "Logged in with existing username",
     });
-  } catch (error) {
-    if (error.message && error.message.includes("already taken")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "USERNAME_ALREADY_EXISTS",
-      });
-    } else if (
-      error.message &&
-      error.message.includes("Properties argument must be")
-    ) {
-      // Handle Firebase-specific error for invalid document updates
-      return res.status(400).json({
-        success: false,
-        message: "Invalid data provided for authentication",
-        error: "INVALID_DATA_FORMAT",
-      });
-    } else if (error.message && error.message.includes("Invalid user ID")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "INVALID_USER_ID",
-      });
-    }
-    handleError(res, error, "Failed to process anonymous user request");
-  }
-});
-
-router.post("/wallet/connect", async (req, res) => {
-  try {
+  })
+);
+
+router.post(
+  "/wallet/connect",
+  rateLimit("authenticate"),
+  auditAuthEvent(AUTH_EVENT_ACTIONS.LOGIN),
+  validate(schemas["POST /wallet/connect"]),
+  asyncHandler(async (req, res) => {
     const { walletAddress, username } = req.body;
 
-    if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        message: "Wallet address is required",
-      });
+    if (!authConfig.allowInsecureWalletAuth) {
+      throw authUtils.walletSignatureRequiredError();
     }
 
     // Check first if wallet exists with a different username
     const existingUser = await authUtils.getUserByWallet(walletAddress);
-    if (existingUser && username && existingUser.username !== username) {
+    if (
+      existingUser &&
+      username &&
+      !isSameUsername(existingUser.username, username)
+    ) {
       logger.info(
         `Using existing account with username '${existingUser.username}' instead of requested '${username}'`
       );
 
       // Forward to unified authentication but with a note about username difference
       const authResult = await authUtils.unifiedWalletAuth(walletAddress, null);
+      setSignInEvent(res, authResult);
 
       return res.status(200).json({
         success: true,
@@ -464,6 +713,7 @@ router.post("/wallet/connect", async (req, res) => {
       username: existingUsername,
       authType,
     } = await authUtils.unifiedWalletAuth(walletAddress, username);
+    setSignInEvent(res, { uid, isNewUser });
 
     res.status(200).json({
       success: true,
@@ -476,41 +726,7 @@ router.post("/wallet/connect", async (req, res) => {
         ? "New user created with wallet"
         : "Authenticated with existing wallet",
     });
-  } catch (error) {
-    if (
-      error.message &&
-      error.message.includes("already linked to a different wallet")
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "USERNAME_HAS_DIFFERENT_WALLET",
-      });
-    } else if (error.message && error.message.includes("already taken")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "USERNAME_ALREADY_EXISTS",
-      });
-    } else if (
-      error.message &&
-      error.message.includes("Properties argument must be")
-    ) {
-      // Handle Firebase-specific error for invalid document updates
-      return res.status(400).json({
-        success: false,
-        message: "Invalid data provided for authentication",
-        error: "INVALID_DATA_FORMAT",
-      });
-    } else if (error.message && error.message.includes("Invalid user ID")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        error: "INVALID_USER_ID",
-      });
-    }
-    handleError(res, error, "Failed to authenticate with wallet");
-  }
-});
+  })
+);
 
 module.exports = router;
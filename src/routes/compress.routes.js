@@ -4,12 +4,20 @@ const multer = require("multer");
 const ffmpeg = require("fluent-ffmpeg");
 const fs = require("fs");
 const { execSync } = require("child_process");
+const authConfig = require("../config/auth.config");
+const { authIf } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rate-limit.middleware");
+const schemas = require("../schemas/compress.schemas");
+
+// Require a Firebase ID token when enabled with REQUIRE_AUTH_COMPRESS
+const compressAuth = authIf(authConfig.requireAuthForCompress);
 
 // Configure multer for video uploads
 const upload = multer({ 
   dest: '/tmp/uploads/',
   limits: {
-    fileSize: 500 * 1024 * 1024 // 500MB max
+    fileSize: schemas["POST /compress-video"].file.maxSize
   }
 });
 
@@ -40,11 +48,7 @@ router.get("/health", (req, res) => {
 });
 
 // Video compression endpoint
-router.post("/compress-video", upload.single('video'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No video file provided' });
-  }
-
+router.post("/compress-video", compressAuth, rateLimit("compress"), upload.single('video'), validate(schemas["POST /compress-video"]), async (req, res) => {
   const inputPath = req.file.path;
   const outputPath = `/tmp/compressed_${Date.now()}.mp4`;
   
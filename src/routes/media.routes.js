@@ -6,9 +6,22 @@ const { promisify } = require("util");
 const admin = require("firebase-admin");
 const { readFile, unlink } = require("fs/promises");
 const { existsSync } = require("fs");
+const authConfig = require("../config/auth.config");
+const { authIf, optionalAuth } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rate-limit.middleware");
+const schemas = require("../schemas/media.schemas");
+const { recordUserThumbnail } = require("../utils/account.utils");
 
 const execAsync = promisify(exec);
 
+// Require a Firebase ID token when enabled with REQUIRE_AUTH_MEDIA
+const mediaAuth = authIf(authConfig.requireAuthForMedia);
+
+// Thumbnails are recorded on their uploader's account, so a token is always
+// resolved when one is sent, even if the route does not require it
+const thumbnailAuth = authConfig.requireAuthForMedia ? mediaAuth : optionalAuth;
+
 // Helper function to check if URL is a processable image
 function isProcessableImage(url) {
   if (!url) return false;
@@ -28,14 +41,10 @@ function isProcessableImage(url) {
 }
 
 // Blur generation endpoint
-router.post("/generate-ImgBlur", async (req, res) => {
+router.post("/generate-ImgBlur", mediaAuth, rateLimit("media"), validate(schemas["POST /generate-ImgBlur"]), async (req, res) => {
   try {
     const { imageUrl } = req.body;
 
-    if (!imageUrl) {
-      return res.status(400).json({ error: "Image URL is required" });
-    }
-
     // Check if it's a processable image
     if (!isProcessableImage(imageUrl)) {
       console.log(`Skipping blur generation for non-image: ${imageUrl}`);
@@ -88,18 +97,13 @@ router.post("/generate-ImgBlur", async (req, res) => {
 });
 
 // Video thumbnail generation endpoint
-router.post("/generate-vidThumbnail", async (req, res) => {
+router.post("/generate-vidThumbnail", thumbnailAuth, rateLimit("media"), validate(schemas["POST /generate-vidThumbnail"]), async (req, res) => {
   const { videoUrl, docId } = req.body;
 
   let tempVideoPath = null;
   let thumbnailPath = null;
 
   try {
-    // Validate inputs
-    if (!videoUrl || !docId) {
-      return res.status(400).json({ error: "Missing videoUrl or docId" });
-    }
-
     // Check if FFmpeg is available
     try {
       await execAsync("ffmpeg -version");
@@ -164,6 +168,11 @@ router.post("/generate-vidThumbnail", async (req, res) => {
     // Get the public URL
     const thumbnailUrl = `https://storage.googleapis.com/${bucket.name}/${thumbnailFileName}`;
 
+    // Track thumbnails of signed-in uploaders so they are exported and deleted with the account
+    if (req.user) {
+      await recordUserThumbnail(req.user.uid, docId, thumbnailFileName, thumbnailUrl);
+    }
+
     console.log(`Thumbnail generated successfully: ${thumbnailUrl}`);
 
     return res.json({
@@ -0,0 +1,85 @@
+const { uid, walletAddress, username, object } = require("./common.schemas");
+const { ROLES } = require("../utils/role.utils");
+
+const uidParams = object({ uid }, ["uid"]);
+
+const deliveryParams = object(
+  { id: { type: "string", pattern: "^[A-Za-z0-9]{1,128}$" } },
+  ["id"]
+);
+
+/**
+ * Request schemas for the routes in routes/admin.routes.js, keyed by
+ * "METHOD /path" below /api/admin
+ */
+module.exports = {
+  "GET /users": {
+    query: object({
+      limit: {
+        type: "string",
+        pattern: "^([1-9][0-9]?|100)$",
+        description: "Users per page, 1 to 100",
+      },
+      cursor: { ...uid, description: "nextCursor of the previous page" },
+    }),
+  },
+  "GET /users/search": {
+    query: object(
+      {
+        q: {
+          type: "string",
+          minLength: 1,
+          maxLength: 256,
+          description: "uid, username or wallet address",
+        },
+      },
+      ["q"]
+    ),
+  },
+  "GET /users/:uid": {
+    params: uidParams,
+  },
+  "GET /users/:uid/history": {
+    params: uidParams,
+  },
+  "POST /users/:uid/disable": {
+    params: uidParams,
+    body: object({
+      reason: {
+        type: ["string", "null"],
+        maxLength: 500,
+        description: "Why the account is disabled, shown to other admins",
+      },
+    }),
+  },
+  "POST /users/:uid/enable": {
+    params: uidParams,
+  },
+  "POST /users/:uid/username": {
+    params: uidParams,
+    body: object({ username }, ["username"]),
+  },
+  "DELETE /users/:uid/wallets/:walletAddress": {
+    params: object({ uid, walletAddress }, ["uid", "walletAddress"]),
+  },
+  "POST /users/:uid/role": {
+    params: uidParams,
+    body: object({ role: { type: "string", enum: ROLES } }, ["role"]),
+  },
+  "GET /webhooks/deliveries": {
+    query: object({
+      status: { type: "string", enum: ["pending", "delivered", "failed"] },
+      limit: {
+        type: "string",
+        pattern: "^([1-9][0-9]?|100)$",
+        description: "Deliveries to return, 1 to 100",
+      },
+    }),
+  },
+  "GET /webhooks/deliveries/:id": {
+    params: deliveryParams,
+  },
+  "POST /webhooks/deliveries/:id/replay": {
+    params: deliveryParams,
+  },
+};
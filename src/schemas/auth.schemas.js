@@ -0,0 +1,137 @@
+const {
+  uid,
+  walletAddress,
+  username,
+  signedMessage,
+  signature,
+  signedChallenge,
+  object,
+  nullable,
+} = require("./common.schemas");
+
+// The uid taken from the ID token; a body uid is accepted but must match it
+const bodyUid = { ...uid, description: "Must match the authenticated user" };
+
+const uidParams = object({ uid }, ["uid"]);
+
+/**
+ * Request schemas for the routes in routes/auth.routes.js, keyed by
+ * "METHOD /path" below /api/auth
+ */
+module.exports = {
+  "POST /authenticate": {
+    body: object({
+      walletAddress: nullable(walletAddress),
+      username: nullable(username),
+    }),
+  },
+  "POST /wallet/nonce": {
+    body: object(
+      {
+        walletAddress,
+        chain: {
+          type: "string",
+          maxLength: 32,
+          description: 'Chain family, "evm" (default) or "solana"',
+        },
+        chainId: {
+          type: ["integer", "string"],
+          maxLength: 64,
+          description: "EIP-155 chain ID for EVM or cluster name for Solana",
+        },
+      },
+      ["walletAddress"]
+    ),
+  },
+  "POST /wallet/verify": {
+    body: object(
+      { message: signedMessage, signature, username: nullable(username) },
+      ["message", "signature"]
+    ),
+  },
+  "POST /wallet/link": {
+    body: object({
+      uid: bodyUid,
+      message: signedMessage,
+      signature,
+      walletAddress: {
+        ...walletAddress,
+        description: "Only with ALLOW_INSECURE_WALLET_AUTH=true",
+      },
+    }),
+  },
+  "POST /wallet/rotate": {
+    body: object(
+      { uid: bodyUid, oldWallet: signedChallenge, newWallet: signedChallenge },
+      ["oldWallet", "newWallet"]
+    ),
+  },
+  "POST /wallet/unlink": {
+    body: object({ uid: bodyUid, walletAddress }, ["walletAddress"]),
+  },
+  "POST /merge": {
+    body: object({ uid: bodyUid, message: signedMessage, signature }, [
+      "message",
+      "signature",
+    ]),
+  },
+  "POST /wallet/primary": {
+    body: object({ uid: bodyUid, walletAddress }, ["walletAddress"]),
+  },
+  "POST /username": {
+    body: object({ uid: bodyUid, username: { ...username, minLength: 1 } }, [
+      "username",
+    ]),
+  },
+  "POST /logout": {
+    body: object({ uid: bodyUid }),
+  },
+  "POST /logout/everywhere": {
+    body: object({ uid: bodyUid }),
+  },
+  "GET /user/:uid": {
+    params: uidParams,
+  },
+  "GET /user/:uid/export": {
+    params: uidParams,
+  },
+  "DELETE /user/:uid": {
+    params: uidParams,
+  },
+  "POST /user/:uid/restore": {
+    params: uidParams,
+  },
+  "GET /user/:uid/activity": {
+    params: uidParams,
+    query: object({
+      limit: {
+        type: "string",
+        pattern: "^([1-9][0-9]?|100)$",
+        description: "Events to return, 1 to 100 (default 20)",
+      },
+    }),
+  },
+  "GET /user/:uid/wallets": {
+    params: uidParams,
+  },
+  "GET /user/:uid/username-history": {
+    params: uidParams,
+  },
+  "GET /username/:username": {
+    params: object({ username }, ["username"]),
+  },
+  "GET /username/available/:username": {
+    params: object({ username }, ["username"]),
+  },
+  "GET /wallet/available/:walletAddress": {
+    params: object({ walletAddress }, ["walletAddress"]),
+  },
+  "POST /anonymous": {
+    body: object({ username: nullable(username) }),
+  },
+  "POST /wallet/connect": {
+    body: object({ walletAddress, username: nullable(username) }, [
+      "walletAddress",
+    ]),
+  },
+};
@@ -0,0 +1,80 @@
+/**
+ * Field schemas shared by the route schemas. Lengths are upper bounds that
+ * keep oversized input away from the handlers; the auth utilities still apply
+ * the real rules (username policy, address checksums, chain support).
+ */
+
+const uid = {
+  type: "string",
+  minLength: 1,
+  maxLength: 128,
+  description: "User ID",
+};
+
+const walletAddress = {
+  type: "string",
+  minLength: 1,
+  maxLength: 128,
+  description: "EVM (0x…) or Solana (base58) wallet address",
+};
+
+const username = {
+  type: "string",
+  maxLength: 256,
+  description: "Username; checked against the username policy",
+};
+
+const signedMessage = {
+  type: "string",
+  minLength: 1,
+  maxLength: 4096,
+  description: "Challenge message exactly as issued by /api/auth/wallet/nonce",
+};
+
+const signature = {
+  type: "string",
+  minLength: 1,
+  maxLength: 1024,
+  description: "Signature over the message (hex for EVM, base58 for Solana)",
+};
+
+const signedChallenge = {
+  type: "object",
+  properties: { message: signedMessage, signature },
+  required: ["message", "signature"],
+  description: "A challenge from /api/auth/wallet/nonce signed by the wallet",
+};
+
+/**
+ * Build an object schema
+ * @param {object} properties - Property schemas by name
+ * @param {string[]} required - Names of the required properties
+ * @returns {object} The schema
+ */
+const object = (properties, required = []) => ({
+  type: "object",
+  properties,
+  required,
+});
+
+/**
+ * Allow null in addition to a schema's own type, for optional fields that
+ * clients send as null
+ * @param {object} schema - The schema
+ * @returns {object} The nullable schema
+ */
+const nullable = (schema) => ({
+  ...schema,
+  type: [].concat(schema.type, "null"),
+});
+
+module.exports = {
+  uid,
+  walletAddress,
+  username,
+  signedMessage,
+  signature,
+  signedChallenge,
+  object,
+  nullable,
+};
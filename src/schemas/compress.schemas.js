@@ -0,0 +1,18 @@
+// Largest video accepted for compression
+const MAX_VIDEO_SIZE = 500 * 1024 * 1024;
+
+/**
+ * Request schemas for the routes in routes/compress.routes.js, keyed by
+ * "METHOD /path" below /api/compress
+ */
+module.exports = {
+  "POST /compress-video": {
+    file: {
+      field: "video",
+      required: true,
+      mimeTypes: ["video/*"],
+      maxSize: MAX_VIDEO_SIZE,
+      description: "The video to compress (multipart/form-data)",
+    },
+  },
+};
@@ -0,0 +1,11 @@
+/**
+ * Request schemas for every route, grouped by the router's mount path. Route
+ * files pass them to the validate middleware; the same definitions can be
+ * turned into API documentation.
+ */
+module.exports = {
+  "/api/auth": require("./auth.schemas"),
+  "/api/media": require("./media.schemas"),
+  "/api/compress": require("./compress.schemas"),
+  "/api/admin": require("./admin.schemas"),
+};
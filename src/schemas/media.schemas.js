@@ -0,0 +1,34 @@
+const { object } = require("./common.schemas");
+
+const url = (description) => ({
+  type: "string",
+  format: "url",
+  maxLength: 2048,
+  description,
+});
+
+/**
+ * Request schemas for the routes in routes/media.routes.js, keyed by
+ * "METHOD /path" below /api/media
+ */
+module.exports = {
+  "POST /generate-ImgBlur": {
+    body: object({ imageUrl: url("Image to build a blur placeholder for") }, [
+      "imageUrl",
+    ]),
+  },
+  "POST /generate-vidThumbnail": {
+    body: object(
+      {
+        videoUrl: url("Video to take the thumbnail from"),
+        docId: {
+          type: "string",
+          // Used in Storage paths and shell commands, so no separators or quotes
+          pattern: "^[A-Za-z0-9_-]{1,128}$",
+          description: "ID of the document the video belongs to",
+        },
+      },
+      ["videoUrl", "docId"]
+    ),
+  },
+};
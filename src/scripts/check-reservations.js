@@ -0,0 +1,239 @@
+/**
+ * Checks that the `usernames` and `wallets` reservation documents agree with
+ * the `users` collection and reports:
+ *
+ * - orphaned reservations: the reserving user is gone or no longer holds the
+ *   username / wallet (released usernames count as held until their hold ends)
+ * - duplicated claims: several users hold the same username or wallet
+ * - missing reservations: a user holds a username or wallet nobody reserved
+ *
+ * With --backfill, missing reservations that are not contested are created.
+ * With --prune, orphaned reservations are deleted. Run both after a change to
+ * how reservation keys are derived (e.g. username normalization).
+ *
+ * Usage: npm run check:reservations -- [--backfill] [--prune]
+ */
+const admin = require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { getUsernameKey } = require("../utils/username.utils");
+const { parseWalletAddress } = require("../utils/wallet.utils");
+
+const PAGE_SIZE = 500;
+const backfill = process.argv.includes("--backfill");
+const prune = process.argv.includes("--prune");
+
+/**
+ * Load every document of a collection, page by page
+ * @param {string} name - Collection name
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>} The documents
+ */
+const loadCollection = async (name) => {
+  const db = admin.firestore();
+  const docs = [];
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db
+      .collection(name)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    docs.push(...snapshot.docs);
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return docs;
+};
+
+/**
+ * Group users by the reservation key of a field they hold
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} users - User documents
+ * @param {function(FirebaseFirestore.QueryDocumentSnapshot): string[]} getKeys - Keys a user holds
+ * @returns {Map<string, string[]>} Reservation key to uids
+ */
+const groupClaims = (users, getKeys) => {
+  const claims = new Map();
+
+  for (const user of users) {
+    for (const key of getKeys(user)) {
+      if (!claims.has(key)) claims.set(key, []);
+      claims.get(key).push(user.id);
+    }
+  }
+
+  return claims;
+};
+
+/**
+ * Compare reservations against the users that claim them
+ * @param {string} label - Reservation type for log output
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} reservations - Reservation documents
+ * @param {Map<string, string[]>} claims - Reservation key to claiming uids
+ * @param {function(string, string): object} buildReservation - Builds a missing reservation
+ * @returns {Promise<{orphaned: number, duplicated: number, missing: number, backfilled: number, pruned: number}>} Problem counts
+ */
+const checkReservations = async (
+  label,
+  reservations,
+  claims,
+  buildReservation
+) => {
+  const db = admin.firestore();
+  const reserved = new Map(reservations.map((doc) => [doc.id, doc]));
+  const result = {
+    orphaned: 0,
+    duplicated: 0,
+    missing: 0,
+    backfilled: 0,
+    pruned: 0,
+  };
+
+  for (const [key, doc] of reserved) {
+    const claimants = claims.get(key) || [];
+    if (!claimants.includes(doc.get("uid"))) {
+      result.orphaned++;
+      logger.warn(
+        `Orphaned ${label} reservation ${key}: reserved by ${doc.get(
+          "uid"
+        )}, held by ${claimants.join(", ") || "nobody"}`
+      );
+
+      if (prune) {
+        await doc.ref.delete();
+        result.pruned++;
+      }
+    }
+  }
+
+  for (const [key, uids] of claims) {
+    if (uids.length > 1) {
+      result.duplicated++;
+      logger.warn(`Duplicated ${label} ${key}: held by ${uids.join(", ")}`);
+      continue;
+    }
+
+    if (!reserved.has(key)) {
+      result.missing++;
+      logger.warn(`Missing ${label} reservation ${key} for user ${uids[0]}`);
+
+      if (backfill) {
+        await db
+          .collection(label === "username" ? "usernames" : "wallets")
+          .doc(key)
+          .set(buildReservation(key, uids[0]));
+        result.backfilled++;
+      }
+    }
+  }
+
+  return result;
+};
+
+async function runCheck() {
+  logger.info(
+    `Checking reservations${backfill ? " (backfilling missing ones)" : ""}${
+      prune ? " (pruning orphaned ones)" : ""
+    }...`
+  );
+
+  const [users, usernames, wallets] = await Promise.all([
+    loadCollection("users"),
+    loadCollection("usernames"),
+    loadCollection("wallets"),
+  ]);
+  const usersById = new Map(users.map((user) => [user.id, user]));
+
+  const usernameClaims = groupClaims(users, (user) =>
+    user.get("username") ? [getUsernameKey(user.get("username"))] : []
+  );
+
+  // A username released by a rename is still held by its previous owner until the hold ends
+  for (const reservation of usernames) {
+    const uid = reservation.get("uid");
+    const heldUntil = reservation.get("heldUntil");
+    const claimants = usernameClaims.get(reservation.id) || [];
+    if (
+      heldUntil &&
+      heldUntil.toMillis() > Date.now() &&
+      usersById.has(uid) &&
+      !claimants.includes(uid)
+    ) {
+      usernameClaims.set(reservation.id, [...claimants, uid]);
+    }
+  }
+
+  // A wallet is held by the user it is indexed for, or by the user whose primary it is
+  const walletClaims = groupClaims(users, (user) => {
+    const address = user.get("walletAddress");
+    if (!address) return [];
+    try {
+      return [parseWalletAddress(address).canonicalAddress];
+    } catch (error) {
+      logger.warn(`User ${user.id} has an invalid wallet address: ${address}`);
+      return [];
+    }
+  });
+  for (const wallet of wallets) {
+    const uid = wallet.get("uid");
+    const claimants = walletClaims.get(wallet.id) || [];
+    if (usersById.has(uid) && !claimants.includes(uid)) {
+      walletClaims.set(wallet.id, [...claimants, uid]);
+    }
+  }
+
+  const usernameResult = await checkReservations(
+    "username",
+    usernames,
+    usernameClaims,
+    (key, uid) => ({
+      uid,
+      username: usersById.get(uid).get("username"),
+      reservedAt: admin.firestore.FieldValue.serverTimestamp(),
+    })
+  );
+  const walletResult = await checkReservations(
+    "wallet",
+    wallets,
+    walletClaims,
+    (key, uid) => ({
+      uid,
+      address: key,
+      chain: parseWalletAddress(key).chain,
+      linkedAt:
+        usersById.get(uid).get("walletLinkedAt") ||
+        admin.firestore.FieldValue.serverTimestamp(),
+    })
+  );
+
+  for (const [label, result] of [
+    ["Username", usernameResult],
+    ["Wallet", walletResult],
+  ]) {
+    logger.info(
+      `${label} reservations: ${result.orphaned} orphaned, ${result.duplicated} duplicated, ${result.missing} missing, ${result.backfilled} backfilled, ${result.pruned} pruned`
+    );
+  }
+
+  const problems = [usernameResult, walletResult].reduce(
+    (total, result) =>
+      total +
+      result.orphaned +
+      result.duplicated +
+      result.missing -
+      result.backfilled -
+      result.pruned,
+    0
+  );
+  return problems === 0;
+}
+
+runCheck()
+  .then((consistent) => process.exit(consistent ? 0 : 1))
+  .catch((error) => {
+    logger.error("Reservation check failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+/**
+ * Deletes anonymous users that never picked a username or linked a wallet and
+ * have not been active for ANON_CLEANUP_MAX_AGE_DAYS days, from both Firebase
+ * Auth and Firestore. Safe to re-run after an interruption.
+ *
+ * The server can run the same cleanup in-process instead by setting
+ * ANON_CLEANUP_INTERVAL_HOURS.
+ *
+ * Usage: npm run cleanup:anonymous -- [--dry-run] [--max-age-days=N] [--batch-size=N]
+ */
+require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { cleanupAnonymousUsers } = require("../utils/cleanup.utils");
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Read a numeric `--name=value` argument
+const getNumberArg = (name) => {
+  const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+
+  const parsed = parseInt(arg.split("=")[1], 10);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    throw new Error(`--${name} must be a positive number`);
+  }
+  return parsed;
+};
+
+async function runCleanup() {
+  await cleanupAnonymousUsers({
+    dryRun,
+    maxAgeDays: getNumberArg("max-age-days"),
+    batchSize: getNumberArg("batch-size"),
+  });
+}
+
+runCleanup()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error("Anonymous user cleanup failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,22 @@
+/**
+ * Sends every due webhook delivery from the `webhook_deliveries` outbox
+ * once. Use it when the server's in-process dispatcher is disabled
+ * (WEBHOOK_DISPATCH_INTERVAL_SECONDS=0), e.g. from cron every minute.
+ *
+ * Usage: npm run webhooks:dispatch
+ */
+require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { dispatchWebhooks } = require("../utils/webhook.utils");
+
+dispatchWebhooks()
+  .then(({ delivered, retrying, failed }) => {
+    logger.info(
+      `Webhook dispatch done: ${delivered} delivered, ${retrying} to retry, ${failed} failed`
+    );
+    process.exit(0);
+  })
+  .catch((error) => {
+    logger.error("Webhook dispatch failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,180 @@
+/**
+ * Rewrites stored wallet addresses to their canonical form and merges users
+ * whose addresses only differed by case (e.g. "0xABC…" and "0xabc…").
+ *
+ * The oldest account for a wallet survives. Duplicates keep their document but
+ * lose the wallet and are tombstoned with `mergedInto` pointing at the survivor.
+ * Wallets missing from the `wallets` index are backfilled for the survivor.
+ *
+ * Usage: npm run migrate:wallets -- [--dry-run]
+ */
+const admin = require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { parseWalletAddress } = require("../utils/wallet.utils");
+
+const PAGE_SIZE = 500;
+const dryRun = process.argv.includes("--dry-run");
+
+const toMillis = (timestamp) =>
+  timestamp && typeof timestamp.toMillis === "function"
+    ? timestamp.toMillis()
+    : Number.MAX_SAFE_INTEGER;
+
+/**
+ * Load every user document that has a wallet address, page by page
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>} User documents with wallets
+ */
+const loadWalletUsers = async () => {
+  const db = admin.firestore();
+  const docs = [];
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db
+      .collection("users")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    docs.push(...snapshot.docs.filter((doc) => doc.get("walletAddress")));
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return docs;
+};
+
+/**
+ * Merge a group of users that share one canonical wallet address
+ * @param {string} canonicalAddress - The canonical wallet address
+ * @param {string} chain - The wallet's chain family
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} docs - Users holding the address in any casing
+ * @returns {Promise<{updated: number, merged: number, indexed: number}>} Counts of changed documents
+ */
+const migrateWalletGroup = async (canonicalAddress, chain, docs) => {
+  const db = admin.firestore();
+  const [survivor, ...duplicates] = [...docs].sort(
+    (a, b) => toMillis(a.get("createdAt")) - toMillis(b.get("createdAt"))
+  );
+
+  const survivorUpdate = {};
+  if (survivor.get("walletAddress") !== canonicalAddress) {
+    survivorUpdate.walletAddress = canonicalAddress;
+  }
+
+  const batch = db.batch();
+
+  for (const duplicate of duplicates) {
+    const duplicateUpdate = {
+      walletAddress: admin.firestore.FieldValue.delete(),
+      mergedInto: survivor.id,
+      mergedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // Carry a username over only if the surviving account has none
+    if (
+      !survivor.get("username") &&
+      !survivorUpdate.username &&
+      duplicate.get("username")
+    ) {
+      survivorUpdate.username = duplicate.get("username");
+      duplicateUpdate.username = null;
+    }
+
+    logger.info(
+      `Merging user ${duplicate.id} into ${survivor.id} for wallet ${canonicalAddress}`
+    );
+    batch.update(duplicate.ref, duplicateUpdate);
+  }
+
+  if (Object.keys(survivorUpdate).length) {
+    logger.info(
+      `Updating user ${survivor.id}: ${JSON.stringify(survivorUpdate)}`
+    );
+    batch.update(survivor.ref, survivorUpdate);
+  }
+
+  const walletRef = db.collection("wallets").doc(canonicalAddress);
+  const walletDoc = await walletRef.get();
+  if (!walletDoc.exists) {
+    logger.info(`Indexing wallet ${canonicalAddress} for user ${survivor.id}`);
+    batch.set(walletRef, {
+      uid: survivor.id,
+      address: canonicalAddress,
+      chain,
+      linkedAt:
+        survivor.get("walletLinkedAt") ||
+        admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  if (!dryRun) {
+    await batch.commit();
+  }
+
+  return {
+    updated: Object.keys(survivorUpdate).length ? 1 : 0,
+    merged: duplicates.length,
+    indexed: walletDoc.exists ? 0 : 1,
+  };
+};
+
+async function runMigration() {
+  logger.info(
+    `Starting wallet address migration${dryRun ? " (dry run)" : ""}...`
+  );
+
+  const docs = await loadWalletUsers();
+  const groups = new Map();
+  const invalid = [];
+
+  for (const doc of docs) {
+    try {
+      const { chain, canonicalAddress } = parseWalletAddress(
+        doc.get("walletAddress")
+      );
+      if (!groups.has(canonicalAddress)) {
+        groups.set(canonicalAddress, { chain, docs: [] });
+      }
+      groups.get(canonicalAddress).docs.push(doc);
+    } catch (error) {
+      invalid.push(doc);
+    }
+  }
+
+  let updated = 0;
+  let merged = 0;
+  let indexed = 0;
+
+  for (const [canonicalAddress, { chain, docs: group }] of groups) {
+    const result = await migrateWalletGroup(canonicalAddress, chain, group);
+    updated += result.updated;
+    merged += result.merged;
+    indexed += result.indexed;
+  }
+
+  for (const doc of invalid) {
+    logger.warn(
+      `User ${doc.id} has an invalid wallet address: ${doc.get(
+        "walletAddress"
+      )}`
+    );
+  }
+
+  logger.info(
+    `Wallet migration ${dryRun ? "dry run " : ""}complete: ${
+      docs.length
+    } users scanned, ${updated} canonicalized, ${merged} merged, ${indexed} indexed, ${
+      invalid.length
+    } invalid`
+  );
+}
+
+runMigration()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error("Wallet migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,20 @@
+/**
+ * Deletes auth events older than AUTH_EVENTS_RETENTION_DAYS from the
+ * `auth_events` collection. Run it periodically (e.g. daily from cron), or
+ * let a Firestore TTL policy on `expiresAt` remove them instead.
+ *
+ * The server can run the same purge in-process by setting
+ * AUTH_EVENTS_PURGE_INTERVAL_HOURS.
+ *
+ * Usage: npm run purge:auth-events
+ */
+require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { purgeExpiredAuthEvents } = require("../utils/auth-event.utils");
+
+purgeExpiredAuthEvents()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error("Auth event purge failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,23 @@
+/**
+ * Permanently deletes accounts whose deletion grace period has ended. Users
+ * schedule a deletion with `DELETE /api/auth/user/:uid` while
+ * ACCOUNT_DELETION_GRACE_DAYS is set; run this script periodically (e.g. daily
+ * from cron) to carry the deletions out.
+ *
+ * Usage: npm run purge:accounts -- [--dry-run]
+ */
+const authConfig = require("../config/auth.config");
+const logger = require("../utils/logger");
+const { purgeScheduledDeletions } = require("../utils/account.utils");
+
+// Only the Firebase backend needs a Firebase project
+if (authConfig.backend === "firebase") {
+  require("../config/firebase.config");
+}
+
+purgeScheduledDeletions({ dryRun: process.argv.includes("--dry-run") })
+  .then(({ failed }) => process.exit(failed === 0 ? 0 : 1))
+  .catch((error) => {
+    logger.error("Account purge failed:", error);
+    process.exit(1);
+  });
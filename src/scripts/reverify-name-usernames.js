@@ -0,0 +1,24 @@
+/**
+ * Re-verifies every ENS (.eth) and SNS (.sol) username and releases the ones
+ * no linked wallet of their user resolves to anymore. Run it periodically
+ * (e.g. daily from cron); pass --all once to also check names claimed before
+ * verification existed.
+ *
+ * The server can run the same re-verification in-process by setting
+ * NAME_REVERIFY_INTERVAL_HOURS.
+ *
+ * Usage: npm run names:reverify -- [--all] [--dry-run]
+ */
+require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { reverifyNameUsernames } = require("../utils/name-reverification.utils");
+
+reverifyNameUsernames({
+  all: process.argv.includes("--all"),
+  dryRun: process.argv.includes("--dry-run"),
+})
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error("Name re-verification failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+/**
+ * Sets the role of a user. Admins can change other users' roles through
+ * `POST /api/admin/users/:uid/role`; use this script to bootstrap the first
+ * admin, or to recover when no admin can sign in. The user is signed out
+ * everywhere and gets the new role on their next sign-in.
+ *
+ * Usage: npm run roles:set -- --uid=<uid> --role=<user|moderator|admin>
+ */
+require("../config/firebase.config");
+const logger = require("../utils/logger");
+const { setUserRole } = require("../utils/auth.utils");
+const { ROLES } = require("../utils/role.utils");
+
+const getArg = (name) => {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((value) => value.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+};
+
+async function runSetRole() {
+  const uid = getArg("uid");
+  const role = getArg("role");
+
+  if (!uid || !ROLES.includes(role)) {
+    logger.error(
+      `Usage: npm run roles:set -- --uid=<uid> --role=<${ROLES.join("|")}>`
+    );
+    return false;
+  }
+
+  const { previousRole, changed } = await setUserRole(uid, role);
+  logger.info(
+    changed
+      ? `User ${uid} is now ${role} (was ${previousRole})`
+      : `User ${uid} already has the ${role} role`
+  );
+  return true;
+}
+
+runSetRole()
+  .then((succeeded) => process.exit(succeeded ? 0 : 1))
+  .catch((error) => {
+    logger.error("Setting user role failed:", error);
+    process.exit(1);
+  });
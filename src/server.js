@@ -6,6 +6,14 @@ const morgan = require("morgan");
 const helmet = require("helmet");
 const app = require("./app");
 const logger = require("./utils/logger");
+const { startAnonymousCleanupScheduler } = require("./utils/cleanup.utils");
+const {
+  startAuthEventPurgeScheduler,
+} = require("./utils/auth-event.utils");
+const { startWebhookDispatcher } = require("./utils/webhook.utils");
+const {
+  startNameReverificationScheduler,
+} = require("./utils/name-reverification.utils");
 
 const PORT = process.env.PORT || 3589;
 
@@ -26,17 +34,19 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan("dev"));
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error("Server error:", err);
-  res.status(500).json({
-    success: false,
-    message: "Something went wrong!",
-    error: process.env.NODE_ENV === "development" ? err.message : undefined,
-  });
-});
-
 // Start server
 app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT}`);
+
+  // Optional in-process cleanup of abandoned anonymous users
+  startAnonymousCleanupScheduler();
+
+  // Optional in-process removal of auth events past their retention period
+  startAuthEventPurgeScheduler();
+
+  // Send queued webhook deliveries, when webhooks are configured
+  startWebhookDispatcher();
+
+  // Optional in-process re-verification of ENS and SNS usernames
+  startNameReverificationScheduler();
 });
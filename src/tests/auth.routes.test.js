@@ -0,0 +1,2506 @@
+// Route tests for the auth API. They run against the in-process Express app
+// with the in-memory backend, so no Firebase project or network is needed.
+process.env.AUTH_BACKEND = "memory";
+process.env.ALLOW_INSECURE_WALLET_AUTH = "false";
+process.env.USERNAME_CHANGE_COOLDOWN_DAYS = "30";
+process.env.USERNAME_HOLD_DAYS = "30";
+process.env.ACCOUNT_DELETION_GRACE_DAYS = "0";
+process.env.ANON_CLEANUP_INTERVAL_HOURS = "0";
+process.env.RATE_LIMIT_ENABLED = "false";
+
+const {
+  describe,
+  test,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const http = require("node:http");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const nacl = require("tweetnacl");
+const bs58 = require("bs58");
+const { PublicKey } = require("@solana/web3.js");
+const {
+  getDomainKeySync,
+  getReverseKeyFromDomainKey,
+  FavouriteDomain,
+  NAME_OFFERS_ID,
+  NAME_PROGRAM_ID,
+  ROOT_DOMAIN_ACCOUNT,
+} = require("@bonfida/spl-name-service");
+const app = require("../app");
+const authConfig = require("../config/auth.config");
+const logger = require("../utils/logger");
+const authUtils = require("../utils/auth.utils");
+const {
+  getUserRepository,
+  setUserRepository,
+  DELETE_FIELD,
+} = require("../repositories");
+const { getIdentityProvider, setIdentityProvider } = require("../identity");
+const { setRateLimitStore } = require("../rate-limit");
+const { getAuthEventStore, setAuthEventStore } = require("../auth-events");
+const { purgeExpiredAuthEvents } = require("../utils/auth-event.utils");
+const { purgeScheduledDeletions } = require("../utils/account.utils");
+const { setWebhookDeliveryStore } = require("../webhooks");
+const { setChainDataProvider } = require("../chain-data");
+const {
+  ERC6492_VALIDATOR_BYTECODE,
+  wrapErc6492Signature,
+  unwrapErc6492Signature,
+} = require("../chain-data/erc6492");
+const { clearTokenGateCache } = require("../utils/token-gate.utils");
+const { setNameResolver } = require("../name-resolvers");
+const { reverifyNameUsernames } = require("../utils/name-reverification.utils");
+const {
+  verifyWebhookSignature,
+  dispatchWebhooks,
+} = require("../utils/webhook.utils");
+const MemoryUserRepository = require("../repositories/memory.user.repository");
+const MemoryIdentityProvider = require("../identity/memory.identity.provider");
+const MemoryRateLimitStore = require("../rate-limit/memory.rate-limit.store");
+const MemoryAuthEventStore = require("../auth-events/memory.auth-event.store");
+const MemoryWebhookDeliveryStore = require("../webhooks/memory.webhook-delivery.store");
+const FixtureChainDataProvider = require("../chain-data/fixture.chain-data.provider");
+const RpcChainDataProvider = require("../chain-data/rpc.chain-data.provider");
+const FixtureNameResolver = require("../name-resolvers/fixture.name-resolver");
+const ChainNameResolver = require("../name-resolvers/chain.name-resolver");
+const SnsNameResolver = require("../name-resolvers/sns.name-resolver");
+
+logger.silent = true;
+
+let server;
+let origin;
+let baseUrl;
+
+before(
+  () =>
+    new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", () => {
+        origin = `http://127.0.0.1:${server.address().port}`;
+        baseUrl = `${origin}/api/auth`;
+        resolve();
+      });
+    })
+);
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Every test starts from an empty backend with the default configuration
+beforeEach(() => {
+  setUserRepository(new MemoryUserRepository());
+  setIdentityProvider(new MemoryIdentityProvider());
+  setRateLimitStore(new MemoryRateLimitStore());
+  setAuthEventStore(new MemoryAuthEventStore());
+  setWebhookDeliveryStore(new MemoryWebhookDeliveryStore());
+  setChainDataProvider(new FixtureChainDataProvider());
+  clearTokenGateCache();
+  setNameResolver(new FixtureNameResolver());
+  authConfig.allowInsecureWalletAuth = false;
+  authConfig.rateLimit.enabled = false;
+  authConfig.accountDeletionGraceDays = 0;
+  authConfig.mergeFields = [];
+  authConfig.authEvents.retentionDays = 90;
+});
+
+/**
+ * Send a request to the auth API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/auth
+ * @param {object} options - Request options
+ * @param {object} options.body - JSON body
+ * @param {string} options.token - Bearer token
+ * @param {string} options.prefix - Mount path of the router, /api/auth by default
+ * @returns {Promise<{status: number, headers: Headers, body: object}>} The response
+ */
+const request = async (method, path, { body, token, prefix } = {}) => {
+  const response = await fetch(`${prefix ? origin + prefix : baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+};
+
+const get = (path, token) => request("GET", path, { token });
+const post = (path, body, token) => request("POST", path, { body, token });
+const del = (path, token) => request("DELETE", path, { token });
+
+// Requests to the admin API
+const admin = {
+  get: (path, token) => request("GET", path, { token, prefix: "/api/admin" }),
+  post: (path, body, token) =>
+    request("POST", path, { body, token, prefix: "/api/admin" }),
+  del: (path, token) =>
+    request("DELETE", path, { token, prefix: "/api/admin" }),
+};
+
+// Claims of a token minted by the in-memory identity provider
+const decodeToken = (token) =>
+  JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * List stored auth events of a user (null for requests without one). Events
+ * are written after the response is sent, so give them a moment first.
+ * @param {string|null} uid - The user ID
+ * @returns {Promise<object[]>} The events, newest first
+ */
+const listAuthEvents = async (uid) => {
+  await sleep(20);
+  return getAuthEventStore().listByUid(uid, {});
+};
+
+/**
+ * Assert that a response is an API error with the given status and code
+ * @param {object} response - The response from `request`
+ * @param {number} status - Expected HTTP status
+ * @param {string} code - Expected `error` code
+ */
+const assertError = (response, status, code) => {
+  assert.equal(response.status, status, JSON.stringify(response.body));
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.error, code);
+};
+
+// Random wallets. Deriving from a mnemonic is slow, so EVM keys are raw.
+const createEvmWallet = () =>
+  new ethers.Wallet(ethers.hexlify(ethers.randomBytes(32)));
+
+const createSolanaWallet = () => {
+  const keyPair = nacl.sign.keyPair();
+  return {
+    address: bs58.encode(keyPair.publicKey),
+    chain: "solana",
+    signMessage: async (message) =>
+      bs58.encode(
+        nacl.sign.detached(Buffer.from(message, "utf8"), keyPair.secretKey)
+      ),
+  };
+};
+
+/**
+ * Request a challenge for a wallet and sign it
+ * @param {object} wallet - Wallet with `address`, optional `chain` and `signMessage`
+ * @returns {Promise<{message: string, signature: string}>} The signed challenge
+ */
+const signChallenge = async (wallet) => {
+  const { body } = await post("/wallet/nonce", {
+    walletAddress: wallet.address,
+    chain: wallet.chain,
+  });
+  return {
+    message: body.message,
+    signature: await wallet.signMessage(body.message),
+  };
+};
+
+/**
+ * Sign in with a wallet through /wallet/verify
+ * @param {object} wallet - The wallet
+ * @param {string} username - Optional username
+ * @returns {Promise<object>} The response body
+ */
+const signIn = async (wallet, username) => {
+  const response = await post("/wallet/verify", {
+    ...(await signChallenge(wallet)),
+    username,
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+};
+
+/**
+ * Create an anonymous user through /authenticate
+ * @param {string} username - Optional username
+ * @returns {Promise<object>} The response body
+ */
+const signInAnonymously = async (username) => {
+  const response = await post("/authenticate", { username });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+};
+
+/**
+ * Sign in with a new wallet and promote it to admin the way the roles:set
+ * script bootstraps the first admin
+ * @returns {Promise<object>} The response body of a sign-in after the promotion
+ */
+const signInAsAdmin = async () => {
+  const wallet = createEvmWallet();
+  const { uid } = await signIn(wallet);
+  await authUtils.setUserRole(uid, "admin");
+  return signIn(wallet);
+};
+
+describe("POST /authenticate", () => {
+  test("creates an anonymous user without a username", async () => {
+    const response = await post("/authenticate", {});
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.isNewUser, true);
+    assert.equal(response.body.authType, "anonymous");
+    assert.equal(response.body.username, null);
+    assert.ok(response.body.token);
+  });
+
+  test("creates an anonymous user with a normalized username", async () => {
+    const { uid, username } = await signInAnonymously("  alice ");
+
+    assert.equal(username, "alice");
+    const profile = await get(`/user/${uid}`);
+    assert.equal(profile.body.user.username, "alice");
+    assert.equal(profile.body.user.isAnonymous, true);
+  });
+
+  test("rejects a username that is already taken", async () => {
+    await signInAnonymously("alice");
+
+    const response = await post("/authenticate", { username: "alice" });
+
+    assertError(response, 400, "USERNAME_ALREADY_EXISTS");
+  });
+
+  test("rejects usernames that only differ by case or look-alike characters", async () => {
+    await signInAnonymously("alice");
+
+    assertError(
+      await post("/authenticate", { username: "Alice" }),
+      400,
+      "USERNAME_CONFUSABLE"
+    );
+    assertError(
+      await post("/authenticate", { username: "аlice" }),
+      400,
+      "USERNAME_CONFUSABLE"
+    );
+  });
+
+  for (const [username, code] of [
+    ["ab", "USERNAME_TOO_SHORT"],
+    ["a".repeat(25), "USERNAME_TOO_LONG"],
+    ["bad name!", "USERNAME_INVALID_CHARACTERS"],
+    ["admin", "USERNAME_RESERVED"],
+    ["xxshitxx", "USERNAME_BLOCKED"],
+  ]) {
+    test(`rejects '${username}' with ${code}`, async () => {
+      assertError(await post("/authenticate", { username }), 400, code);
+    });
+  }
+
+  test("requires a signature for wallet logins by default", async () => {
+    const response = await post("/authenticate", {
+      walletAddress: createEvmWallet().address,
+    });
+
+    assertError(response, 401, "WALLET_SIGNATURE_REQUIRED");
+  });
+
+  describe("with insecure wallet auth enabled", () => {
+    beforeEach(() => {
+      authConfig.allowInsecureWalletAuth = true;
+    });
+
+    test("creates a wallet user and logs it in again", async () => {
+      const wallet = createEvmWallet();
+
+      const created = await post("/authenticate", {
+        walletAddress: wallet.address.toLowerCase(),
+        username: "alice",
+      });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.isNewUser, true);
+      assert.equal(created.body.authType, "wallet");
+
+      const again = await post("/authenticate", {
+        walletAddress: wallet.address,
+      });
+      assert.equal(again.status, 200);
+      assert.equal(again.body.isNewUser, false);
+      assert.equal(again.body.uid, created.body.uid);
+      assert.equal(again.body.username, "alice");
+    });
+
+    test("rejects a wallet linked to a different username", async () => {
+      const wallet = createEvmWallet();
+      await post("/authenticate", {
+        walletAddress: wallet.address,
+        username: "alice",
+      });
+
+      const response = await post("/authenticate", {
+        walletAddress: wallet.address,
+        username: "bob",
+      });
+
+      assertError(response, 400, "WALLET_LINKED_TO_DIFFERENT_USERNAME");
+      assert.equal(response.body.existingUsername, "alice");
+    });
+
+    test("rejects a username linked to a different wallet", async () => {
+      await post("/authenticate", {
+        walletAddress: createEvmWallet().address,
+        username: "alice",
+      });
+
+      const response = await post("/authenticate", {
+        walletAddress: createEvmWallet().address,
+        username: "alice",
+      });
+
+      assertError(response, 400, "USERNAME_HAS_DIFFERENT_WALLET");
+    });
+
+    test("rejects an invalid wallet address", async () => {
+      const response = await post("/authenticate", {
+        walletAddress: "0x1234",
+      });
+
+      assertError(response, 400, "INVALID_WALLET_ADDRESS");
+    });
+  });
+});
+
+describe("wallet sign-in", () => {
+  test("issues challenges only for valid wallets and chains", async () => {
+    const wallet = createEvmWallet();
+
+    const missing = await post("/wallet/nonce", {});
+    assert.equal(missing.status, 400);
+    assertError(
+      await post("/wallet/nonce", {
+        walletAddress: wallet.address,
+        chain: "bitcoin",
+      }),
+      400,
+      "UNSUPPORTED_CHAIN"
+    );
+    assertError(
+      await post("/wallet/nonce", { walletAddress: "not-a-wallet" }),
+      400,
+      "INVALID_WALLET_ADDRESS"
+    );
+    assertError(
+      await post("/wallet/nonce", {
+        walletAddress: wallet.address,
+        chainId: -1,
+      }),
+      400,
+      "INVALID_CHAIN_ID"
+    );
+  });
+
+  test("creates a user on the first sign-in and reuses it afterwards", async () => {
+    const wallet = createEvmWallet();
+
+    const first = await signIn(wallet, "alice");
+    const second = await signIn(wallet);
+
+    assert.equal(first.isNewUser, true);
+    assert.equal(first.authType, "wallet");
+    assert.equal(second.isNewUser, false);
+    assert.equal(second.uid, first.uid);
+    assert.equal(second.username, "alice");
+  });
+
+  test("does not sign a wallet into an anonymous account by its username", async () => {
+    const victim = await signInAnonymously("victimname");
+    const wallet = createEvmWallet();
+
+    const response = await post("/wallet/verify", {
+      ...(await signChallenge(wallet)),
+      username: "victimname",
+    });
+
+    assertError(response, 400, "USERNAME_ALREADY_EXISTS");
+    const profile = await get(`/user/${victim.uid}`);
+    assert.equal(profile.body.user.walletAddress, null);
+  });
+
+  test("signs in with a Solana wallet", async () => {
+    const wallet = createSolanaWallet();
+
+    const { uid } = await signIn(wallet);
+
+    const profile = await get(`/user/${uid}`);
+    assert.equal(profile.body.user.walletAddress, wallet.address);
+    assert.equal(profile.body.user.walletChain, "solana");
+  });
+
+  test("rejects malformed and altered messages", async () => {
+    const wallet = createEvmWallet();
+    const { message } = await signChallenge(wallet);
+    const altered = message.replace("Issued At", "Issued  At");
+
+    assertError(
+      await post("/wallet/verify", {
+        message: "hello",
+        signature: await wallet.signMessage("hello"),
+      }),
+      400,
+      "INVALID_SIGN_IN_MESSAGE"
+    );
+    assertError(
+      await post("/wallet/verify", {
+        message: altered,
+        signature: await wallet.signMessage(altered),
+      }),
+      400,
+      "INVALID_SIGN_IN_MESSAGE"
+    );
+  });
+
+  test("rejects a signature from another wallet", async () => {
+    const { message } = await signChallenge(createEvmWallet());
+
+    const response = await post("/wallet/verify", {
+      message,
+      signature: await createEvmWallet().signMessage(message),
+    });
+
+    assertError(response, 401, "INVALID_SIGNATURE");
+  });
+
+  test("rejects a replayed challenge", async () => {
+    const challenge = await signChallenge(createEvmWallet());
+    await post("/wallet/verify", challenge);
+
+    const replay = await post("/wallet/verify", challenge);
+
+    assertError(replay, 401, "INVALID_NONCE");
+  });
+
+  test("rejects a wallet linked to a different username", async () => {
+    const wallet = createEvmWallet();
+    await signIn(wallet, "alice");
+
+    const response = await post("/wallet/verify", {
+      ...(await signChallenge(wallet)),
+      username: "bob",
+    });
+
+    assertError(response, 400, "WALLET_LINKED_TO_DIFFERENT_USERNAME");
+  });
+});
+
+describe("authenticated requests", () => {
+  test("require a bearer token", async () => {
+    const { uid } = await signInAnonymously();
+
+    assertError(
+      await get(`/user/${uid}/username-history`),
+      401,
+      "MISSING_AUTH_TOKEN"
+    );
+    assertError(
+      await get(`/user/${uid}/username-history`, "forged.token"),
+      401,
+      "INVALID_AUTH_TOKEN"
+    );
+  });
+
+  test("cannot act on another account", async () => {
+    const alice = await signInAnonymously("alice");
+    const bob = await signInAnonymously("bob");
+
+    const response = await post(
+      "/username",
+      { uid: bob.uid, username: "mallory" },
+      alice.token
+    );
+
+    assertError(response, 403, "UID_MISMATCH");
+  });
+
+  test("logout revokes the session", async () => {
+    const { uid, token } = await signInAnonymously();
+
+    const logout = await post("/logout", { uid }, token);
+
+    assert.equal(logout.status, 200);
+    assertError(
+      await get(`/user/${uid}/username-history`, token),
+      401,
+      "SESSION_REVOKED"
+    );
+  });
+
+  test("resolve an optional token on video thumbnails by default", async () => {
+    assert.equal(authConfig.requireAuthForMedia, false);
+    const { uid, token } = await signInAnonymously();
+    // An invalid docId stops the request once it is past authentication
+    const postThumbnail = async (bearer) => {
+      const response = await fetch(
+        `${origin}/api/media/generate-vidThumbnail`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(bearer && { Authorization: `Bearer ${bearer}` }),
+          },
+          body: JSON.stringify({
+            videoUrl: "https://example.com/video.mp4",
+            docId: "not a doc id",
+          }),
+        }
+      );
+      return { status: response.status, body: await response.json() };
+    };
+
+    assertError(await postThumbnail(null), 400, "VALIDATION_FAILED");
+    assertError(await postThumbnail(token), 400, "VALIDATION_FAILED");
+    assertError(await postThumbnail("forged.token"), 401, "INVALID_AUTH_TOKEN");
+    await post("/logout", { uid }, token);
+    assertError(await postThumbnail(token), 401, "SESSION_REVOKED");
+  });
+
+  test("logout everywhere revokes every session", async () => {
+    const wallet = createEvmWallet();
+    const first = await signIn(wallet);
+    const second = await signIn(wallet);
+    // Revocation has second precision and spares tokens issued in that second
+    await sleep(1000);
+
+    const logout = await post(
+      "/logout/everywhere",
+      { uid: first.uid },
+      second.token
+    );
+
+    assert.equal(logout.status, 200);
+    for (const { token } of [first, second]) {
+      assertError(
+        await get(`/user/${first.uid}/username-history`, token),
+        401,
+        "SESSION_REVOKED"
+      );
+    }
+  });
+});
+
+describe("linked wallets", () => {
+  let owner;
+  let primary;
+
+  beforeEach(async () => {
+    primary = createEvmWallet();
+    owner = await signIn(primary, "alice");
+  });
+
+  test("links a signed wallet next to the primary one", async () => {
+    const second = createSolanaWallet();
+
+    const link = await post(
+      "/wallet/link",
+      { uid: owner.uid, ...(await signChallenge(second)) },
+      owner.token
+    );
+
+    assert.equal(link.status, 200);
+    assert.equal(link.body.isPrimary, false);
+    const { body } = await get(`/user/${owner.uid}/wallets`);
+    assert.deepEqual(
+      body.wallets.map(({ address, isPrimary }) => [address, isPrimary]),
+      [
+        [primary.address, true],
+        [second.address, false],
+      ]
+    );
+  });
+
+  test("requires a signature to link a wallet", async () => {
+    const response = await post(
+      "/wallet/link",
+      { uid: owner.uid, walletAddress: createEvmWallet().address },
+      owner.token
+    );
+
+    assertError(response, 401, "WALLET_SIGNATURE_REQUIRED");
+  });
+
+  test("rejects a wallet linked to another user", async () => {
+    const other = createEvmWallet();
+    await signIn(other);
+
+    const response = await post(
+      "/wallet/link",
+      { uid: owner.uid, ...(await signChallenge(other)) },
+      owner.token
+    );
+
+    assertError(response, 409, "WALLET_ALREADY_LINKED");
+  });
+
+  test("switches the primary wallet and unlinks the old one", async () => {
+    const second = createEvmWallet();
+    await post(
+      "/wallet/link",
+      { uid: owner.uid, ...(await signChallenge(second)) },
+      owner.token
+    );
+
+    const setPrimary = await post(
+      "/wallet/primary",
+      { uid: owner.uid, walletAddress: second.address },
+      owner.token
+    );
+    assert.equal(setPrimary.status, 200);
+
+    const unlink = await post(
+      "/wallet/unlink",
+      { uid: owner.uid, walletAddress: primary.address },
+      owner.token
+    );
+    assert.equal(unlink.status, 200);
+    assert.equal(unlink.body.primaryWalletAddress, second.address);
+  });
+
+  test("rejects wallets that are not linked", async () => {
+    const walletAddress = createEvmWallet().address;
+
+    assertError(
+      await post(
+        "/wallet/primary",
+        { uid: owner.uid, walletAddress },
+        owner.token
+      ),
+      404,
+      "WALLET_NOT_LINKED"
+    );
+    assertError(
+      await post(
+        "/wallet/unlink",
+        { uid: owner.uid, walletAddress },
+        owner.token
+      ),
+      404,
+      "WALLET_NOT_LINKED"
+    );
+  });
+
+  test("refuses to unlink the last wallet", async () => {
+    const response = await post(
+      "/wallet/unlink",
+      { uid: owner.uid, walletAddress: primary.address },
+      owner.token
+    );
+
+    assertError(response, 409, "LAST_WALLET");
+  });
+
+  test("keeps /wallet/remove as an alias of /wallet/unlink", async () => {
+    const response = await post(
+      "/wallet/remove",
+      { uid: owner.uid, walletAddress: primary.address },
+      owner.token
+    );
+
+    assertError(response, 409, "LAST_WALLET");
+  });
+
+  test("rotates the primary wallet with signatures from both wallets", async () => {
+    const replacement = createEvmWallet();
+
+    const rotate = await post(
+      "/wallet/rotate",
+      {
+        uid: owner.uid,
+        oldWallet: await signChallenge(primary),
+        newWallet: await signChallenge(replacement),
+      },
+      owner.token
+    );
+
+    assert.equal(rotate.status, 200);
+    assert.equal(rotate.body.isPrimary, true);
+    const again = await signIn(replacement);
+    assert.equal(again.uid, owner.uid);
+    assert.equal(
+      (await get(`/wallet/available/${primary.address}`)).body.available,
+      true
+    );
+  });
+
+  test("rejects rotating a wallet into itself", async () => {
+    const response = await post(
+      "/wallet/rotate",
+      {
+        uid: owner.uid,
+        oldWallet: await signChallenge(primary),
+        newWallet: await signChallenge(primary),
+      },
+      owner.token
+    );
+
+    assertError(response, 400, "SAME_WALLET");
+  });
+});
+
+describe("POST /merge", () => {
+  test("merges an anonymous account into a wallet account", async () => {
+    const wallet = createEvmWallet();
+    const target = await signIn(wallet);
+    const anonymous = await signInAnonymously("alice");
+
+    const merge = await post(
+      "/merge",
+      { uid: anonymous.uid, ...(await signChallenge(wallet)) },
+      anonymous.token
+    );
+
+    assert.equal(merge.status, 200);
+    assert.equal(merge.body.uid, target.uid);
+    assert.equal(merge.body.mergedFrom, anonymous.uid);
+    assert.equal(merge.body.username, "alice");
+    assert.equal((await get("/username/alice")).body.uid, target.uid);
+    // The merged account has no sessions left
+    assertError(
+      await get(`/user/${anonymous.uid}/username-history`, anonymous.token),
+      401,
+      "INVALID_AUTH_TOKEN"
+    );
+  });
+
+  test("keeps the anonymous account's own state out of the merge", async () => {
+    const wallet = createEvmWallet();
+    const target = await signIn(wallet);
+    const anonymous = await signInAnonymously("alice");
+    const accountState = {
+      deletionRequestedAt: new Date(),
+      deletionScheduledFor: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      disabledAt: new Date(),
+      disabledReason: "spam",
+      usernameVerifiedBy: createEvmWallet().address,
+      usernameVerifiedAt: new Date(),
+      lastLogout: new Date(),
+    };
+    await getUserRepository().updateUser(anonymous.uid, accountState);
+
+    const merge = await post(
+      "/merge",
+      { uid: anonymous.uid, ...(await signChallenge(wallet)) },
+      anonymous.token
+    );
+
+    assert.equal(merge.status, 200, JSON.stringify(merge.body));
+    const merged = await getUserRepository().getUser(target.uid);
+    for (const field of Object.keys(accountState)) {
+      assert.ok(!merge.body.movedFields.includes(field), field);
+      assert.equal(merged[field], undefined, field);
+    }
+  });
+
+  test("only moves the configured data fields", async () => {
+    authConfig.mergeFields = ["favorites", "theme"];
+    const wallet = createEvmWallet();
+    const target = await signIn(wallet);
+    await getUserRepository().updateUser(target.uid, { theme: "dark" });
+    const anonymous = await signInAnonymously();
+    await getUserRepository().updateUser(anonymous.uid, {
+      favorites: ["doc-1"],
+      theme: "light",
+      apiKey: "secret",
+      emailVerified: true,
+    });
+
+    const merge = await post(
+      "/merge",
+      { uid: anonymous.uid, ...(await signChallenge(wallet)) },
+      anonymous.token
+    );
+
+    assert.equal(merge.status, 200, JSON.stringify(merge.body));
+    assert.deepEqual(merge.body.movedFields, ["favorites"]);
+    const merged = await getUserRepository().getUser(target.uid);
+    assert.deepEqual(merged.favorites, ["doc-1"]);
+    assert.equal(merged.theme, "dark");
+    assert.equal(merged.apiKey, undefined);
+    assert.equal(merged.emailVerified, undefined);
+  });
+
+  test("rejects merging a wallet account into itself", async () => {
+    const wallet = createEvmWallet();
+    const user = await signIn(wallet);
+
+    const response = await post(
+      "/merge",
+      { uid: user.uid, ...(await signChallenge(wallet)) },
+      user.token
+    );
+
+    assertError(response, 400, "SAME_ACCOUNT");
+  });
+
+  test("only merges anonymous accounts", async () => {
+    const wallet = createEvmWallet();
+    await signIn(wallet);
+    const other = await signIn(createEvmWallet());
+
+    const response = await post(
+      "/merge",
+      { uid: other.uid, ...(await signChallenge(wallet)) },
+      other.token
+    );
+
+    assertError(response, 400, "NOT_ANONYMOUS");
+  });
+
+  test("rejects a wallet without an account", async () => {
+    const anonymous = await signInAnonymously();
+
+    const response = await post(
+      "/merge",
+      { uid: anonymous.uid, ...(await signChallenge(createEvmWallet())) },
+      anonymous.token
+    );
+
+    assertError(response, 404, "WALLET_NOT_LINKED");
+  });
+});
+
+describe("usernames", () => {
+  test("sets a first username and enforces the rename cooldown", async () => {
+    const { uid, token } = await signInAnonymously();
+
+    const first = await post("/username", { uid, username: "alice" }, token);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.username, "alice");
+
+    const tooSoon = await post("/username", { uid, username: "bob" }, token);
+    assertError(tooSoon, 429, "USERNAME_CHANGE_COOLDOWN");
+    assert.ok(Number(tooSoon.headers.get("retry-after")) > 0);
+    assert.ok(tooSoon.body.retryAt);
+  });
+
+  test("records the username history", async () => {
+    const { uid, token } = await signInAnonymously("alice");
+    await post("/username", { uid, username: "bob" }, token);
+
+    const { body } = await get(`/user/${uid}/username-history`, token);
+
+    assert.deepEqual(
+      body.history.map(({ username, previousUsername }) => [
+        username,
+        previousUsername,
+      ]),
+      [["bob", "alice"]]
+    );
+  });
+
+  test("holds a released username for its previous owner", async () => {
+    const { uid, token } = await signInAnonymously("alice");
+    await post("/username", { uid, username: "bob" }, token);
+
+    const lookup = await get("/username/alice");
+    assert.equal(lookup.body.uid, uid);
+    assert.equal(lookup.body.redirected, true);
+
+    const availability = await get("/username/available/alice");
+    assert.equal(availability.body.available, false);
+    assert.equal(availability.body.rule, "USERNAME_HELD");
+
+    assertError(
+      await post("/authenticate", { username: "alice" }),
+      400,
+      "USERNAME_HELD"
+    );
+  });
+
+  test("maps policy and availability errors on rename", async () => {
+    await signInAnonymously("alice");
+    const { uid, token } = await signInAnonymously();
+
+    assertError(
+      await post("/username", { uid, username: "alice" }, token),
+      400,
+      "USERNAME_ALREADY_EXISTS"
+    );
+    assertError(
+      await post("/username", { uid, username: "   " }, token),
+      400,
+      "USERNAME_REQUIRED"
+    );
+    assertError(
+      await post("/username", { uid, username: "root" }, token),
+      400,
+      "USERNAME_RESERVED"
+    );
+  });
+
+  test("reports availability and unknown usernames", async () => {
+    assert.equal((await get("/username/available/alice")).body.available, true);
+    assertError(await get("/username/alice"), 404, "USER_NOT_FOUND");
+  });
+});
+
+describe("accounts", () => {
+  test("returns the public profile and 404 for unknown users", async () => {
+    const { uid } = await signIn(createEvmWallet(), "alice");
+
+    const profile = await get(`/user/${uid}`);
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.user.username, "alice");
+    assert.equal(profile.body.user.hasWallet, true);
+    assert.equal(profile.body.user.wallets.length, 1);
+
+    assert.equal((await get("/user/unknown")).status, 404);
+    assertError(await get("/user/unknown/wallets"), 404, "USER_NOT_FOUND");
+  });
+
+  test("exports the signed-in user's data", async () => {
+    const { uid, token } = await signInAnonymously("alice");
+    await post("/username", { uid, username: "bob" }, token);
+
+    const response = await get(`/user/${uid}/export`, token);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-disposition"), /attachment/);
+    assert.equal(response.body.data.profile.username, "bob");
+    assert.equal(response.body.data.subcollections.username_history.length, 1);
+  });
+
+  test("deletes an account immediately without a grace period", async () => {
+    const { uid, token } = await signInAnonymously("alice");
+
+    const response = await del(`/user/${uid}`, token);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.deleted, true);
+    assert.equal((await get(`/user/${uid}`)).status, 404);
+    assert.equal((await get("/username/available/alice")).body.available, true);
+  });
+
+  test("deletes the user's wallet challenges and auth events", async () => {
+    const wallet = createEvmWallet();
+    const { uid, token } = await signIn(wallet);
+    await signChallenge(wallet);
+    const repository = getUserRepository();
+    const [{ id: walletAddress }] = await repository.listWallets(uid);
+    assert.equal((await repository.listNonces(walletAddress)).length, 2);
+    assert.ok((await listAuthEvents(uid)).length > 0);
+
+    assert.equal((await del(`/user/${uid}`, token)).status, 200);
+
+    assert.deepEqual(await repository.listNonces(walletAddress), []);
+    assert.deepEqual(await listAuthEvents(uid), []);
+  });
+
+  test("finishes a deletion that stopped after the identity account", async () => {
+    authConfig.accountDeletionGraceDays = 7;
+    const { uid, token } = await signInAnonymously("alice");
+    await del(`/user/${uid}`, token);
+    const repository = getUserRepository();
+    await repository.updateUser(uid, {
+      deletionScheduledFor: new Date(Date.now() - 1000),
+    });
+    repository.deleteUsers = async () => {
+      throw new Error("Firestore unavailable");
+    };
+
+    assert.deepEqual(await purgeScheduledDeletions(), { purged: 0, failed: 1 });
+    assert.equal(await getIdentityProvider().getUser(uid), null);
+
+    delete repository.deleteUsers;
+    assert.deepEqual(await purgeScheduledDeletions(), { purged: 1, failed: 0 });
+    assert.equal((await get(`/user/${uid}`)).status, 404);
+    assert.equal((await get("/username/available/alice")).body.available, true);
+  });
+
+  test("schedules and restores a deletion during the grace period", async () => {
+    authConfig.accountDeletionGraceDays = 7;
+    const { uid, token } = await signInAnonymously();
+
+    const scheduled = await del(`/user/${uid}`, token);
+    assert.equal(scheduled.body.deleted, false);
+    assert.ok(scheduled.body.scheduledFor);
+
+    const restore = await post(`/user/${uid}/restore`, { uid }, token);
+    assert.equal(restore.status, 200);
+    assertError(
+      await post(`/user/${uid}/restore`, { uid }, token),
+      409,
+      "DELETION_NOT_SCHEDULED"
+    );
+  });
+
+  test("purges accounts whose grace period has ended", async () => {
+    authConfig.accountDeletionGraceDays = 7;
+    const due = await signInAnonymously("alice");
+    const pending = await signInAnonymously("bob");
+    await del(`/user/${due.uid}`, due.token);
+    await del(`/user/${pending.uid}`, pending.token);
+    await getUserRepository().updateUser(due.uid, {
+      deletionScheduledFor: new Date(Date.now() - 1000),
+    });
+
+    assert.deepEqual(await purgeScheduledDeletions({ dryRun: true }), {
+      purged: 1,
+      failed: 0,
+    });
+    assert.equal((await get(`/user/${due.uid}`)).status, 200);
+
+    assert.deepEqual(await purgeScheduledDeletions(), { purged: 1, failed: 0 });
+    assert.equal((await get(`/user/${due.uid}`)).status, 404);
+    assert.equal((await get(`/user/${pending.uid}`)).status, 200);
+  });
+});
+
+describe("roles", () => {
+  test("tokens carry the user's role", async () => {
+    const { token } = await signInAnonymously();
+
+    assert.equal(decodeToken(token).role, "user");
+  });
+
+  test("only admins can change roles", async () => {
+    const alice = await signInAnonymously("alice");
+    const bob = await signInAnonymously("bob");
+
+    assertError(
+      await admin.post(
+        `/users/${bob.uid}/role`,
+        { role: "admin" },
+        alice.token
+      ),
+      403,
+      "INSUFFICIENT_ROLE"
+    );
+  });
+
+  test("an admin changes a role, which applies from the next sign-in", async () => {
+    const wallet = createEvmWallet();
+    const user = await signIn(wallet);
+    // Revocation has second precision and spares tokens issued in that second
+    await sleep(1000);
+    const { token } = await signInAsAdmin();
+    assert.equal(decodeToken(token).role, "admin");
+
+    const response = await admin.post(
+      `/users/${user.uid}/role`,
+      { role: "moderator" },
+      token
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.role, "moderator");
+    assert.equal(response.body.previousRole, "user");
+    assertError(
+      await get(`/user/${user.uid}/username-history`, user.token),
+      401,
+      "SESSION_REVOKED"
+    );
+    assert.equal(decodeToken((await signIn(wallet)).token).role, "moderator");
+  });
+
+  test("rejects unknown roles and changes to the admin's own role", async () => {
+    const { uid, token } = await signInAsAdmin();
+    const other = await signInAnonymously();
+
+    assertError(
+      await admin.post(`/users/${other.uid}/role`, { role: "owner" }, token),
+      400,
+      "VALIDATION_FAILED"
+    );
+    assertError(
+      await admin.post(`/users/${uid}/role`, { role: "user" }, token),
+      403,
+      "CANNOT_CHANGE_OWN_ROLE"
+    );
+  });
+});
+
+describe("admin API", () => {
+  test("requires an admin", async () => {
+    const { token } = await signInAnonymously();
+
+    assertError(await admin.get("/users"), 401, "MISSING_AUTH_TOKEN");
+    assertError(await admin.get("/users", token), 403, "INSUFFICIENT_ROLE");
+  });
+
+  test("lists every user a page at a time", async () => {
+    const { token } = await signInAsAdmin();
+    await signInAnonymously("alice");
+    await signInAnonymously("bob");
+    await signInAnonymously();
+
+    const uids = [];
+    let cursor = null;
+    do {
+      const page = await admin.get(
+        `/users?limit=2${cursor ? `&cursor=${cursor}` : ""}`,
+        token
+      );
+      assert.equal(page.status, 200);
+      assert.ok(page.body.users.length <= 2);
+      uids.push(...page.body.users.map((user) => user.uid));
+      cursor = page.body.nextCursor;
+    } while (cursor);
+
+    assert.equal(new Set(uids).size, 4);
+    assertError(
+      await admin.get("/users?limit=500", token),
+      400,
+      "VALIDATION_FAILED"
+    );
+  });
+
+  test("finds users by uid, username or wallet", async () => {
+    const { token } = await signInAsAdmin();
+    const wallet = createEvmWallet();
+    const { uid } = await signIn(wallet, "alice");
+
+    for (const [query, matchedBy] of [
+      [uid, "uid"],
+      ["Alice", "username"],
+      [wallet.address.toLowerCase(), "wallet"],
+    ]) {
+      const response = await admin.get(`/users/search?q=${query}`, token);
+      assert.equal(response.status, 200);
+      assert.deepEqual(
+        response.body.users.map((user) => [user.uid, user.matchedBy]),
+        [[uid, matchedBy]]
+      );
+    }
+    assert.deepEqual(
+      (await admin.get("/users/search?q=nobody", token)).body.users,
+      []
+    );
+  });
+
+  test("disabled users are signed out and refused sign-in", async () => {
+    const wallet = createEvmWallet();
+    const user = await signIn(wallet);
+    await sleep(1000);
+    const { uid: adminUid, token } = await signInAsAdmin();
+
+    const disable = await admin.post(
+      `/users/${user.uid}/disable`,
+      { reason: "spam" },
+      token
+    );
+    assert.equal(disable.status, 200);
+    assert.equal(disable.body.user.disabled, true);
+    assert.equal(disable.body.user.disabledReason, "spam");
+    assertError(
+      await post("/wallet/verify", await signChallenge(wallet)),
+      403,
+      "ACCOUNT_DISABLED"
+    );
+    assertError(
+      await admin.post(`/users/${adminUid}/disable`, {}, token),
+      403,
+      "CANNOT_DISABLE_SELF"
+    );
+
+    const enable = await admin.post(`/users/${user.uid}/enable`, {}, token);
+    assert.equal(enable.body.user.disabled, false);
+    assertError(
+      await get(`/user/${user.uid}/username-history`, user.token),
+      401,
+      "SESSION_REVOKED"
+    );
+    await signIn(wallet);
+  });
+
+  test("renames users regardless of the cooldown", async () => {
+    const { uid: adminUid, token } = await signInAsAdmin();
+    const user = await signInAnonymously("alice");
+    await post("/username", { uid: user.uid, username: "bob" }, user.token);
+
+    const response = await admin.post(
+      `/users/${user.uid}/username`,
+      { username: "carol" },
+      token
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.username, "carol");
+    assert.equal(response.body.previousUsername, "bob");
+    const { history } = (await admin.get(`/users/${user.uid}/history`, token))
+      .body;
+    assert.equal(history.usernameHistory[0].changedBy, adminUid);
+    assert.equal(history.adminActions[0].action, "rename");
+  });
+
+  test("unlinks a user's last wallet", async () => {
+    const { token } = await signInAsAdmin();
+    const wallet = createEvmWallet();
+    const { uid } = await signIn(wallet);
+
+    const response = await admin.del(
+      `/users/${uid}/wallets/${wallet.address}`,
+      token
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.primaryWalletAddress, null);
+    assert.deepEqual((await get(`/user/${uid}/wallets`)).body.wallets, []);
+    const details = await admin.get(`/users/${uid}`, token);
+    assert.equal(details.body.user.walletAddress, null);
+  });
+});
+
+describe("auth events", () => {
+  test("lists sign-ups, logins, renames and logouts as the user's activity", async () => {
+    const wallet = createEvmWallet();
+    const first = await signIn(wallet);
+    await post("/username", { uid: first.uid, username: "alice" }, first.token);
+    // Sessions are told apart by auth_time, which has second precision
+    await sleep(1000);
+    const second = await signIn(wallet);
+    await post("/logout", { uid: first.uid }, first.token);
+    await sleep(20);
+
+    const response = await get(`/user/${first.uid}/activity`, second.token);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.events.map(({ action, outcome }) => [action, outcome]),
+      [
+        ["logout", "success"],
+        ["login", "success"],
+        ["rename", "success"],
+        ["sign_up", "success"],
+      ]
+    );
+    assert.ok(response.body.events[0].userAgent);
+    assert.equal(response.body.events[0].ipHash, undefined);
+  });
+
+  test("records failures with their error code", async () => {
+    const { uid, token } = await signInAnonymously();
+    const rename = await post("/username", { uid, username: "a" }, token);
+    await post("/wallet/verify", {
+      message: "not a sign-in message",
+      signature: "0x00",
+    });
+
+    const [event] = await listAuthEvents(uid);
+    assert.equal(event.action, "rename");
+    assert.equal(event.outcome, "failure");
+    assert.equal(event.errorCode, rename.body.error);
+    const [anonymousEvent] = await listAuthEvents(null);
+    assert.equal(anonymousEvent.action, "login");
+    assert.equal(anonymousEvent.errorCode, "INVALID_SIGN_IN_MESSAGE");
+  });
+
+  test("purges events past the retention period", async () => {
+    authConfig.authEvents.retentionDays = 0;
+    const { uid } = await signInAnonymously();
+    assert.equal((await listAuthEvents(uid)).length, 1);
+
+    assert.equal(await purgeExpiredAuthEvents(), 1);
+    assert.deepEqual(await listAuthEvents(uid), []);
+  });
+});
+
+describe("webhooks", () => {
+  const defaultWebhooks = { ...authConfig.webhooks };
+  const secret = "test-webhook-secret";
+  let receiver;
+  let received;
+  // Status code the receiver answers with
+  let receiverStatus;
+
+  before(
+    () =>
+      new Promise((resolve) => {
+        receiver = http.createServer((req, res) => {
+          let body = "";
+          req.on("data", (chunk) => (body += chunk));
+          req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(receiverStatus).end();
+          });
+        });
+        receiver.listen(0, "127.0.0.1", resolve);
+      })
+  );
+
+  after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    receiverStatus = 204;
+    authConfig.webhooks.subscriptions = [
+      {
+        id: "test",
+        url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+        secret,
+        events: ["*"],
+      },
+    ];
+  });
+
+  afterEach(() => {
+    Object.assign(authConfig.webhooks, defaultWebhooks);
+  });
+
+  // Bodies of the signed requests the receiver got
+  const receivedEvents = () =>
+    received.map(({ headers, body }) => {
+      assert.ok(
+        verifyWebhookSignature(secret, headers["x-webhook-signature"], body)
+      );
+      assert.equal(headers["x-webhook-event"], JSON.parse(body).type);
+      return JSON.parse(body);
+    });
+
+  test("delivers signed events for sign-ups, wallet links and renames", async () => {
+    const owner = await signIn(createEvmWallet());
+    const second = createEvmWallet();
+    await post(
+      "/wallet/link",
+      { uid: owner.uid, ...(await signChallenge(second)) },
+      owner.token
+    );
+    await post("/username", { uid: owner.uid, username: "alice" }, owner.token);
+
+    assert.deepEqual(await dispatchWebhooks(), {
+      delivered: 3,
+      retrying: 0,
+      failed: 0,
+    });
+
+    const events = receivedEvents().sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt)
+    );
+    assert.deepEqual(
+      events.map(({ type }) => type),
+      ["user.created", "wallet.linked", "username.changed"]
+    );
+    assert.equal(events[0].data.uid, owner.uid);
+    assert.equal(events[1].data.walletAddress, second.address);
+    assert.equal(events[1].data.isPrimary, false);
+    assert.deepEqual(events[2].data, {
+      uid: owner.uid,
+      username: "alice",
+      previousUsername: null,
+    });
+    assert.equal(verifyWebhookSignature("wrong", "t=1,v1=00", "{}"), false);
+  });
+
+  test("delivers wallet links from rotations and usernames moved by merges", async () => {
+    const primary = createEvmWallet();
+    const replacement = createEvmWallet();
+    const owner = await signIn(primary);
+    const rotate = await post(
+      "/wallet/rotate",
+      {
+        uid: owner.uid,
+        oldWallet: await signChallenge(primary),
+        newWallet: await signChallenge(replacement),
+      },
+      owner.token
+    );
+    assert.equal(rotate.status, 200, JSON.stringify(rotate.body));
+    const anonymous = await signInAnonymously("alice");
+    const merge = await post(
+      "/merge",
+      { uid: anonymous.uid, ...(await signChallenge(replacement)) },
+      anonymous.token
+    );
+    assert.equal(merge.status, 200, JSON.stringify(merge.body));
+
+    await dispatchWebhooks();
+
+    const events = receivedEvents();
+    const ofType = (type) =>
+      events.filter((event) => event.type === type).map(({ data }) => data);
+    assert.deepEqual(ofType("wallet.linked"), [
+      {
+        uid: owner.uid,
+        walletAddress: replacement.address,
+        chain: "evm",
+        isPrimary: true,
+        replacedWallet: primary.address,
+      },
+    ]);
+    assert.deepEqual(ofType("username.changed"), [
+      {
+        uid: owner.uid,
+        username: "alice",
+        previousUsername: null,
+        mergedFrom: anonymous.uid,
+      },
+    ]);
+  });
+
+  test("only queues the events a subscription listens to", async () => {
+    authConfig.webhooks.subscriptions[0].events = ["user.deleted"];
+    const { uid, token } = await signInAnonymously("alice");
+    await del(`/user/${uid}`, token);
+
+    await dispatchWebhooks();
+
+    const events = receivedEvents();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, "user.deleted");
+    assert.deepEqual(events[0].data, { uid });
+  });
+
+  test("retries failed deliveries with backoff", async () => {
+    receiverStatus = 500;
+    const { token } = await signInAsAdmin();
+    await signInAnonymously();
+
+    assert.equal((await dispatchWebhooks()).retrying, 2);
+    // Not due again until the backoff has passed
+    assert.equal((await dispatchWebhooks()).retrying, 0);
+    assert.equal(received.length, 2);
+
+    const { deliveries } = (
+      await admin.get("/webhooks/deliveries?status=pending", token)
+    ).body;
+    assert.equal(deliveries.length, 2);
+    for (const delivery of deliveries) {
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.lastStatusCode, 500);
+      assert.ok(new Date(delivery.nextAttemptAt) > new Date());
+    }
+  });
+
+  test("marks deliveries failed after the last attempt and replays them", async () => {
+    authConfig.webhooks.maxAttempts = 1;
+    receiverStatus = 503;
+    const { token } = await signInAsAdmin();
+    await dispatchWebhooks();
+
+    const { deliveries } = (
+      await admin.get("/webhooks/deliveries?status=failed", token)
+    ).body;
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].attemptLog[0].statusCode, 503);
+    assertError(
+      await admin.post("/webhooks/deliveries/unknown/replay", {}, token),
+      404,
+      "DELIVERY_NOT_FOUND"
+    );
+
+    receiverStatus = 200;
+    const replay = await admin.post(
+      `/webhooks/deliveries/${deliveries[0].id}/replay`,
+      {},
+      token
+    );
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.delivery.status, "pending");
+    assert.equal((await dispatchWebhooks()).delivered, 1);
+
+    const delivery = await admin.get(
+      `/webhooks/deliveries/${deliveries[0].id}`,
+      token
+    );
+    assert.equal(delivery.body.delivery.status, "delivered");
+    assert.equal(received.length, 2);
+    assert.equal(
+      received[0].headers["x-webhook-delivery"],
+      received[1].headers["x-webhook-delivery"]
+    );
+  });
+
+  test("lists subscriptions without their secrets", async () => {
+    const { token } = await signInAsAdmin();
+
+    const response = await admin.get("/webhooks", token);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.subscriptions, [
+      {
+        id: "test",
+        url: authConfig.webhooks.subscriptions[0].url,
+        events: ["*"],
+      },
+    ]);
+  });
+});
+
+describe("token gates", () => {
+  const defaultTokenGates = { ...authConfig.tokenGates };
+  const nft = "0x1111111111111111111111111111111111111111";
+  const token = "0x2222222222222222222222222222222222222222";
+  let chain;
+
+  beforeEach(() => {
+    chain = new FixtureChainDataProvider();
+    setChainDataProvider(chain);
+    authConfig.tokenGates.rules = [
+      {
+        id: "genesis",
+        standard: "erc721",
+        chainId: 1,
+        contract: nft,
+        tokenId: null,
+        minBalance: 1n,
+      },
+      {
+        id: "whale",
+        standard: "erc20",
+        chainId: 8453,
+        contract: token,
+        tokenId: null,
+        minBalance: 1000n,
+      },
+    ];
+  });
+
+  afterEach(() => {
+    Object.assign(authConfig.tokenGates, defaultTokenGates);
+  });
+
+  const gatesOf = (body) => decodeToken(body.token).gates;
+
+  test("embeds the gates a wallet passes in its token", async () => {
+    const wallet = createEvmWallet();
+    chain.setBalance({
+      chainId: 1,
+      contract: nft,
+      owner: wallet.address,
+      balance: 2,
+    });
+    chain.setBalance({
+      chainId: 8453,
+      contract: token,
+      owner: wallet.address,
+      balance: 999,
+    });
+
+    assert.deepEqual(gatesOf(await signIn(wallet)), ["genesis"]);
+    assert.deepEqual(gatesOf(await signInAnonymously()), []);
+  });
+
+  test("embeds the gates in every token a sign-in path mints", async () => {
+    const wallet = createEvmWallet();
+    chain.setBalance({
+      chainId: 1,
+      contract: nft,
+      owner: wallet.address,
+      balance: 1,
+    });
+    await signIn(wallet);
+    const anonymous = await signInAnonymously();
+
+    const merge = await post(
+      "/merge",
+      { uid: anonymous.uid, ...(await signChallenge(wallet)) },
+      anonymous.token
+    );
+
+    assert.deepEqual(gatesOf(merge.body), ["genesis"]);
+    assert.deepEqual(gatesOf((await post("/anonymous", {})).body), []);
+  });
+
+  test("adds up balances of every linked wallet", async () => {
+    const first = createEvmWallet();
+    const second = createEvmWallet();
+    chain.setBalance({
+      chainId: 8453,
+      contract: token,
+      owner: first.address,
+      balance: 600,
+    });
+    chain.setBalance({
+      chainId: 8453,
+      contract: token,
+      owner: second.address,
+      balance: 400,
+    });
+    const owner = await signIn(first);
+    assert.deepEqual(gatesOf(owner), []);
+
+    await post(
+      "/wallet/link",
+      { uid: owner.uid, ...(await signChallenge(second)) },
+      owner.token
+    );
+
+    assert.deepEqual(gatesOf(await signIn(first)), ["whale"]);
+  });
+
+  test("reuses balances until the cache TTL passes", async () => {
+    authConfig.tokenGates.cacheTtlSeconds = 1;
+    const wallet = createEvmWallet();
+    await signIn(wallet);
+    chain.setBalance({
+      chainId: 1,
+      contract: nft,
+      owner: wallet.address,
+      balance: 1,
+    });
+
+    assert.deepEqual(gatesOf(await signIn(wallet)), []);
+
+    await sleep(1000);
+    assert.deepEqual(gatesOf(await signIn(wallet)), ["genesis"]);
+  });
+
+  test("fails closed without blocking sign-in when balances cannot be read", async () => {
+    chain.getTokenBalance = async () => {
+      throw new Error("RPC unavailable");
+    };
+
+    assert.deepEqual(gatesOf(await signIn(createEvmWallet())), []);
+  });
+});
+
+describe("smart-contract wallets", () => {
+  const factory = "0x3333333333333333333333333333333333333333";
+  const factoryAbi = new ethers.Interface(["function deploy(address owner)"]);
+  const erc1271 = new ethers.Interface([
+    "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+  ]);
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  let node;
+  // Owners of the deployed wallets by lowercased address, and the calldata
+  // the factory deploys each counterfactual wallet with
+  let deployed;
+  let counterfactual;
+  // eth_call requests the stand-in node has answered
+  let calls;
+
+  // Owner of a wallet if it accepts a signature over a hash, else null
+  const signerOf = (hash, signature) => {
+    try {
+      return ethers.recoverAddress(hash, signature).toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Stand-in for a chain node: answers eth_call the way the chain would for
+  // wallets that accept their owner's ECDSA signatures through EIP-1271 and
+  // for deployless calls of the EIP-6492 validator
+  const call = ({ to, data }) => {
+    calls += 1;
+    if (to) {
+      const owner = deployed.get(to.toLowerCase());
+      if (!owner) return "0x";
+      const [hash, signature] = erc1271.decodeFunctionData(
+        "isValidSignature",
+        data
+      );
+      return abiCoder.encode(
+        ["bytes4"],
+        [signerOf(hash, signature) === owner ? "0x1626ba7e" : "0xffffffff"]
+      );
+    }
+
+    assert.ok(data.startsWith(ERC6492_VALIDATOR_BYTECODE));
+    const [address, hash, signature] = abiCoder.decode(
+      ["address", "bytes32", "bytes"],
+      ethers.dataSlice(data, ethers.dataLength(ERC6492_VALIDATOR_BYTECODE))
+    );
+    const wrapped = unwrapErc6492Signature(signature);
+    let owner = deployed.get(address.toLowerCase());
+    if (
+      !owner &&
+      wrapped &&
+      wrapped.factory.toLowerCase() === factory &&
+      wrapped.factoryCalldata === counterfactual.get(address.toLowerCase())
+    ) {
+      [owner] = factoryAbi.decodeFunctionData(
+        "deploy",
+        wrapped.factoryCalldata
+      );
+      owner = owner.toLowerCase();
+    }
+    const valid =
+      !!owner &&
+      signerOf(hash, wrapped ? wrapped.signature : signature) === owner;
+    return valid ? "0x01" : "0x00";
+  };
+
+  before(
+    () =>
+      new Promise((resolve) => {
+        node = http.createServer((req, res) => {
+          let body = "";
+          req.on("data", (chunk) => (body += chunk));
+          req.on("end", () => {
+            const payload = JSON.parse(body);
+            const answer = ({ id, method, params }) =>
+              method === "eth_call"
+                ? { jsonrpc: "2.0", id, result: call(params[0]) }
+                : {
+                    jsonrpc: "2.0",
+                    id,
+                    error: { code: -32601, message: "Method not found" },
+                  };
+            res
+              .writeHead(200, { "Content-Type": "application/json" })
+              .end(
+                JSON.stringify(
+                  Array.isArray(payload) ? payload.map(answer) : answer(payload)
+                )
+              );
+          });
+        });
+        node.listen(0, "127.0.0.1", resolve);
+      })
+  );
+
+  after(() => new Promise((resolve) => node.close(resolve)));
+
+  beforeEach(() => {
+    deployed = new Map();
+    counterfactual = new Map();
+    calls = 0;
+    setChainDataProvider(
+      new RpcChainDataProvider({
+        rpcUrls: { 1: `http://127.0.0.1:${node.address().port}` },
+      })
+    );
+  });
+
+  const randomAddress = () =>
+    ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+
+  // A deployed wallet that signs with its owner's key
+  const createContractWallet = (owner = createEvmWallet()) => {
+    const address = randomAddress();
+    deployed.set(address.toLowerCase(), owner.address.toLowerCase());
+    return { address, signMessage: (message) => owner.signMessage(message) };
+  };
+
+  // A wallet the factory has not deployed yet, signing for EIP-6492
+  const createCounterfactualWallet = (owner = createEvmWallet()) => {
+    const address = randomAddress();
+    const factoryCalldata = factoryAbi.encodeFunctionData("deploy", [
+      owner.address,
+    ]);
+    counterfactual.set(address.toLowerCase(), factoryCalldata);
+    return {
+      address,
+      signMessage: async (message) =>
+        wrapErc6492Signature({
+          factory,
+          factoryCalldata,
+          signature: await owner.signMessage(message),
+        }),
+    };
+  };
+
+  test("signs in a deployed wallet through EIP-1271", async () => {
+    const wallet = createContractWallet();
+
+    const { uid, username } = await signIn(wallet, "safe_user");
+
+    const profile = await get(`/user/${uid}`);
+    assert.equal(profile.body.user.walletAddress, wallet.address);
+    assert.equal(username, "safe_user");
+  });
+
+  test("signs in an undeployed wallet through EIP-6492", async () => {
+    const wallet = createCounterfactualWallet();
+
+    const { uid } = await signIn(wallet);
+
+    const profile = await get(`/user/${uid}`);
+    assert.equal(profile.body.user.walletAddress, wallet.address);
+    assert.equal(deployed.size, 0);
+  });
+
+  test("rejects a signature the wallet does not accept", async () => {
+    const wallet = createContractWallet();
+    const { message } = await signChallenge(wallet);
+
+    const response = await post("/wallet/verify", {
+      message,
+      signature: await createEvmWallet().signMessage(message),
+    });
+
+    assertError(response, 401, "INVALID_SIGNATURE");
+  });
+
+  test("rejects an EIP-6492 signature with an unknown deployment", async () => {
+    const wallet = createCounterfactualWallet();
+    counterfactual.delete(wallet.address.toLowerCase());
+
+    const response = await post("/wallet/verify", await signChallenge(wallet));
+
+    assertError(response, 401, "INVALID_SIGNATURE");
+  });
+
+  test("rejects the signature when the chain cannot be read", async () => {
+    const wallet = createContractWallet();
+    setChainDataProvider(new RpcChainDataProvider({ rpcUrls: {} }));
+
+    const response = await post("/wallet/verify", await signChallenge(wallet));
+
+    assertError(response, 401, "INVALID_SIGNATURE");
+  });
+
+  test("does not read the chain for a challenge that was never issued", async () => {
+    const wallet = createContractWallet();
+    const { message } = await signChallenge(wallet);
+    const forged = message.replace(
+      /^Nonce: .*$/m,
+      `Nonce: ${ethers.hexlify(ethers.randomBytes(16)).slice(2)}`
+    );
+
+    const response = await post("/wallet/verify", {
+      message: forged,
+      signature: await wallet.signMessage(forged),
+    });
+
+    assertError(response, 401, "INVALID_NONCE");
+    assert.equal(calls, 0);
+  });
+
+  test("does not read the chain for a message with another chain ID", async () => {
+    const wallet = createContractWallet();
+    const { message } = await signChallenge(wallet);
+    const forged = message.replace(/^Chain ID: 1$/m, "Chain ID: 137");
+    assert.notEqual(forged, message);
+
+    const response = await post("/wallet/verify", {
+      message: forged,
+      signature: await wallet.signMessage(forged),
+    });
+
+    assertError(response, 400, "INVALID_SIGN_IN_MESSAGE");
+    assert.equal(calls, 0);
+  });
+
+  test("checks a contract wallet on the configured chain only", async () => {
+    const owner = createEvmWallet();
+    const wallet = {
+      address: randomAddress(),
+      signMessage: (message) => owner.signMessage(message),
+    };
+    setChainDataProvider(
+      new FixtureChainDataProvider({
+        contractWallets: [
+          { chainId: 137, address: wallet.address, owners: [owner.address] },
+        ],
+      })
+    );
+    const { body } = await post("/wallet/nonce", {
+      walletAddress: wallet.address,
+      chainId: 137,
+    });
+    assert.equal(body.chainId, 137);
+
+    const response = await post("/wallet/verify", {
+      message: body.message,
+      signature: await wallet.signMessage(body.message),
+    });
+
+    assertError(response, 401, "INVALID_SIGNATURE");
+  });
+
+  test("links a contract wallet from fixtures", async () => {
+    const owner = createEvmWallet();
+    const wallet = {
+      address: randomAddress(),
+      signMessage: (message) => owner.signMessage(message),
+    };
+    setChainDataProvider(
+      new FixtureChainDataProvider({
+        contractWallets: [
+          { chainId: 1, address: wallet.address, owners: [owner.address] },
+        ],
+      })
+    );
+    const user = await signIn(createEvmWallet());
+
+    const link = await post(
+      "/wallet/link",
+      { uid: user.uid, ...(await signChallenge(wallet)) },
+      user.token
+    );
+
+    assert.equal(link.status, 200, JSON.stringify(link.body));
+    assert.equal(link.body.walletAddress, wallet.address);
+  });
+});
+
+describe("ENS and SNS usernames", () => {
+  let names;
+
+  beforeEach(() => {
+    names = new FixtureNameResolver();
+    setNameResolver(names);
+  });
+
+  test("reserves names for wallets that resolve to them", async () => {
+    const owner = createEvmWallet();
+    names.setName(owner.address, "alice.eth");
+
+    assertError(
+      await post("/authenticate", { username: "alice.eth" }),
+      400,
+      "USERNAME_NOT_VERIFIED"
+    );
+    assertError(
+      await post("/wallet/verify", {
+        ...(await signChallenge(createEvmWallet())),
+        username: "Alice.ETH",
+      }),
+      400,
+      "USERNAME_NOT_VERIFIED"
+    );
+
+    const { uid } = await signIn(owner, "alice.eth");
+
+    const profile = await get(`/user/${uid}`);
+    assert.equal(profile.body.user.username, "alice.eth");
+    assert.equal(profile.body.user.usernameVerifiedBy, owner.address);
+  });
+
+  test("treats look-alikes of a name service suffix as names of that service", async () => {
+    const owner = createEvmWallet();
+    names.setName(owner.address, "vitalik.eth");
+
+    // Cyrillic "е" in the suffix, which shares the key of "vitalik.eth"
+    assertError(
+      await post("/authenticate", { username: "vitalik.\u0435th" }),
+      400,
+      "USERNAME_NOT_VERIFIED"
+    );
+    assertError(
+      await post("/wallet/verify", {
+        ...(await signChallenge(createEvmWallet())),
+        username: "vitalik.\u0435th",
+      }),
+      400,
+      "USERNAME_NOT_VERIFIED"
+    );
+
+    await signIn(owner, "vitalik.eth");
+  });
+
+  test("lets users rename to the name of any linked wallet", async () => {
+    const user = await signInAnonymously();
+    const solana = createSolanaWallet();
+    names.setName(solana.address, "alice.sol");
+    assertError(
+      await post(
+        "/username",
+        { uid: user.uid, username: "alice.sol" },
+        user.token
+      ),
+      400,
+      "USERNAME_NOT_VERIFIED"
+    );
+
+    await post(
+      "/wallet/link",
+      { uid: user.uid, ...(await signChallenge(solana)) },
+      user.token
+    );
+    const response = await post(
+      "/username",
+      { uid: user.uid, username: "alice.sol" },
+      user.token
+    );
+
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+  });
+
+  test("resolves SNS primary domains of Solana wallets", async () => {
+    const wallet = createSolanaWallet();
+    const owner = new PublicKey(wallet.address);
+    const { pubkey: domain } = getDomainKeySync("alice");
+    // Account data by address, as the stand-in node serves it
+    const accounts = new Map();
+    // Name registry account: parent, owner and class, then the data
+    const registry = (domainOwner, data = Buffer.alloc(0)) =>
+      Buffer.concat([
+        ROOT_DOMAIN_ACCOUNT.toBuffer(),
+        domainOwner.toBuffer(),
+        Buffer.alloc(32),
+        data,
+      ]);
+    const name = Buffer.from("alice");
+    accounts.set(
+      FavouriteDomain.getKeySync(NAME_OFFERS_ID, owner)[0].toBase58(),
+      Buffer.concat([Buffer.from([1]), domain.toBuffer()])
+    );
+    accounts.set(domain.toBase58(), registry(owner));
+    accounts.set(
+      getReverseKeyFromDomainKey(domain).toBase58(),
+      registry(
+        PublicKey.default,
+        Buffer.concat([Buffer.from([name.length, 0, 0, 0]), name])
+      )
+    );
+
+    const node = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const { id, method, params } = JSON.parse(body);
+        const data = accounts.get(params[0]);
+        const answer =
+          method === "getAccountInfo"
+            ? {
+                result: {
+                  context: { slot: 1 },
+                  value: data && {
+                    data: [data.toString("base64"), "base64"],
+                    executable: false,
+                    lamports: 1,
+                    owner: NAME_PROGRAM_ID.toBase58(),
+                    rentEpoch: 0,
+                    space: data.length,
+                  },
+                },
+              }
+            : // Domains are not tokenized: the mint does not exist
+              { error: { code: -32602, message: "Invalid param: not a mint" } };
+        res
+          .writeHead(200, { "Content-Type": "application/json" })
+          .end(JSON.stringify({ jsonrpc: "2.0", id, ...answer }));
+      });
+    });
+    await new Promise((resolve) => node.listen(0, "127.0.0.1", resolve));
+    setNameResolver(
+      new ChainNameResolver({
+        evm: names,
+        solana: new SnsNameResolver({
+          rpcUrl: `http://127.0.0.1:${node.address().port}`,
+        }),
+      })
+    );
+
+    try {
+      const { uid } = await signIn(wallet, "alice.sol");
+      const profile = await get(`/user/${uid}`);
+      assert.equal(profile.body.user.usernameVerifiedBy, wallet.address);
+
+      // The domain is sold: the primary domain left behind is stale
+      accounts.set(domain.toBase58(), registry(PublicKey.unique()));
+      assert.equal((await reverifyNameUsernames()).released, 1);
+    } finally {
+      await new Promise((resolve) => node.close(resolve));
+    }
+  });
+
+  test("fails with 503 when names cannot be resolved", async () => {
+    names.reverseResolve = async () => {
+      throw new Error("resolver down");
+    };
+
+    assertError(
+      await post("/wallet/verify", {
+        ...(await signChallenge(createEvmWallet())),
+        username: "alice.eth",
+      }),
+      503,
+      "NAME_RESOLUTION_FAILED"
+    );
+    // Ordinary usernames never reach the resolver
+    await signIn(createEvmWallet(), "alice");
+  });
+
+  test("re-verification releases names whose ownership changed", async () => {
+    const seller = createEvmWallet();
+    const keeper = createEvmWallet();
+    const buyer = createEvmWallet();
+    names.setName(seller.address, "alice.eth");
+    names.setName(keeper.address, "bob.eth");
+    const { uid, token } = await signIn(seller, "alice.eth");
+    const kept = await signIn(keeper, "bob.eth");
+
+    // The name is sold: its reverse record now points at the buyer
+    names.setName(seller.address, null);
+    names.setName(buyer.address, "alice.eth");
+    assert.deepEqual(await reverifyNameUsernames(), {
+      checked: 2,
+      verified: 1,
+      released: 1,
+      failed: 0,
+    });
+
+    assert.equal((await get(`/user/${uid}`)).body.user.username, null);
+    assert.equal(
+      (await get(`/user/${kept.uid}`)).body.user.username,
+      "bob.eth"
+    );
+    const [entry] = (await get(`/user/${uid}/username-history`, token)).body
+      .history;
+    assert.equal(entry.previousUsername, "alice.eth");
+    assert.equal(entry.reason, "name_ownership_changed");
+    // Free for the new owner at once, without a hold
+    await signIn(buyer, "alice.eth");
+  });
+
+  test("re-verifies names claimed before verification with --all", async () => {
+    const wallet = createEvmWallet();
+    names.setName(wallet.address, "alice.eth");
+    const { uid } = await signIn(wallet, "alice.eth");
+    await getUserRepository().updateUser(uid, {
+      usernameVerifiedBy: DELETE_FIELD,
+      usernameVerifiedAt: DELETE_FIELD,
+    });
+    names.setName(wallet.address, null);
+
+    assert.equal((await reverifyNameUsernames()).checked, 0);
+    assert.equal((await reverifyNameUsernames({ all: true })).released, 1);
+  });
+});
+
+describe("error responses", () => {
+  test("rejects a malformed JSON body", async () => {
+    const response = await fetch(`${baseUrl}/authenticate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{not json",
+    });
+
+    assertError(
+      { status: response.status, body: await response.json() },
+      400,
+      "INVALID_JSON"
+    );
+  });
+
+  test("hides the details of unexpected errors", async () => {
+    const repository = new MemoryUserRepository();
+    repository.getUsernameReservation = async () => {
+      throw new Error("connection to db-internal:5432 refused");
+    };
+    setUserRepository(repository);
+
+    const response = await get("/username/available/alice");
+
+    assertError(response, 500, "INTERNAL_ERROR");
+    assert.equal(response.body.message, "Something went wrong");
+    assert.ok(!JSON.stringify(response.body).includes("db-internal"));
+  });
+});
+
+describe("request validation", () => {
+  /**
+   * Assert that a response is a validation error listing exactly these fields
+   * @param {object} response - The response from `request`
+   * @param {string[]} fields - Expected field paths
+   */
+  const assertInvalidFields = (response, fields) => {
+    assertError(response, 400, "VALIDATION_FAILED");
+    assert.deepEqual(
+      response.body.errors.map(({ field }) => field).sort(),
+      [...fields].sort()
+    );
+  };
+
+  test("lists every missing or mistyped field", async () => {
+    assertInvalidFields(await post("/wallet/nonce", {}), [
+      "body.walletAddress",
+    ]);
+    assertInvalidFields(
+      await post("/wallet/verify", { message: 42, username: ["alice"] }),
+      ["body.message", "body.signature", "body.username"]
+    );
+    assertInvalidFields(
+      await post("/wallet/nonce", {
+        walletAddress: createEvmWallet().address,
+        chainId: 1.5,
+      }),
+      ["body.chainId"]
+    );
+  });
+
+  test("rejects a non-string wallet address instead of failing", async () => {
+    const response = await post("/authenticate", {
+      walletAddress: { address: "0x" },
+    });
+
+    assertInvalidFields(response, ["body.walletAddress"]);
+    assert.equal(response.body.errors[0].message, "must be a string or null");
+  });
+
+  test("checks nested signed challenges", async () => {
+    const user = await signIn(createEvmWallet());
+
+    assertInvalidFields(
+      await post(
+        "/wallet/rotate",
+        { oldWallet: { message: "hello" }, newWallet: "signed" },
+        user.token
+      ),
+      ["body.oldWallet.signature", "body.newWallet"]
+    );
+  });
+
+  test("rejects a body that is not an object", async () => {
+    const response = await fetch(`${baseUrl}/authenticate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(["alice"]),
+    });
+
+    assertError(
+      { status: response.status, body: await response.json() },
+      400,
+      "VALIDATION_FAILED"
+    );
+  });
+
+  test("validates media URLs and document IDs", async () => {
+    const postMedia = async (path, body) => {
+      const response = await fetch(`${origin}/api/media${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    assertInvalidFields(
+      await postMedia("/generate-ImgBlur", { imageUrl: "file:///etc/passwd" }),
+      ["body.imageUrl"]
+    );
+    assertInvalidFields(
+      await postMedia("/generate-vidThumbnail", {
+        videoUrl: "https://example.com/video.mp4",
+        docId: 'doc"; rm -rf /',
+      }),
+      ["body.docId"]
+    );
+  });
+
+  test("requires a video upload for compression", async () => {
+    const compress = async (form) => {
+      const response = await fetch(`${origin}/api/compress/compress-video`, {
+        method: "POST",
+        body: form,
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    assertInvalidFields(await compress(new FormData()), ["files.video"]);
+
+    const form = new FormData();
+    form.append("video", new Blob(["hello"], { type: "text/plain" }), "a.txt");
+    const response = await compress(form);
+    assertInvalidFields(response, ["files.video"]);
+    assert.equal(response.body.errors[0].message, "must be one of: video/*");
+  });
+});
+
+describe("rate limiting", () => {
+  const defaultRules = authConfig.rateLimit.rules;
+
+  beforeEach(() => {
+    authConfig.rateLimit.enabled = true;
+    authConfig.rateLimit.rules = {
+      authenticate: { ip: { limit: 2, windowSeconds: 60 } },
+      walletNonce: { wallet: { limit: 1, windowSeconds: 60 } },
+      lookup: { ip: { limit: 2, windowSeconds: 60 } },
+    };
+  });
+
+  afterEach(() => {
+    authConfig.rateLimit.rules = defaultRules;
+  });
+
+  test("throttles an IP with 429 and Retry-After", async () => {
+    assert.equal((await get("/username/available/alice")).status, 200);
+    assert.equal((await get("/wallet/available/0x1234")).status, 400);
+
+    // Every lookup route counts against the same rule
+    const response = await get("/username/bob");
+    assertError(response, 429, "RATE_LIMITED");
+    const retryAfter = Number(response.headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.ok(new Date(response.body.retryAt) > new Date());
+  });
+
+  test("records hits as auth events with a hashed IP", async () => {
+    await post("/authenticate", {});
+    await post("/authenticate", {});
+    assertError(await post("/authenticate", {}), 429, "RATE_LIMITED");
+
+    const [event] = await listAuthEvents(null);
+    assert.equal(event.action, "rate_limited");
+    assert.equal(event.rule, "authenticate");
+    assert.match(event.ipHash, /^[0-9a-f]{64}$/);
+  });
+
+  test("shares the sign-up limit between sign-in routes", async () => {
+    assert.equal((await post("/anonymous", {})).status, 200);
+    assert.equal((await post("/authenticate", {})).status, 200);
+    assertError(await post("/anonymous", {}), 429, "RATE_LIMITED");
+  });
+
+  test("counts each wallet separately", async () => {
+    const wallet = createEvmWallet();
+    const checksummed = { walletAddress: wallet.address };
+    const lowercase = { walletAddress: wallet.address.toLowerCase() };
+
+    assert.equal((await post("/wallet/nonce", checksummed)).status, 200);
+    // Spellings of one address share a counter
+    assertError(await post("/wallet/nonce", lowercase), 429, "RATE_LIMITED");
+
+    const other = { walletAddress: createEvmWallet().address };
+    assert.equal((await post("/wallet/nonce", other)).status, 200);
+  });
+
+  test("counts signed challenges against their wallet", async () => {
+    authConfig.rateLimit.rules = {
+      authenticate: { wallet: { limit: 2, windowSeconds: 60 } },
+    };
+    const wallet = createEvmWallet();
+
+    await signIn(wallet);
+    await signIn(wallet);
+    assertError(
+      await post("/wallet/verify", await signChallenge(wallet)),
+      429,
+      "RATE_LIMITED"
+    );
+
+    await signIn(createEvmWallet());
+  });
+
+  test("does not count made-up challenges against the wallet they name", async () => {
+    authConfig.rateLimit.rules = {
+      authenticate: { wallet: { limit: 2, windowSeconds: 60 } },
+    };
+    const victim = createEvmWallet();
+    const attacker = createEvmWallet();
+    const { message } = await signChallenge(victim);
+
+    for (let i = 0; i < 3; i++) {
+      const forged = message.replace(
+        /^Nonce: .*$/m,
+        `Nonce: ${ethers.hexlify(ethers.randomBytes(16)).slice(2)}`
+      );
+      assertError(
+        await post("/wallet/verify", {
+          message: forged,
+          signature: await attacker.signMessage(forged),
+        }),
+        401,
+        "INVALID_NONCE"
+      );
+    }
+
+    await signIn(victim);
+  });
+
+  test("lets requests through when the store fails", async () => {
+    setRateLimitStore({
+      increment: async () => {
+        throw new Error("store unavailable");
+      },
+      reset: async () => {},
+    });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await get("/username/available/alice")).status, 200);
+    }
+  });
+
+  test("starts a new window once the old one ends", async () => {
+    const store = new MemoryRateLimitStore();
+
+    assert.equal((await store.increment("key", 50)).count, 1);
+    assert.equal((await store.increment("key", 50)).count, 2);
+    await sleep(60);
+    assert.equal((await store.increment("key", 50)).count, 1);
+  });
+});
+
+describe("backward compatibility routes", () => {
+  test("POST /anonymous creates users and maps username errors", async () => {
+    const created = await post("/anonymous", { username: "alice" });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.isNewUser, true);
+    assert.equal(created.body.authType, "anonymous");
+
+    assertError(
+      await post("/anonymous", { username: "alice" }),
+      400,
+      "USERNAME_ALREADY_EXISTS"
+    );
+    assertError(
+      await post("/anonymous", { username: "ab" }),
+      400,
+      "USERNAME_TOO_SHORT"
+    );
+  });
+
+  test("POST /wallet/connect requires a wallet and a signature by default", async () => {
+    const missing = await post("/wallet/connect", {});
+    assert.equal(missing.status, 400);
+
+    assertError(
+      await post("/wallet/connect", {
+        walletAddress: createEvmWallet().address,
+      }),
+      401,
+      "WALLET_SIGNATURE_REQUIRED"
+    );
+  });
+
+  describe("with insecure wallet auth enabled", () => {
+    beforeEach(() => {
+      authConfig.allowInsecureWalletAuth = true;
+    });
+
+    test("POST /wallet/connect creates and reuses wallet users", async () => {
+      const { address } = createEvmWallet();
+
+      const created = await post("/wallet/connect", {
+        walletAddress: address,
+        username: "alice",
+      });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.isNewUser, true);
+
+      // A different username keeps the existing account unchanged
+      const again = await post("/wallet/connect", {
+        walletAddress: address,
+        username: "bob",
+      });
+      assert.equal(again.status, 200);
+      assert.equal(again.body.uid, created.body.uid);
+      assert.equal(again.body.username, "alice");
+      assert.equal(again.body.requestedUsername, "bob");
+      assert.equal(again.body.usernameChanged, false);
+    });
+
+    test("POST /wallet/connect maps wallet and username errors", async () => {
+      await post("/wallet/connect", {
+        walletAddress: createEvmWallet().address,
+        username: "alice",
+      });
+
+      assertError(
+        await post("/wallet/connect", {
+          walletAddress: createEvmWallet().address,
+          username: "alice",
+        }),
+        400,
+        "USERNAME_HAS_DIFFERENT_WALLET"
+      );
+      assertError(
+        await post("/wallet/connect", { walletAddress: "0x1234" }),
+        400,
+        "INVALID_WALLET_ADDRESS"
+      );
+      assertError(
+        await post("/wallet/connect", {
+          walletAddress: createEvmWallet().address,
+          username: "admin",
+        }),
+        400,
+        "USERNAME_RESERVED"
+      );
+    });
+  });
+});
@@ -0,0 +1,300 @@
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const {
+  getUserRepository,
+  DELETE_FIELD,
+  RECORD_KINDS,
+} = require("../repositories");
+const { getIdentityProvider } = require("../identity");
+const { getAuthEventStore } = require("../auth-events");
+const { NotFoundError, ConflictError } = require("./errors");
+const { WEBHOOK_EVENTS, emitWebhookEvent } = require("./webhook.utils");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Users read per batch when purging scheduled deletions
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Convert stored values into plain JSON (dates become ISO strings)
+ * @param {*} value - A stored field value
+ * @returns {*} The JSON-safe value
+ */
+const toExportValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toExportValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, toExportValue(entry)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Collect everything stored about a user: the identity provider account, the
+ * user document with all of its records, username and wallet reservations,
+ * and the sign-in challenges issued to their wallets
+ * @param {string} uid - The user ID
+ * @returns {Promise<object|null>} The export archive or null if the user does not exist
+ */
+const exportUserData = async (uid) => {
+  try {
+    const repository = getUserRepository();
+    const user = await repository.getUser(uid);
+
+    if (!user) {
+      return null;
+    }
+
+    const authUser = await getIdentityProvider().getUser(uid);
+
+    const subcollections = {};
+    for (const kind of await repository.listRecordKinds(uid)) {
+      subcollections[kind] = toExportValue(
+        await repository.listRecords(uid, kind)
+      );
+    }
+
+    const wallets = toExportValue(await repository.listWallets(uid));
+    const usernames = toExportValue(
+      await repository.listUsernameReservations(uid)
+    );
+
+    const nonces = [];
+    for (const wallet of wallets) {
+      nonces.push(...toExportValue(await repository.listNonces(wallet.id)));
+    }
+
+    // Every event still within the retention period
+    const authEvents = toExportValue(
+      (await getAuthEventStore().listByUid(uid, {})).map(
+        ({ id: eventId, ...event }) => event
+      )
+    );
+
+    const { id, ...profile } = user;
+
+    return {
+      exportedAt: new Date().toISOString(),
+      uid,
+      auth: authUser
+        ? {
+            uid: authUser.uid,
+            disabled: authUser.disabled,
+            customClaims: authUser.customClaims || null,
+            creationTime: authUser.metadata.creationTime,
+            lastSignInTime: authUser.metadata.lastSignInTime,
+            tokensValidAfterTime: authUser.tokensValidAfterTime || null,
+            providers: authUser.providerData.map(
+              (provider) => provider.providerId
+            ),
+          }
+        : null,
+      profile: toExportValue(profile),
+      subcollections,
+      reservations: { usernames, wallets },
+      authNonces: nonces,
+      authEvents,
+    };
+  } catch (error) {
+    logger.error(`Error exporting data for user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete a user: the identity provider account, generated
+ * thumbnails, username and wallet reservations, the nonces issued to their
+ * wallets, the user document with its records and their auth events. The
+ * identity provider account goes first: if a later step fails, the deletion
+ * can be retried from the remaining document, whereas an account without a
+ * document could never be found again.
+ * @param {string} uid - The user ID
+ * @returns {Promise<{thumbnails: number, usernames: number, wallets: number, nonces: number, authEvents: number}>} Counts of deleted items
+ */
+const deleteUserAccount = async (uid) => {
+  try {
+    // A missing account (auth/user-not-found) counts as deleted, so a retry
+    // after an interrupted deletion goes on with the records
+    await getIdentityProvider().deleteUser(uid);
+
+    const counts = await getUserRepository().deleteUsers([uid]);
+    counts.authEvents = await getAuthEventStore().deleteByUid(uid);
+
+    await emitWebhookEvent(WEBHOOK_EVENTS.USER_DELETED, { uid });
+
+    logger.info(`User ${uid} deleted`);
+    return counts;
+  } catch (error) {
+    logger.error(`Error deleting user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete the accounts whose deletion grace period has ended. A
+ * failed deletion is logged and left for the next run.
+ * @param {object} options - Purge options
+ * @param {boolean} options.dryRun - Only report the accounts that would be deleted
+ * @param {number} options.batchSize - Users read per batch
+ * @returns {Promise<{purged: number, failed: number}>} Counts of deleted and failed accounts
+ */
+const purgeScheduledDeletions = async ({
+  dryRun = false,
+  batchSize = PURGE_BATCH_SIZE,
+} = {}) => {
+  const repository = getUserRepository();
+  const now = new Date();
+  let lastUser = null;
+  let purged = 0;
+  let failed = 0;
+
+  logger.info(
+    `Purging accounts scheduled for deletion${dryRun ? " (dry run)" : ""}...`
+  );
+
+  for (;;) {
+    const users = await repository.findUsers({
+      filters: [["deletionScheduledFor", "<=", now]],
+      orderBy: "deletionScheduledFor",
+      limit: batchSize,
+      startAfter: lastUser,
+    });
+    if (!users.length) break;
+    lastUser = users[users.length - 1];
+
+    for (const user of users) {
+      logger.info(
+        `Deleting user ${
+          user.id
+        }, scheduled for ${user.deletionScheduledFor.toISOString()}`
+      );
+      if (dryRun) {
+        purged++;
+        continue;
+      }
+
+      try {
+        await deleteUserAccount(user.id);
+        purged++;
+      } catch (error) {
+        failed++;
+      }
+    }
+  }
+
+  logger.info(
+    `Account purge ${
+      dryRun ? "dry run " : ""
+    }complete: ${purged} deleted, ${failed} failed`
+  );
+  return { purged, failed };
+};
+
+/**
+ * Delete a user, or schedule the deletion when `accountDeletionGraceDays` is
+ * set so it can still be undone with `cancelAccountDeletion`
+ * @param {string} uid - The user ID
+ * @returns {Promise<{deleted: boolean, scheduledFor: Date|null}>} Whether the account is gone or when it will be
+ */
+const requestAccountDeletion = async (uid) => {
+  const graceMs = authConfig.accountDeletionGraceDays * DAY_MS;
+
+  try {
+    const repository = getUserRepository();
+    const user = await repository.getUser(uid);
+
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+
+    if (graceMs <= 0) {
+      await deleteUserAccount(uid);
+      return { deleted: true, scheduledFor: null };
+    }
+
+    const scheduledFor = new Date(Date.now() + graceMs);
+    await repository.updateUser(uid, {
+      deletionRequestedAt: new Date(),
+      deletionScheduledFor: scheduledFor,
+    });
+
+    logger.info(
+      `Deletion of user ${uid} scheduled for ${scheduledFor.toISOString()}`
+    );
+    return { deleted: false, scheduledFor };
+  } catch (error) {
+    logger.error(`Error requesting deletion of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Undo a scheduled account deletion during the grace period
+ * @param {string} uid - The user ID
+ * @returns {Promise<boolean>} Success status
+ */
+const cancelAccountDeletion = async (uid) => {
+  try {
+    const repository = getUserRepository();
+    const user = await repository.getUser(uid);
+
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+
+    if (!user.deletionScheduledFor) {
+      throw new ConflictError(
+        "No account deletion is scheduled",
+        "DELETION_NOT_SCHEDULED"
+      );
+    }
+
+    await repository.updateUser(uid, {
+      deletionRequestedAt: DELETE_FIELD,
+      deletionScheduledFor: DELETE_FIELD,
+    });
+
+    logger.info(`Scheduled deletion of user ${uid} cancelled`);
+    return true;
+  } catch (error) {
+    logger.error(`Error cancelling deletion of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remember a thumbnail generated for a user so it is exported and deleted
+ * with their account
+ * @param {string} uid - The user ID
+ * @param {string} docId - The document the thumbnail belongs to
+ * @param {string} path - The Storage path of the thumbnail
+ * @param {string} url - The public URL of the thumbnail
+ * @returns {Promise<void>}
+ */
+const recordUserThumbnail = async (uid, docId, path, url) => {
+  await getUserRepository().addRecord(
+    uid,
+    RECORD_KINDS.THUMBNAILS,
+    {
+      path,
+      url,
+      createdAt: new Date(),
+    },
+    docId
+  );
+};
+
+module.exports = {
+  exportUserData,
+  deleteUserAccount,
+  purgeScheduledDeletions,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  recordUserThumbnail,
+};
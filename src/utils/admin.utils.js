@@ -0,0 +1,374 @@
+const logger = require("./logger");
+const authUtils = require("./auth.utils");
+const {
+  getUserRepository,
+  DELETE_FIELD,
+  RECORD_KINDS,
+} = require("../repositories");
+const { getIdentityProvider } = require("../identity");
+const { BadRequestError, NotFoundError } = require("./errors");
+const { getUserRole } = require("./role.utils");
+const { listUserAuthEvents } = require("./auth-event.utils");
+
+// Auth events included in a user's history
+const HISTORY_EVENT_LIMIT = 100;
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Read a user or fail with USER_NOT_FOUND
+ * @param {string} uid - The user ID
+ * @returns {Promise<object>} The user document
+ */
+const getExistingUser = async (uid) => {
+  const user = await getUserRepository().getUser(uid);
+  if (!user) {
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+  return user;
+};
+
+/**
+ * Format a user for admin responses
+ * @param {object} user - The user document
+ * @param {import("../identity/identity.provider").IdentityUser|null} authUser - The identity provider account
+ * @returns {object} The user summary
+ */
+const formatAdminUser = (user, authUser) => ({
+  uid: user.id,
+  username: user.username || null,
+  usernameVerifiedBy: user.usernameVerifiedBy || null,
+  usernameVerifiedAt: user.usernameVerifiedAt || null,
+  isAnonymous: !!user.isAnonymous,
+  role: getUserRole(user),
+  walletAddress: user.walletAddress || null,
+  walletChain: user.walletChain || null,
+  createdAt: user.createdAt || null,
+  lastActive: user.lastActive || null,
+  disabled: !!(authUser && authUser.disabled),
+  disabledAt: user.disabledAt || null,
+  disabledReason: user.disabledReason || null,
+  deletionScheduledFor: user.deletionScheduledFor || null,
+  mergedInto: user.mergedInto || null,
+});
+
+/**
+ * Format users together with their identity provider accounts
+ * @param {object[]} users - User documents
+ * @returns {Promise<object[]>} The user summaries
+ */
+const formatAdminUsers = async (users) => {
+  const authUsers = await getIdentityProvider().getUsers(
+    users.map((user) => user.id)
+  );
+  const byUid = new Map(authUsers.map((authUser) => [authUser.uid, authUser]));
+  return users.map((user) => formatAdminUser(user, byUid.get(user.id)));
+};
+
+/**
+ * Record an action an admin took on a user's account
+ * @param {string} uid - The user acted on
+ * @param {string} adminUid - The admin
+ * @param {string} action - What was done, e.g. "disable"
+ * @param {object} details - Action-specific fields
+ * @returns {Promise<void>}
+ */
+const recordAdminAction = async (uid, adminUid, action, details = {}) => {
+  await getUserRepository().addRecord(uid, RECORD_KINDS.ADMIN_ACTIONS, {
+    action,
+    adminUid,
+    ...details,
+    createdAt: new Date(),
+  });
+};
+
+/**
+ * List users by creation time, a page at a time
+ * @param {object} options - Page options
+ * @param {number} options.limit - Users per page
+ * @param {string} options.cursor - `nextCursor` of the previous page
+ * @returns {Promise<{users: object[], nextCursor: string|null}>} The page
+ */
+const listUsers = async ({ limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) => {
+  try {
+    const repository = getUserRepository();
+
+    let startAfter = null;
+    if (cursor) {
+      startAfter = await repository.getUser(cursor);
+      if (!startAfter) {
+        throw new BadRequestError("Invalid page cursor", "INVALID_CURSOR");
+      }
+    }
+
+    const users = await repository.findUsers({
+      orderBy: "createdAt",
+      limit,
+      startAfter,
+    });
+
+    return {
+      users: await formatAdminUsers(users),
+      nextCursor: users.length === limit ? users[users.length - 1].id : null,
+    };
+  } catch (error) {
+    logger.error("Error listing users:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the users a search term identifies as a uid, a username (including
+ * one on hold after a rename) or a linked wallet address
+ * @param {string} query - The search term
+ * @returns {Promise<Array<object & {matchedBy: string}>>} The matching users
+ */
+const searchUsers = async (query) => {
+  try {
+    const matches = [
+      ["uid", await getUserRepository().getUser(query)],
+      ["username", await authUtils.getUserByUsername(query)],
+      [
+        "wallet",
+        await authUtils.getUserByWallet(query).catch((error) => {
+          // Most search terms are not wallet addresses
+          if (error.code === "INVALID_WALLET_ADDRESS") return null;
+          throw error;
+        }),
+      ],
+    ];
+
+    const found = new Map();
+    for (const [matchedBy, user] of matches) {
+      if (user && !found.has(user.id)) {
+        found.set(user.id, { user, matchedBy });
+      }
+    }
+
+    const entries = Array.from(found.values());
+    const users = await formatAdminUsers(entries.map(({ user }) => user));
+    return users.map((user, index) => ({
+      ...user,
+      matchedBy: entries[index].matchedBy,
+    }));
+  } catch (error) {
+    logger.error(`Error searching users for "${query}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user with their linked wallets and identity provider account
+ * @param {string} uid - The user ID
+ * @returns {Promise<object>} The user summary with `wallets` and `auth`
+ */
+const getUserDetails = async (uid) => {
+  try {
+    const user = await getExistingUser(uid);
+    const authUser = await getIdentityProvider().getUser(uid);
+
+    return {
+      ...formatAdminUser(user, authUser),
+      wallets: await authUtils.listUserWallets(uid),
+      auth: authUser
+        ? {
+            disabled: authUser.disabled,
+            customClaims: authUser.customClaims,
+            metadata: authUser.metadata,
+            tokensValidAfterTime: authUser.tokensValidAfterTime,
+          }
+        : null,
+    };
+  } catch (error) {
+    logger.error(`Error getting details of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Disable or re-enable an account. A disabled account cannot sign in and
+ * every session it has is revoked.
+ * @param {string} uid - The user ID
+ * @param {boolean} disabled - Whether to disable the account
+ * @param {object} options - Action options
+ * @param {string} options.adminUid - The admin taking the action
+ * @param {string} options.reason - Why the account is disabled, shown to other admins
+ * @returns {Promise<object>} The updated user summary
+ */
+const setUserDisabled = async (
+  uid,
+  disabled,
+  { adminUid, reason = null } = {}
+) => {
+  try {
+    await getExistingUser(uid);
+    await getIdentityProvider().updateUser(uid, { disabled });
+
+    await getUserRepository().updateUser(
+      uid,
+      disabled
+        ? {
+            disabledAt: new Date(),
+            disabledReason: reason,
+            ...(await authUtils.revokeAllSessions(uid)),
+          }
+        : { disabledAt: DELETE_FIELD, disabledReason: DELETE_FIELD }
+    );
+    await recordAdminAction(uid, adminUid, disabled ? "disable" : "enable", {
+      reason,
+    });
+
+    logger.info(
+      `User ${uid} ${disabled ? "disabled" : "re-enabled"} by admin ${adminUid}`
+    );
+    return getUserDetails(uid);
+  } catch (error) {
+    logger.error(
+      `Error ${disabled ? "disabling" : "enabling"} user ${uid}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Rename a user regardless of the rename cooldown. The username policy and
+ * reservations still apply.
+ * @param {string} uid - The user ID
+ * @param {string} username - The new username
+ * @param {string} adminUid - The admin taking the action
+ * @returns {Promise<{username: string, previousUsername: string|null}>} The change
+ */
+const forceRenameUser = async (uid, username, adminUid) => {
+  try {
+    const user = await getExistingUser(uid);
+    await authUtils.updateUsername(uid, username, {
+      force: true,
+      changedBy: adminUid,
+    });
+
+    const { username: newUsername } = await getExistingUser(uid);
+    const previousUsername = user.username || null;
+    await recordAdminAction(uid, adminUid, "rename", {
+      username: newUsername,
+      previousUsername,
+    });
+
+    logger.info(
+      `User ${uid} renamed from ${previousUsername} to ${newUsername} by admin ${adminUid}`
+    );
+    return { username: newUsername, previousUsername };
+  } catch (error) {
+    logger.error(`Error force-renaming user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Unlink a wallet from a user, including their last one
+ * @param {string} uid - The user ID
+ * @param {string} walletAddress - The wallet to unlink
+ * @param {string} adminUid - The admin taking the action
+ * @returns {Promise<{primaryWalletAddress: string|null}>} The primary wallet after removal
+ */
+const forceUnlinkWallet = async (uid, walletAddress, adminUid) => {
+  try {
+    await getExistingUser(uid);
+    const { primaryWalletAddress } = await authUtils.removeWalletFromUser(
+      uid,
+      walletAddress,
+      { force: true }
+    );
+    await recordAdminAction(uid, adminUid, "unlink_wallet", { walletAddress });
+
+    logger.info(
+      `Wallet ${walletAddress} unlinked from user ${uid} by admin ${adminUid}`
+    );
+    return { primaryWalletAddress };
+  } catch (error) {
+    logger.error(`Error force-unlinking wallet from user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Change a user's role and record the change
+ * @param {string} uid - The user ID
+ * @param {string} role - The new role
+ * @param {string} adminUid - The admin taking the action
+ * @returns {Promise<{uid: string, role: string, previousRole: string, changed: boolean}>} The outcome
+ */
+const changeUserRole = async (uid, role, adminUid) => {
+  const result = await authUtils.setUserRole(uid, role);
+  if (result.changed) {
+    await recordAdminAction(uid, adminUid, "set_role", {
+      role,
+      previousRole: result.previousRole,
+    });
+  }
+  return result;
+};
+
+/**
+ * Collect a user's sign-in history: identity provider activity, logouts, the
+ * most recent auth events, username changes, wallet rotations, account
+ * merges and admin actions
+ * @param {string} uid - The user ID
+ * @returns {Promise<object>} The history, each list newest first
+ */
+const getUserAuthHistory = async (uid) => {
+  try {
+    const repository = getUserRepository();
+    const user = await getExistingUser(uid);
+    const authUser = await getIdentityProvider().getUser(uid);
+
+    const listNewestFirst = (kind, orderBy) =>
+      repository.listRecords(uid, kind, { orderBy, direction: "desc" });
+
+    return {
+      account: {
+        createdAt: user.createdAt || null,
+        lastActive: user.lastActive || null,
+        lastLogout: user.lastLogout || null,
+        sessionsRevokedAt: user.sessionsRevokedAt || null,
+        walletVerifiedAt: user.walletVerifiedAt || null,
+        lastSignInTime: authUser ? authUser.metadata.lastSignInTime : null,
+        lastRefreshTime: authUser ? authUser.metadata.lastRefreshTime : null,
+      },
+      authEvents: await listUserAuthEvents(uid, {
+        limit: HISTORY_EVENT_LIMIT,
+      }),
+      usernameHistory: await listNewestFirst(
+        RECORD_KINDS.USERNAME_HISTORY,
+        "changedAt"
+      ),
+      walletRotations: await listNewestFirst(
+        RECORD_KINDS.WALLET_ROTATIONS,
+        "rotatedAt"
+      ),
+      accountMerges: await listNewestFirst(
+        RECORD_KINDS.ACCOUNT_MERGES,
+        "mergedAt"
+      ),
+      adminActions: await listNewestFirst(
+        RECORD_KINDS.ADMIN_ACTIONS,
+        "createdAt"
+      ),
+    };
+  } catch (error) {
+    logger.error(`Error getting auth history of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  listUsers,
+  searchUsers,
+  getUserDetails,
+  setUserDisabled,
+  forceRenameUser,
+  forceUnlinkWallet,
+  changeUserRole,
+  getUserAuthHistory,
+};
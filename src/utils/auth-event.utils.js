@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const { getAuthEventStore } = require("../auth-events");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events deleted per purge batch
+const PURGE_BATCH_SIZE = 500;
+
+// Longest User-Agent kept on an event
+const MAX_USER_AGENT_LENGTH = 512;
+
+const AUTH_EVENT_ACTIONS = {
+  SIGN_UP: "sign_up",
+  LOGIN: "login",
+  WALLET_LINK: "wallet_link",
+  RENAME: "rename",
+  LOGOUT: "logout",
+  RATE_LIMITED: "rate_limited",
+};
+
+let generatedIpHashKey = null;
+
+/**
+ * Get the key for IP hashes, generating a per-process one when none is
+ * configured
+ * @returns {string|Buffer} The key
+ */
+const getIpHashKey = () => {
+  if (authConfig.authEvents.ipHashKey) {
+    return authConfig.authEvents.ipHashKey;
+  }
+  if (!generatedIpHashKey) {
+    logger.warn(
+      "AUTH_EVENTS_IP_HASH_KEY is not set; auth event IP hashes will change on restart"
+    );
+    generatedIpHashKey = crypto.randomBytes(32);
+  }
+  return generatedIpHashKey;
+};
+
+/**
+ * Hash a client IP so events from one address can be correlated without
+ * storing the address. The hash is keyed: a plain hash of an IPv4 address
+ * is reversed by trying all of them.
+ * @param {string|undefined} ip - The client IP
+ * @returns {string|null} The hex HMAC-SHA256 or null without an IP
+ */
+const hashIp = (ip) =>
+  ip
+    ? crypto.createHmac("sha256", getIpHashKey()).update(ip).digest("hex")
+    : null;
+
+/**
+ * Record an auth event for a request. Recording never fails the request:
+ * errors are logged and swallowed.
+ * @param {import("express").Request} req - The request
+ * @param {object} event - The event
+ * @param {string} event.action - One of AUTH_EVENT_ACTIONS
+ * @param {string} event.uid - The user, if known
+ * @param {string} event.outcome - "success" or "failure"
+ * @param {string} event.errorCode - Error code of a failure
+ * @param {object} event.details - Action-specific fields, e.g. the rate limit rule
+ * @returns {Promise<void>}
+ */
+const recordAuthEvent = async (
+  req,
+  { action, uid = null, outcome, errorCode = null, details = {} }
+) => {
+  if (!authConfig.authEvents.enabled) return;
+
+  const createdAt = new Date();
+  const userAgent = req.get("user-agent");
+  try {
+    await getAuthEventStore().add({
+      ...details,
+      uid,
+      action,
+      outcome,
+      errorCode,
+      ipHash: hashIp(req.ip),
+      userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+      path: req.originalUrl.split("?")[0],
+      createdAt,
+      expiresAt: new Date(
+        createdAt.getTime() + authConfig.authEvents.retentionDays * DAY_MS
+      ),
+    });
+  } catch (error) {
+    logger.error(`Error recording ${action} auth event:`, error);
+  }
+};
+
+/**
+ * List a user's most recent auth events, newest first
+ * @param {string} uid - The user ID
+ * @param {object} options - List options
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<object[]>} The events
+ */
+const listUserAuthEvents = async (uid, { limit = 20 } = {}) => {
+  try {
+    return await getAuthEventStore().listByUid(uid, { limit });
+  } catch (error) {
+    logger.error(`Error listing auth events of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete every auth event past its retention period
+ * @returns {Promise<number>} The number of events deleted
+ */
+const purgeExpiredAuthEvents = async () => {
+  const store = getAuthEventStore();
+  const now = new Date();
+  let deleted = 0;
+
+  try {
+    for (;;) {
+      const count = await store.deleteExpired(now, PURGE_BATCH_SIZE);
+      deleted += count;
+      if (count < PURGE_BATCH_SIZE) break;
+    }
+  } catch (error) {
+    logger.error(`Auth event purge stopped after ${deleted} events:`, error);
+    throw error;
+  }
+
+  logger.info(`Purged ${deleted} expired auth events`);
+  return deleted;
+};
+
+/**
+ * Start purging expired auth events in this process every
+ * `authEvents.purgeIntervalHours`. Runs never overlap.
+ * @returns {NodeJS.Timeout|null} The interval, or null when the scheduler is disabled
+ */
+const startAuthEventPurgeScheduler = () => {
+  const { purgeIntervalHours } = authConfig.authEvents;
+  if (!purgeIntervalHours || purgeIntervalHours <= 0) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpiredAuthEvents();
+    } catch (error) {
+      // Already logged; the next run continues the purge
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info(`Auth event purge scheduled every ${purgeIntervalHours} hour(s)`);
+
+  // Do not keep the process alive just for the purge
+  return setInterval(run, purgeIntervalHours * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  AUTH_EVENT_ACTIONS,
+  hashIp,
+  recordAuthEvent,
+  listUserAuthEvents,
+  purgeExpiredAuthEvents,
+  startAuthEventPurgeScheduler,
+};
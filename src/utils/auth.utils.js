@@ -1,5 +1,85 @@
-const admin = require("firebase-admin");
 const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const {
+  getUserRepository,
+  DELETE_FIELD,
+  RECORD_KINDS,
+} = require("../repositories");
+const { getIdentityProvider } = require("../identity");
+const {
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} = require("./errors");
+const { issueNonce, getChallenge, consumeNonce } = require("./nonce.utils");
+const {
+  buildSiweMessage,
+  parseSiweMessage,
+  verifySiweSignature,
+} = require("./siwe.utils");
+const { SOLANA_CHAIN_IDS, verifySiwsSignature } = require("./siws.utils");
+const { verifyContractWalletSignature } = require("./contract-wallet.utils");
+const { parseWalletAddress } = require("./wallet.utils");
+const { WEBHOOK_EVENTS, emitWebhookEvent } = require("./webhook.utils");
+const { buildTokenGateClaims } = require("./token-gate.utils");
+const { assertNameOwnership } = require("./name-service.utils");
+const {
+  normalizeUsername,
+  getUsernameKey,
+  isSameUsername,
+  validateUsername,
+  assertValidUsername,
+  usernameError,
+} = require("./username.utils");
+const {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  getUserRole,
+  buildRoleClaims,
+} = require("./role.utils");
+
+// Individually revoked sessions kept per user; older ones fall off the list
+const MAX_REVOKED_SESSIONS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sign-in rules for each wallet chain family that can prove ownership.
+// `verifyContractSignature` is the on-chain fallback for wallets whose
+// signatures cannot be checked locally.
+const WALLET_CHAINS = {
+  evm: {
+    account: "Ethereum",
+    defaultChainId: authConfig.siwe.chainId,
+    normalizeChainId: (chainId) => Number(chainId),
+    isValidChainId: (chainId) => Number.isInteger(chainId) && chainId > 0,
+    verifySignature: verifySiweSignature,
+    verifyContractSignature: verifyContractWalletSignature,
+  },
+  solana: {
+    account: "Solana",
+    defaultChainId: authConfig.siws.chainId,
+    normalizeChainId: (chainId) => String(chainId),
+    isValidChainId: (chainId) => SOLANA_CHAIN_IDS.includes(chainId),
+    verifySignature: verifySiwsSignature,
+  },
+};
+
+/**
+ * Check whether a username reservation still holds its name. A released
+ * username stays reserved for its previous owner until `heldUntil` passes.
+ * @param {object|null} reservation - The reservation, if any
+ * @returns {boolean} True if nobody else can claim the username
+ */
+const isActiveReservation = (reservation) => {
+  if (!reservation) return false;
+
+  const { heldUntil } = reservation;
+  return !heldUntil || heldUntil.getTime() > Date.now();
+};
 
 /**
  * Check if a username already exists in the database
@@ -10,13 +90,10 @@ const isUsernameExists = async (username) => {
   if (!username) return false;
 
   try {
-    const db = admin.firestore();
-    const usersRef = db.collection("users");
-    const snapshot = await usersRef
-      .where("username", "==", username)
-      .limit(1)
-      .get();
-    return !snapshot.empty;
+    const reservation = await getUserRepository().getUsernameReservation(
+      getUsernameKey(username)
+    );
+    return isActiveReservation(reservation);
   } catch (error) {
     logger.error(`Error checking if username exists: ${username}`, error);
     throw error;
@@ -32,13 +109,7 @@ const isWalletExists = async (walletAddress) => {
   if (!walletAddress) return false;
 
   try {
-    const db = admin.firestore();
-    const usersRef = db.collection("users");
-    const snapshot = await usersRef
-      .where("walletAddress", "==", walletAddress)
-      .limit(1)
-      .get();
-    return !snapshot.empty;
+    return !!(await getUserByWallet(walletAddress));
   } catch (error) {
     logger.error(`Error checking if wallet exists: ${walletAddress}`, error);
     throw error;
@@ -54,6 +125,11 @@ const createAnonymousUser = async (username = null) => {
   try {
     // Check if username exists and get the user if it does
     if (username) {
+      username = assertValidUsername(username).username;
+
+      // Anonymous accounts have no wallet to prove an ENS or SNS name with
+      await assertNameOwnership(username, async () => []);
+
       // Log for debugging
       logger.info(`Checking if username ${username} exists...`);
 
@@ -68,27 +144,30 @@ const createAnonymousUser = async (username = null) => {
 
       if (existingUser) {
         // Instead of generating a token for existing user, throw an error
-        throw new Error(`Username '${username}' is already taken`);
+        throw usernameAlreadyExistsError(username);
       }
     }
 
-    // Create anonymous user in Firebase Auth
-    const userRecord = await admin.auth().createUser({
-      anonymous: true,
-    });
+    // Create anonymous user with the identity provider
+    const userRecord = await getIdentityProvider().createUser();
 
-    // Create user document in Firestore
-    const db = admin.firestore();
-    await db.collection("users").doc(userRecord.uid).set({
+    // Create user document
+    const userData = {
       uid: userRecord.uid,
       username: username,
       isAnonymous: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastActive: admin.firestore.FieldValue.serverTimestamp(),
-    });
+      role: DEFAULT_ROLE,
+      createdAt: new Date(),
+      lastActive: new Date(),
+    };
+    await createUserRecords(userRecord.uid, userData);
+    await emitUserCreated(userData);
 
     // Generate custom token for authentication
-    const customToken = await admin.auth().createCustomToken(userRecord.uid);
+    const customToken = await getIdentityProvider().createCustomToken(
+      userRecord.uid,
+      await buildSignInClaims(userRecord.uid, DEFAULT_ROLE)
+    );
 
     logger.info(
       `Anonymous user created: ${userRecord.uid}${
@@ -108,7 +187,8 @@ const createAnonymousUser = async (username = null) => {
 };
 
 /**
- * Get a user by their username
+ * Get a user by their username. A username released by a rename still
+ * resolves to its previous owner during the hold period.
  * @param {string} username - The username
  * @returns {Promise<object|null>} The user document or null if not found
  */
@@ -116,37 +196,320 @@ const getUserByUsername = async (username) => {
   if (!username) return null;
 
   try {
-    const db = admin.firestore();
-    const usersRef = db.collection("users");
-    const snapshot = await usersRef
-      .where("username", "==", username)
-      .limit(1)
-      .get();
-
-    if (snapshot.empty) {
+    const reservation = await getUserRepository().getUsernameReservation(
+      getUsernameKey(username)
+    );
+
+    if (!isActiveReservation(reservation)) {
       return null;
     }
 
-    return { ...snapshot.docs[0].data(), id: snapshot.docs[0].id };
+    return getUserById(reservation.uid);
   } catch (error) {
     logger.error(`Error getting user by username: ${username}`, error);
     throw error;
   }
 };
 
+/**
+ * Build the error for a user ID with no user document
+ * @returns {NotFoundError} The error to throw
+ */
+const userNotFoundError = () =>
+  new NotFoundError("User not found", "USER_NOT_FOUND");
+
+/**
+ * Build the error for a username that exactly matches an existing one
+ * @param {string} username - The requested username
+ * @returns {BadRequestError} The error to throw
+ */
+const usernameAlreadyExistsError = (username) =>
+  usernameError(
+    "USERNAME_ALREADY_EXISTS",
+    `Username '${username}' is already taken`
+  );
+
+/**
+ * Build the error for a username whose key is already reserved. Released
+ * usernames are on hold, exact matches are "already taken" and look-alikes
+ * (different case, accents or confusable characters) are reported as confusable.
+ * @param {string} username - The requested username
+ * @param {object} reservation - The active reservation
+ * @returns {BadRequestError} The error to throw
+ */
+const usernameTakenError = (username, reservation) => {
+  const { heldUntil } = reservation;
+  if (heldUntil) {
+    return usernameError(
+      "USERNAME_HELD",
+      `Username '${username}' was recently released and cannot be claimed until ${heldUntil.toISOString()}`
+    );
+  }
+
+  const reservedUsername = reservation.username;
+  if (reservedUsername && reservedUsername !== username) {
+    return usernameError(
+      "USERNAME_CONFUSABLE",
+      `Username '${username}' is too similar to an existing username`
+    );
+  }
+  return usernameAlreadyExistsError(username);
+};
+
+/**
+ * Check whether a username can be claimed, reporting the rule that failed
+ * @param {string} username - The requested username
+ * @returns {Promise<{available: boolean, rule: string|null, message: string|null}>} Availability and the failing rule
+ */
+const checkUsernameAvailability = async (username) => {
+  const result = validateUsername(username);
+  if (!result.valid) {
+    return { available: false, rule: result.code, message: result.message };
+  }
+
+  try {
+    const reservation = await getUserRepository().getUsernameReservation(
+      result.key
+    );
+
+    if (!isActiveReservation(reservation)) {
+      return { available: true, rule: null, message: null };
+    }
+
+    const error = usernameTakenError(result.username, reservation);
+    return { available: false, rule: error.code, message: error.message };
+  } catch (error) {
+    logger.error(`Error checking username availability: ${username}`, error);
+    throw error;
+  }
+};
+
+/**
+ * Throw if a username breaks the policy or is already reserved. The
+ * reservation transaction stays authoritative; this only fails fast.
+ * @param {string} username - The requested username
+ */
+const assertUsernameAvailable = async (username) => {
+  const { available, rule, message } = await checkUsernameAvailability(
+    username
+  );
+
+  if (!available) {
+    throw usernameError(rule, message);
+  }
+};
+
+/**
+ * Reserve a username for a user inside a transaction, releasing their previous
+ * username. The previous username stays held for the user for
+ * `username.holdDays` so links to it keep resolving. All reads happen before
+ * any write, as Firestore requires.
+ * @param {import("../repositories/user.repository").UserTransaction} transaction - The running transaction
+ * @param {string} uid - The user claiming the username
+ * @param {string} username - The new username
+ * @param {string|null} previousUsername - The username being replaced, if any
+ * @returns {Promise<function(): void>} Applies the reservation writes
+ */
+const reserveUsername = async (
+  transaction,
+  uid,
+  username,
+  previousUsername = null
+) => {
+  const usernameKey = getUsernameKey(username);
+  const reservation = await transaction.getUsernameReservation(usernameKey);
+
+  if (isActiveReservation(reservation) && reservation.uid !== uid) {
+    throw usernameTakenError(username, reservation);
+  }
+
+  const previousKey =
+    previousUsername && getUsernameKey(previousUsername) !== usernameKey
+      ? getUsernameKey(previousUsername)
+      : null;
+  const previousReservation = previousKey
+    ? await transaction.getUsernameReservation(previousKey)
+    : null;
+
+  return () => {
+    transaction.setUsernameReservation(usernameKey, {
+      uid,
+      username,
+      reservedAt: new Date(),
+    });
+
+    if (previousReservation && previousReservation.uid === uid) {
+      const holdMs = authConfig.username.holdDays * DAY_MS;
+      if (holdMs > 0) {
+        transaction.updateUsernameReservation(previousKey, {
+          releasedAt: new Date(),
+          heldUntil: new Date(Date.now() + holdMs),
+        });
+      } else {
+        transaction.deleteUsernameReservation(previousKey);
+      }
+    }
+  };
+};
+
+/**
+ * Reserve a wallet for a user inside a transaction
+ * @param {import("../repositories/user.repository").UserTransaction} transaction - The running transaction
+ * @param {string} uid - The user linking the wallet
+ * @param {string} canonicalAddress - The canonical wallet address
+ * @param {string} chain - Optional chain family, detected from the address when omitted
+ * @returns {Promise<function(): boolean>} Applies the reservation write; returns false if the user already had the wallet
+ */
+const reserveWallet = async (
+  transaction,
+  uid,
+  canonicalAddress,
+  chain = null
+) => {
+  const reservation = await transaction.getWallet(canonicalAddress);
+
+  if (reservation && reservation.uid !== uid) {
+    throw new ConflictError(
+      "Wallet already linked to another user",
+      "WALLET_ALREADY_LINKED"
+    );
+  }
+
+  return () => {
+    if (!reservation) {
+      transaction.setWallet(
+        canonicalAddress,
+        buildWalletIndexEntry(uid, canonicalAddress, chain)
+      );
+    }
+    return !reservation;
+  };
+};
+
+/**
+ * Create a user document together with its username and wallet reservations
+ * in one transaction, so concurrent sign-ups cannot claim the same name or wallet
+ * @param {string} uid - The user ID
+ * @param {object} userData - The user document
+ * @param {object} options - Reservation options
+ * @param {string} options.chain - Chain family of `userData.walletAddress`
+ * @returns {Promise<void>}
+ */
+const createUserRecords = async (uid, userData, { chain = null } = {}) => {
+  await getUserRepository().runTransaction(async (transaction) => {
+    const writes = [];
+
+    if (userData.username) {
+      writes.push(await reserveUsername(transaction, uid, userData.username));
+    }
+
+    if (userData.walletAddress) {
+      writes.push(
+        await reserveWallet(transaction, uid, userData.walletAddress, chain)
+      );
+    }
+
+    writes.forEach((write) => write());
+    transaction.setUser(uid, userData);
+  });
+};
+
+/**
+ * Emit the user.created webhook event for a new user document
+ * @param {object} userData - The user document
+ * @returns {Promise<void>}
+ */
+const emitUserCreated = (userData) =>
+  emitWebhookEvent(WEBHOOK_EVENTS.USER_CREATED, {
+    uid: userData.uid,
+    username: userData.username || null,
+    isAnonymous: userData.isAnonymous,
+    walletAddress: userData.walletAddress || null,
+    createdAt: userData.createdAt,
+  });
+
+/**
+ * Build the custom claims of a sign-in token: the user's role and, when token
+ * gates are configured, the gates their linked wallets pass
+ * @param {string} uid - The user ID
+ * @param {string} role - The user's role
+ * @returns {Promise<object>} The claims
+ */
+const buildSignInClaims = async (uid, role) => ({
+  ...buildRoleClaims(role),
+  ...(authConfig.tokenGates.rules.length
+    ? await buildTokenGateClaims(await listUserWallets(uid))
+    : {}),
+});
+
+/**
+ * Refuse sign-in to an account an admin has disabled
+ * @param {string} uid - The user ID
+ * @returns {Promise<void>}
+ */
+const assertAccountEnabled = async (uid) => {
+  const authUser = await getIdentityProvider().getUser(uid);
+  if (authUser && authUser.disabled) {
+    throw new ForbiddenError(
+      "This account has been disabled",
+      "ACCOUNT_DISABLED"
+    );
+  }
+};
+
+/**
+ * Build the error returned when a wallet tries to log in without signing a challenge
+ * @returns {AuthenticationError} The error to throw
+ */
+const walletSignatureRequiredError = () =>
+  new AuthenticationError(
+    "Wallet authentication requires a signed challenge. Request one from /api/auth/wallet/nonce and submit it to /api/auth/wallet/verify.",
+    "WALLET_SIGNATURE_REQUIRED"
+  );
+
 /**
  * Unified authentication - handles both wallet and anonymous authentication
  * @param {string} walletAddress - Optional wallet address for wallet auth
  * @param {string} username - Optional username for new users
+ * @param {object} options - Authentication options
+ * @param {boolean} options.walletVerified - Whether wallet ownership was proven with a signature
+ * @param {string} options.chain - Chain family ("evm" or "solana") whose signature proved ownership
  * @returns {Promise<{uid: string, token: string, isNewUser: boolean, username: string, authType: string}>} User data and token
  */
-const unifiedWalletAuth = async (walletAddress = null, username = null) => {
+const unifiedWalletAuth = async (
+  walletAddress = null,
+  username = null,
+  { walletVerified = false, chain = null } = {}
+) => {
+  // Bare wallet addresses are public, so they only log in when explicitly allowed
+  if (walletAddress && !walletVerified && !authConfig.allowInsecureWalletAuth) {
+    throw walletSignatureRequiredError();
+  }
+
+  // Every lookup and write uses the canonical form of the address
+  if (walletAddress) {
+    walletAddress = parseWalletAddress(walletAddress, chain).canonicalAddress;
+  }
+
+  if (typeof username === "string") {
+    username = normalizeUsername(username) || null;
+  }
+
   try {
-    const db = admin.firestore();
+    const identity = getIdentityProvider();
     let existingUser = null;
     let isAnonymous = !walletAddress;
     let firebaseAuthUid = null;
 
+    // Record which chain family proved ownership whenever a signature was checked
+    const walletProof =
+      walletAddress && walletVerified && chain
+        ? {
+            walletChain: chain,
+            walletVerifiedAt: new Date(),
+          }
+        : {};
+
     // If wallet provided, check if a user with this wallet already exists
     if (walletAddress) {
       // If username is provided, check username uniqueness first regardless of wallet
@@ -154,21 +517,25 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
         // Check if username exists
         const existingUserWithUsername = await getUserByUsername(username);
         if (existingUserWithUsername) {
-          // If wallet matches, that's fine - it's their account
-          if (existingUserWithUsername.walletAddress === walletAddress) {
+          const walletOwner = await getUserByWallet(walletAddress);
+
+          // If the wallet is one of theirs, that's fine - it's their account
+          if (walletOwner && walletOwner.id === existingUserWithUsername.id) {
             existingUser = existingUserWithUsername;
             logger.info(
               `User found with matching username and wallet: ${username}, ${walletAddress}`
             );
           } else if (existingUserWithUsername.walletAddress) {
             // Username exists with a different wallet
-            throw new Error(
-              `Username '${username}' is already linked to a different wallet address`
+            throw new BadRequestError(
+              `Username '${username}' is already linked to a different wallet address`,
+              "USERNAME_HAS_DIFFERENT_WALLET"
             );
           } else {
-            // Username exists without a wallet - potential for linking
-            existingUser = existingUserWithUsername;
-            logger.info(`Found existing username without wallet: ${username}`);
+            // Username belongs to an account without a wallet. A username is
+            // public, so it never signs anyone in; anonymous accounts join a
+            // wallet only through mergeAnonymousAccount with their own token.
+            throw usernameAlreadyExistsError(username);
           }
         }
       }
@@ -185,41 +552,14 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
 
         // If user exists with this wallet, we use that account regardless of username provided
         if (existingUser) {
-          // If a different username was provided, we log it but don't try to update anything
-          if (username && existingUser.username !== username) {
+          // If a different username was provided, we log it but don't try to update anything.
+          // Renames only go through updateUsername, which enforces the cooldown and history.
+          if (username && !isSameUsername(existingUser.username, username)) {
             logger.info(
               `User with wallet ${walletAddress} exists with username '${
                 existingUser.username || "none"
               }' instead of requested '${username}'. Using existing account without changes.`
             );
-
-            // Important: User is trying to use a new username with an existing wallet
-            // Check if this new username is unique before proceeding
-            if (username) {
-              const usernameExists = await isUsernameExists(username);
-              if (
-                usernameExists &&
-                (await getUserByUsername(username)).uid !== existingUser.uid
-              ) {
-                throw new Error(
-                  `Username '${username}' is already taken by another account`
-                );
-              }
-
-              // If username is unique, update the existing user's username
-              await db
-                .collection("users")
-                .doc(existingUser.uid || existingUser.id)
-                .update({
-                  username: username,
-                  lastActive: admin.firestore.FieldValue.serverTimestamp(),
-                });
-
-              logger.info(
-                `Updated username for wallet user: ${walletAddress}, new username: ${username}`
-              );
-              existingUser.username = username;
-            }
           }
 
           // User exists, generate a token for them
@@ -228,15 +568,24 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
 
           // Make sure userId is a valid string to avoid Firebase errors
           if (!userId || typeof userId !== "string") {
-            throw new Error(`Invalid user ID: ${userId}`);
+            throw new BadRequestError(
+              `Invalid user ID: ${userId}`,
+              "INVALID_USER_ID"
+            );
           }
 
-          // Create a custom token for Firebase Auth
-          const customToken = await admin.auth().createCustomToken(userId);
+          await assertAccountEnabled(userId);
 
-          // Just update last active timestamp - don't touch any other fields
-          await db.collection("users").doc(userId).update({
-            lastActive: admin.firestore.FieldValue.serverTimestamp(),
+          // Create a custom token for Firebase Auth, carrying the user's role and token gates
+          const customToken = await identity.createCustomToken(
+            userId,
+            await buildSignInClaims(userId, getUserRole(existingUser))
+          );
+
+          // Just update last active timestamp and wallet proof - don't touch any other fields
+          await getUserRepository().updateUser(userId, {
+            lastActive: new Date(),
+            ...walletProof,
           });
 
           logger.info(
@@ -254,7 +603,7 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
       }
       // If user with this username exists but no wallet, throw error as username is already taken
       else if (existingUser && !walletAddress) {
-        throw new Error(`Username '${username}' is already taken`);
+        throw usernameAlreadyExistsError(username);
       }
     }
 
@@ -265,15 +614,24 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
 
       // Make sure userId is a valid string to avoid Firebase errors
       if (!userId || typeof userId !== "string") {
-        throw new Error(`Invalid user ID: ${userId}`);
+        throw new BadRequestError(
+          `Invalid user ID: ${userId}`,
+          "INVALID_USER_ID"
+        );
       }
 
-      // Create a custom token for Firebase Auth
-      const customToken = await admin.auth().createCustomToken(userId);
+      await assertAccountEnabled(userId);
+
+      // Create a custom token for Firebase Auth, carrying the user's role and token gates
+      const customToken = await identity.createCustomToken(
+        userId,
+        await buildSignInClaims(userId, getUserRole(existingUser))
+      );
 
       // Update last active timestamp
-      await db.collection("users").doc(userId).update({
-        lastActive: admin.firestore.FieldValue.serverTimestamp(),
+      await getUserRepository().updateUser(userId, {
+        lastActive: new Date(),
+        ...walletProof,
       });
 
       logger.info(
@@ -292,51 +650,76 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
     }
 
     // No user found, create a new one
-    // Check username uniqueness if username is provided
+    // Fail fast on an invalid or taken username; the reservation transaction below is authoritative
     if (username) {
-      const usernameExists = await isUsernameExists(username);
-      if (usernameExists) {
-        throw new Error(`Username '${username}' is already taken`);
-      }
+      await assertUsernameAvailable(username);
     }
 
-    try {
-      // Create a new user in Firebase Auth first
-      let authUser;
+    // ENS and SNS names must be the primary name of the signing wallet
+    const nameVerification = username
+      ? await assertNameOwnership(username, async () =>
+          walletAddress
+            ? [
+                {
+                  address: walletAddress,
+                  chain: parseWalletAddress(walletAddress).chain,
+                },
+              ]
+            : []
+        )
+      : null;
 
-      if (isAnonymous) {
-        // Create an anonymous user in Firebase Auth
-        authUser = await admin.auth().createUser({
-          disabled: false,
-        });
-      } else {
-        // Create a regular user in Firebase Auth
-        authUser = await admin.auth().createUser({
-          disabled: false,
-        });
-      }
+    try {
+      // Create the account with the identity provider first
+      const authUser = await identity.createUser({
+        disabled: false,
+      });
 
       firebaseAuthUid = authUser.uid;
 
-      // Create user document in Firestore
+      // Create user document
       const userData = {
         uid: authUser.uid,
         username: username,
         isAnonymous: isAnonymous,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        lastActive: admin.firestore.FieldValue.serverTimestamp(),
+        role: DEFAULT_ROLE,
+        createdAt: new Date(),
+        lastActive: new Date(),
       };
 
       // Only add wallet-related fields if a wallet is provided
       if (walletAddress) {
         userData.walletAddress = walletAddress;
-        userData.walletLinkedAt = admin.firestore.FieldValue.serverTimestamp();
+        userData.walletLinkedAt = new Date();
+        Object.assign(userData, walletProof);
       }
 
-      await db.collection("users").doc(authUser.uid).set(userData);
+      if (nameVerification) {
+        Object.assign(userData, nameVerification);
+      }
+
+      try {
+        await createUserRecords(authUser.uid, userData, { chain });
+      } catch (error) {
+        // Another request reserved the username or wallet first; drop the orphaned Auth user
+        await identity
+          .deleteUser(authUser.uid)
+          .catch((deleteError) =>
+            logger.error(
+              `Error deleting orphaned Auth user ${authUser.uid}:`,
+              deleteError
+            )
+          );
+        throw error;
+      }
+
+      await emitUserCreated(userData);
 
       // Generate custom token for Firebase Auth
-      const customToken = await admin.auth().createCustomToken(authUser.uid);
+      const customToken = await identity.createCustomToken(
+        authUser.uid,
+        await buildSignInClaims(authUser.uid, DEFAULT_ROLE)
+      );
 
       logger.info(
         `New user created ${
@@ -354,8 +737,9 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
     } catch (error) {
       logger.error(`Error creating new user: ${error.message}`);
       if (error.code === "auth/invalid-argument") {
-        throw new Error(
-          "Invalid data format for user creation. Please check your username and wallet address."
+        throw new BadRequestError(
+          "Invalid data provided for authentication. Please check your username and wallet address format.",
+          "INVALID_DATA_FORMAT"
         );
       }
       throw error;
@@ -372,73 +756,734 @@ const unifiedWalletAuth = async (walletAddress = null, username = null) => {
 };
 
 /**
- * Link or update wallet address to user
+ * Issue a wallet sign-in challenge (EIP-4361 for EVM, Sign-In with Solana for Solana)
+ * @param {string} walletAddress - The wallet address that will sign the challenge
+ * @param {object} options - Challenge options
+ * @param {string} options.chain - Chain family, "evm" (default) or "solana"
+ * @param {number|string} options.chainId - Optional EIP-155 chain ID or Solana cluster, defaults to the configured one
+ * @returns {Promise<{nonce: string, message: string, walletAddress: string, chain: string, chainId: number|string, expiresAt: Date}>} The challenge to sign
+ */
+const createWalletChallenge = async (
+  walletAddress,
+  { chain = "evm", chainId } = {}
+) => {
+  const chainRules = WALLET_CHAINS[chain];
+  if (!chainRules) {
+    throw new BadRequestError("Unsupported wallet chain", "UNSUPPORTED_CHAIN");
+  }
+
+  // The canonical form is also what EIP-4361 expects in the message (EIP-55 checksum)
+  const { canonicalAddress } = parseWalletAddress(walletAddress, chain);
+
+  const resolvedChainId = chainRules.normalizeChainId(
+    chainId === undefined || chainId === null
+      ? chainRules.defaultChainId
+      : chainId
+  );
+  if (!chainRules.isValidChainId(resolvedChainId)) {
+    throw new BadRequestError("Invalid chain ID", "INVALID_CHAIN_ID");
+  }
+
+  const { domain, uri, statement } = authConfig.signIn;
+
+  const challenge = await issueNonce((nonce, issuedAt, expiresAt) => ({
+    walletAddress: canonicalAddress,
+    chain,
+    chainId: resolvedChainId,
+    domain,
+    message: buildSiweMessage({
+      account: chainRules.account,
+      domain,
+      address: canonicalAddress,
+      statement,
+      uri,
+      chainId: resolvedChainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    }),
+  }));
+
+  logger.info(
+    `Wallet challenge issued for ${chain} wallet ${canonicalAddress}`
+  );
+
+  return {
+    nonce: challenge.nonce,
+    message: challenge.message,
+    walletAddress: canonicalAddress,
+    chain,
+    chainId: resolvedChainId,
+    expiresAt: challenge.expiresAt,
+  };
+};
+
+/**
+ * Check that a signed message is the challenge issued with its nonce
+ * @param {object} challenge - The stored challenge data
+ * @param {string} message - The signed message
+ */
+const assertChallengeMessage = (challenge, message) => {
+  if (challenge.message !== message) {
+    throw new BadRequestError(
+      "Sign-in message does not match the issued challenge",
+      "INVALID_SIGN_IN_MESSAGE"
+    );
+  }
+};
+
+/**
+ * Verify a signed wallet challenge and consume its nonce
+ * @param {string} message - The challenge message exactly as issued
+ * @param {string} signature - The wallet's signature over the message (hex for EVM, base58 for Solana)
+ * @returns {Promise<{walletAddress: string, chain: string, nonce: string}>} The wallet that proved ownership, its chain family and the consumed nonce
+ */
+const verifyWalletSignature = async (message, signature) => {
+  const fields = parseSiweMessage(message);
+  if (!fields) {
+    throw new BadRequestError(
+      "Malformed sign-in message",
+      "INVALID_SIGN_IN_MESSAGE"
+    );
+  }
+
+  // Smart-contract wallets are checked with chain reads, which stay out of the
+  // nonce transaction and only run for a challenge that was actually issued.
+  // The chain is the configured one, not the client's pick: the same address
+  // can belong to a different wallet on another chain.
+  const issued = await getChallenge(fields.nonce);
+  assertChallengeMessage(issued, message);
+  const issuedChainRules = WALLET_CHAINS[issued.chain || "evm"];
+  const contractSignatureValid =
+    typeof signature === "string" &&
+    !!issuedChainRules.verifyContractSignature &&
+    !issuedChainRules.verifySignature(
+      message,
+      signature,
+      issued.walletAddress
+    ) &&
+    (await issuedChainRules.verifyContractSignature(
+      message,
+      signature,
+      issued.walletAddress,
+      issuedChainRules.defaultChainId
+    ));
+
+  const challenge = await consumeNonce(fields.nonce, (stored) => {
+    assertChallengeMessage(stored, message);
+
+    const chainRules = WALLET_CHAINS[stored.chain || "evm"];
+    if (
+      typeof signature !== "string" ||
+      (!chainRules.verifySignature(message, signature, stored.walletAddress) &&
+        !contractSignatureValid)
+    ) {
+      throw new AuthenticationError(
+        "Invalid wallet signature",
+        "INVALID_SIGNATURE"
+      );
+    }
+  });
+
+  const chain = challenge.chain || "evm";
+  logger.info(
+    `Wallet signature verified for ${chain} wallet ${challenge.walletAddress}`
+  );
+  return { walletAddress: challenge.walletAddress, chain, nonce: fields.nonce };
+};
+
+/**
+ * Build the wallets index entry for a linked wallet
+ * @param {string} uid - The owning user ID
+ * @param {string} canonicalAddress - The canonical wallet address
+ * @param {string} chain - Optional chain family, detected from the address when omitted
+ * @returns {object} The index document data
+ */
+const buildWalletIndexEntry = (uid, canonicalAddress, chain = null) => ({
+  uid,
+  address: canonicalAddress,
+  chain: chain || parseWalletAddress(canonicalAddress).chain,
+  linkedAt: new Date(),
+});
+
+/**
+ * Link an additional wallet address to a user. The first linked wallet becomes
+ * the primary wallet stored on the user document.
  * @param {string} uid - The user ID
- * @param {string} walletAddress - The wallet address
- * @returns {Promise<boolean>} Success status
+ * @param {string} walletAddress - The wallet address, stored in canonical form
+ * @returns {Promise<{success: boolean, walletAddress: string, isPrimary: boolean}>} Link result
  */
 const linkWalletToUser = async (uid, walletAddress) => {
+  const { chain, canonicalAddress } = parseWalletAddress(walletAddress);
+
   try {
-    // Get the user document
-    const db = admin.firestore();
-    const userRef = db.collection("users").doc(uid);
-    const userDoc = await userRef.get();
+    const { isPrimary, linked } = await getUserRepository().runTransaction(
+      async (transaction) => {
+        const userData = await transaction.getUser(uid);
+
+        if (!userData) {
+          throw userNotFoundError();
+        }
+
+        // Fails if the wallet is already linked to another user
+        const applyReservation = await reserveWallet(
+          transaction,
+          uid,
+          canonicalAddress,
+          chain
+        );
+
+        const userUpdate = {
+          lastActive: new Date(),
+        };
+        if (!userData.walletAddress) {
+          userUpdate.walletAddress = canonicalAddress;
+          userUpdate.walletLinkedAt = new Date();
+        }
+
+        const linked = applyReservation();
+        transaction.updateUser(uid, userUpdate);
+
+        return {
+          isPrimary:
+            !userData.walletAddress ||
+            userData.walletAddress === canonicalAddress,
+          linked,
+        };
+      }
+    );
 
-    if (!userDoc.exists) {
-      throw new Error("User not found");
+    // Linking a wallet the user already has is a no-op for subscribers
+    if (linked) {
+      await emitWebhookEvent(WEBHOOK_EVENTS.WALLET_LINKED, {
+        uid,
+        walletAddress: canonicalAddress,
+        chain,
+        isPrimary,
+      });
     }
 
-    const userData = userDoc.data();
+    logger.info(`Wallet ${canonicalAddress} linked to user ${uid}`);
+    return { success: true, walletAddress: canonicalAddress, isPrimary };
+  } catch (error) {
+    logger.error("Error linking wallet to user:", error);
+    throw error;
+  }
+};
 
-    // Check if the wallet is already linked to another user
-    const walletQuery = await db
-      .collection("users")
-      .where("walletAddress", "==", walletAddress)
-      .get();
+/**
+ * List every wallet linked to a user
+ * @param {string} uid - The user ID
+ * @returns {Promise<Array<{address: string, chain: string, isPrimary: boolean, linkedAt: Date|null}>>} Linked wallets, oldest first
+ */
+const listUserWallets = async (uid) => {
+  try {
+    const [user, entries] = await Promise.all([
+      getUserById(uid),
+      getUserRepository().listWallets(uid),
+    ]);
+
+    const wallets = entries.map((entry) => ({
+      address: entry.id,
+      chain: entry.chain || null,
+      isPrimary: !!user && user.walletAddress === entry.id,
+      linkedAt: entry.linkedAt || null,
+    }));
+
+    // Users linked before the wallets index existed only have the primary field
+    if (
+      user &&
+      user.walletAddress &&
+      !wallets.some((wallet) => wallet.address === user.walletAddress)
+    ) {
+      wallets.push({
+        address: user.walletAddress,
+        chain: parseWalletAddress(user.walletAddress).chain,
+        isPrimary: true,
+        linkedAt: user.walletLinkedAt || null,
+      });
+    }
 
-    if (!walletQuery.empty) {
-      const existingUser = walletQuery.docs[0];
-      if (existingUser.id !== uid) {
-        throw new Error("Wallet already linked to another user");
+    const toMillis = (date) =>
+      date ? date.getTime() : Number.MAX_SAFE_INTEGER;
+    return wallets.sort((a, b) => toMillis(a.linkedAt) - toMillis(b.linkedAt));
+  } catch (error) {
+    logger.error(`Error listing wallets for user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a linked wallet from a user. If it was the primary wallet, the oldest
+ * remaining wallet becomes primary. The last wallet cannot be removed, since
+ * the account would be left with no way to log in, unless an admin forces it.
+ * @param {string} uid - The user ID
+ * @param {string} walletAddress - The wallet address to remove
+ * @param {object} options - Removal options
+ * @param {boolean} options.force - Allow removing the last wallet
+ * @returns {Promise<{success: boolean, primaryWalletAddress: string|null}>} The primary wallet after removal
+ */
+const removeWalletFromUser = async (
+  uid,
+  walletAddress,
+  { force = false } = {}
+) => {
+  const { canonicalAddress } = parseWalletAddress(walletAddress);
+
+  try {
+    const wallets = await listUserWallets(uid);
+    const wallet = wallets.find((entry) => entry.address === canonicalAddress);
+
+    if (!wallet) {
+      throw new NotFoundError(
+        "Wallet not linked to this user",
+        "WALLET_NOT_LINKED"
+      );
+    }
+
+    if (wallets.length === 1 && !force) {
+      throw new ConflictError(
+        "Cannot unlink the last wallet: the account would have no way to log in. Link another wallet first or use /api/auth/wallet/rotate.",
+        "LAST_WALLET"
+      );
+    }
+
+    const repository = getUserRepository();
+
+    const remaining = wallets.filter(
+      (entry) => entry.address !== canonicalAddress
+    );
+    let primaryWalletAddress = (wallets.find((entry) => entry.isPrimary) || {})
+      .address;
+
+    if (wallet.isPrimary) {
+      primaryWalletAddress = remaining.length ? remaining[0].address : null;
+    }
+
+    await repository.runTransaction(async (transaction) => {
+      transaction.deleteWallet(canonicalAddress);
+      if (wallet.isPrimary) {
+        transaction.updateUser(uid, {
+          walletAddress: primaryWalletAddress || DELETE_FIELD,
+          walletLinkedAt: remaining.length
+            ? remaining[0].linkedAt || new Date()
+            : DELETE_FIELD,
+          lastActive: new Date(),
+        });
       }
+    });
+
+    logger.info(`Wallet ${canonicalAddress} removed from user ${uid}`);
+    return {
+      success: true,
+      primaryWalletAddress: primaryWalletAddress || null,
+    };
+  } catch (error) {
+    logger.error(`Error removing wallet from user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a linked wallet with a new one. Both wallets must sign a fresh
+ * challenge, so knowing a linked address is not enough to take over an
+ * account. If the old wallet was primary, the new one takes its place. Every
+ * rotation is recorded in the user's wallet rotation records.
+ * @param {string} uid - The user ID
+ * @param {object} proofs - Signed challenges
+ * @param {{message: string, signature: string}} proofs.oldWallet - Challenge signed by the linked wallet being replaced
+ * @param {{message: string, signature: string}} proofs.newWallet - Challenge signed by the wallet replacing it
+ * @param {object} context - Request details stored with the rotation record
+ * @param {string} context.ip - Client IP address
+ * @param {string} context.userAgent - Client user agent
+ * @returns {Promise<{success: boolean, fromAddress: string, toAddress: string, isPrimary: boolean}>} Rotation result
+ */
+const rotateWallet = async (
+  uid,
+  { oldWallet, newWallet },
+  { ip = null, userAgent = null } = {}
+) => {
+  try {
+    const oldProof = await verifyWalletSignature(
+      oldWallet.message,
+      oldWallet.signature
+    );
+    const oldVerifiedAt = new Date();
+    const newProof = await verifyWalletSignature(
+      newWallet.message,
+      newWallet.signature
+    );
+    const newVerifiedAt = new Date();
+
+    if (oldProof.walletAddress === newProof.walletAddress) {
+      throw new BadRequestError(
+        "New wallet must differ from the wallet being replaced",
+        "SAME_WALLET"
+      );
     }
 
-    // Update the user document with the new wallet address
-    await userRef.update({
-      walletAddress,
-      walletLinkedAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastActive: admin.firestore.FieldValue.serverTimestamp(),
+    const isPrimary = await getUserRepository().runTransaction(
+      async (transaction) => {
+        const user = await transaction.getUser(uid);
+        if (!user) {
+          throw userNotFoundError();
+        }
+
+        // Users linked before the wallets index existed only have the primary field
+        const oldEntry = await transaction.getWallet(oldProof.walletAddress);
+        const wasPrimary = user.walletAddress === oldProof.walletAddress;
+        if (!wasPrimary && (!oldEntry || oldEntry.uid !== uid)) {
+          throw new NotFoundError(
+            "Wallet not linked to this user",
+            "WALLET_NOT_LINKED"
+          );
+        }
+
+        // Fails if the new wallet is already linked to another user
+        const applyReservation = await reserveWallet(
+          transaction,
+          uid,
+          newProof.walletAddress,
+          newProof.chain
+        );
+
+        applyReservation();
+        transaction.deleteWallet(oldProof.walletAddress);
+
+        const userUpdate = {
+          lastActive: new Date(),
+        };
+        if (wasPrimary) {
+          userUpdate.walletAddress = newProof.walletAddress;
+          userUpdate.walletChain = newProof.chain;
+          userUpdate.walletLinkedAt = new Date();
+          userUpdate.walletVerifiedAt = newVerifiedAt;
+        }
+        transaction.updateUser(uid, userUpdate);
+
+        transaction.addRecord(uid, RECORD_KINDS.WALLET_ROTATIONS, {
+          fromAddress: oldProof.walletAddress,
+          fromChain: oldProof.chain,
+          fromNonce: oldProof.nonce,
+          fromVerifiedAt: oldVerifiedAt,
+          toAddress: newProof.walletAddress,
+          toChain: newProof.chain,
+          toNonce: newProof.nonce,
+          toVerifiedAt: newVerifiedAt,
+          wasPrimary,
+          ip,
+          userAgent,
+          rotatedAt: new Date(),
+        });
+
+        return wasPrimary;
+      }
+    );
+
+    await emitWebhookEvent(WEBHOOK_EVENTS.WALLET_LINKED, {
+      uid,
+      walletAddress: newProof.walletAddress,
+      chain: newProof.chain,
+      isPrimary,
+      replacedWallet: oldProof.walletAddress,
     });
 
-    return { success: true };
+    logger.info(
+      `Wallet ${oldProof.walletAddress} rotated to ${newProof.walletAddress} for user ${uid}`
+    );
+    return {
+      success: true,
+      fromAddress: oldProof.walletAddress,
+      toAddress: newProof.walletAddress,
+      isPrimary,
+    };
   } catch (error) {
-    logger.error("Error linking wallet to user:", error);
+    logger.error(`Error rotating wallet for user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Merge an anonymous account into the existing account of a wallet. The
+ * caller proves control of the anonymous account with its ID token and of the
+ * wallet with a signed challenge. The data fields listed in MERGE_FIELDS
+ * that the wallet account lacks are copied over, the anonymous username moves
+ * over if the wallet account has none, and the anonymous account is
+ * tombstoned with `mergedInto` and its identity provider account deleted.
+ * @param {string} anonymousUid - The anonymous user being merged away
+ * @param {{message: string, signature: string}} proof - Challenge signed by the wallet
+ * @returns {Promise<{uid: string, token: string, mergedFrom: string, username: string|null, movedFields: string[]}>} The surviving account and a token for it
+ */
+const mergeAnonymousAccount = async (anonymousUid, { message, signature }) => {
+  try {
+    const { walletAddress } = await verifyWalletSignature(message, signature);
+
+    const walletOwner = await getUserByWallet(walletAddress);
+    if (!walletOwner) {
+      throw new NotFoundError(
+        "Wallet is not linked to any account",
+        "WALLET_NOT_LINKED"
+      );
+    }
+
+    const targetUid = walletOwner.id;
+    if (targetUid === anonymousUid) {
+      throw new BadRequestError(
+        "Cannot merge an account into itself",
+        "SAME_ACCOUNT"
+      );
+    }
+
+    await assertAccountEnabled(targetUid);
+
+    const result = await getUserRepository().runTransaction(
+      async (transaction) => {
+        const [source, target] = await Promise.all([
+          transaction.getUser(anonymousUid),
+          transaction.getUser(targetUid),
+        ]);
+
+        if (!source || !target) {
+          throw userNotFoundError();
+        }
+
+        if (source.mergedInto) {
+          throw new ConflictError(
+            "Account has already been merged",
+            "ALREADY_MERGED"
+          );
+        }
+        if (!source.isAnonymous || source.walletAddress) {
+          throw new BadRequestError(
+            "Only anonymous accounts can be merged",
+            "NOT_ANONYMOUS"
+          );
+        }
+
+        // Only the configured data fields move, and the wallet account's
+        // values are kept wherever both accounts have one
+        const movedFields = authConfig.mergeFields.filter(
+          (field) => field in source && !(field in target)
+        );
+        const targetUpdate = {
+          lastActive: new Date(),
+        };
+        movedFields.forEach((field) => {
+          targetUpdate[field] = source[field];
+        });
+
+        // The anonymous username follows the user only if the wallet account has none
+        const moveUsername = !!source.username && !target.username;
+        const usernameKey = source.username
+          ? getUsernameKey(source.username)
+          : null;
+        const usernameReservation = usernameKey
+          ? await transaction.getUsernameReservation(usernameKey)
+          : null;
+        const ownsUsername =
+          !!usernameReservation && usernameReservation.uid === anonymousUid;
+
+        if (ownsUsername) {
+          if (moveUsername) {
+            transaction.updateUsernameReservation(usernameKey, {
+              uid: targetUid,
+            });
+          } else {
+            transaction.deleteUsernameReservation(usernameKey);
+          }
+        }
+        if (moveUsername) {
+          targetUpdate.username = source.username;
+        }
+
+        transaction.updateUser(targetUid, targetUpdate);
+        transaction.updateUser(anonymousUid, {
+          username: null,
+          mergedInto: targetUid,
+          mergedAt: new Date(),
+        });
+        transaction.addRecord(
+          targetUid,
+          RECORD_KINDS.ACCOUNT_MERGES,
+          {
+            sourceUid: anonymousUid,
+            sourceUsername: source.username || null,
+            sourceCreatedAt: source.createdAt || null,
+            walletAddress,
+            movedFields,
+            usernameMoved: moveUsername,
+            mergedAt: new Date(),
+          },
+          anonymousUid
+        );
+
+        return {
+          movedFields,
+          username: moveUsername ? source.username : target.username || null,
+          usernameMoved: moveUsername,
+          role: getUserRole(target),
+        };
+      }
+    );
+
+    if (result.usernameMoved) {
+      await emitWebhookEvent(WEBHOOK_EVENTS.USERNAME_CHANGED, {
+        uid: targetUid,
+        username: result.username,
+        previousUsername: null,
+        mergedFrom: anonymousUid,
+      });
+    }
+
+    // The tombstoned document stays; the anonymous Auth user is no longer needed
+    const identity = getIdentityProvider();
+    await identity
+      .deleteUser(anonymousUid)
+      .catch((error) =>
+        logger.error(`Error deleting merged Auth user ${anonymousUid}:`, error)
+      );
+
+    const token = await identity.createCustomToken(
+      targetUid,
+      await buildSignInClaims(targetUid, result.role)
+    );
+
+    logger.info(
+      `Anonymous user ${anonymousUid} merged into ${targetUid} with wallet ${walletAddress}`
+    );
+    return {
+      uid: targetUid,
+      token,
+      mergedFrom: anonymousUid,
+      username: result.username,
+      movedFields: result.movedFields,
+    };
+  } catch (error) {
+    logger.error(`Error merging anonymous user ${anonymousUid}:`, error);
     throw error;
   }
 };
 
 /**
- * Update a user's username
+ * Mark one of a user's linked wallets as primary
+ * @param {string} uid - The user ID
+ * @param {string} walletAddress - The linked wallet to make primary
+ * @returns {Promise<boolean>} Success status
+ */
+const setPrimaryWallet = async (uid, walletAddress) => {
+  const { canonicalAddress } = parseWalletAddress(walletAddress);
+
+  try {
+    const wallets = await listUserWallets(uid);
+    const wallet = wallets.find((entry) => entry.address === canonicalAddress);
+
+    if (!wallet) {
+      throw new NotFoundError(
+        "Wallet not linked to this user",
+        "WALLET_NOT_LINKED"
+      );
+    }
+
+    await getUserRepository().updateUser(uid, {
+      walletAddress: canonicalAddress,
+      walletLinkedAt: wallet.linkedAt || new Date(),
+      lastActive: new Date(),
+    });
+
+    logger.info(`Primary wallet for user ${uid} set to ${canonicalAddress}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error setting primary wallet for user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update a user's username. Changes are limited to one per
+ * `username.changeCooldownDays` and recorded in the user's username history.
  * @param {string} uid - The user ID
  * @param {string} username - The new username
+ * @param {object} options - Rename options
+ * @param {boolean} options.force - Skip the cooldown, for renames by an admin
+ * @param {string} options.changedBy - uid of the admin making the change, kept in the history
  * @returns {Promise<boolean>} Success status
  */
-const updateUsername = async (uid, username) => {
+const updateUsername = async (
+  uid,
+  username,
+  { force = false, changedBy = null } = {}
+) => {
   try {
     if (!uid || !username) {
-      throw new Error("User ID and username are required");
+      throw new BadRequestError("User ID and username are required");
     }
 
-    // Check if username exists
-    const usernameExists = await isUsernameExists(username);
-    if (usernameExists) {
-      throw new Error(`Username '${username}' is already taken`);
-    }
+    username = assertValidUsername(username).username;
 
-    const db = admin.firestore();
-    await db.collection("users").doc(uid).update({
-      username: username,
-      lastActive: admin.firestore.FieldValue.serverTimestamp(),
+    // Checked before the transaction, since it calls the name resolver. A
+    // wallet unlinked meanwhile is caught by the next re-verification.
+    const nameVerification = await assertNameOwnership(username, () =>
+      listUserWallets(uid)
+    );
+
+    let previousUsername = null;
+    await getUserRepository().runTransaction(async (transaction) => {
+      const user = await transaction.getUser(uid);
+      if (!user) {
+        throw userNotFoundError();
+      }
+
+      const currentUsername = user.username || null;
+      if (currentUsername === username) {
+        throw usernameAlreadyExistsError(username);
+      }
+
+      // Setting a first username is free; renames wait out the cooldown
+      const changedAt = user.usernameChangedAt;
+      const retryAt = changedAt
+        ? changedAt.getTime() + authConfig.username.changeCooldownDays * DAY_MS
+        : 0;
+      if (currentUsername && !force && retryAt > Date.now()) {
+        throw new TooManyRequestsError(
+          `Username can be changed again after ${new Date(
+            retryAt
+          ).toISOString()}`,
+          "USERNAME_CHANGE_COOLDOWN",
+          new Date(retryAt)
+        );
+      }
+
+      const applyReservation = await reserveUsername(
+        transaction,
+        uid,
+        username,
+        currentUsername
+      );
+
+      applyReservation();
+      transaction.addRecord(uid, RECORD_KINDS.USERNAME_HISTORY, {
+        username,
+        previousUsername: currentUsername,
+        changedAt: new Date(),
+        ...(changedBy ? { changedBy } : {}),
+      });
+      transaction.updateUser(uid, {
+        username: username,
+        usernameChangedAt: new Date(),
+        lastActive: new Date(),
+        ...(nameVerification || {
+          usernameVerifiedBy: DELETE_FIELD,
+          usernameVerifiedAt: DELETE_FIELD,
+        }),
+      });
+      previousUsername = currentUsername;
+    });
+
+    await emitWebhookEvent(WEBHOOK_EVENTS.USERNAME_CHANGED, {
+      uid,
+      username,
+      previousUsername,
+      ...(changedBy ? { changedBy } : {}),
     });
 
     logger.info(`Username updated for user ${uid}: ${username}`);
@@ -450,24 +1495,104 @@ const updateUsername = async (uid, username) => {
 };
 
 /**
- * Get a user by their wallet address
+ * Take a username away from a user, e.g. an ENS or SNS name whose wallet no
+ * longer resolves to it. The name is free for anyone at once, without the
+ * hold a rename leaves, and the user can pick a new one without waiting out
+ * the rename cooldown.
+ * @param {string} uid - The user ID
+ * @param {string} username - The username to release
+ * @param {string} reason - Why the name is released, kept in the username history
+ * @returns {Promise<boolean>} False if the user no longer had the username
+ */
+const releaseUsername = async (uid, username, reason) => {
+  try {
+    const usernameKey = getUsernameKey(username);
+    const released = await getUserRepository().runTransaction(
+      async (transaction) => {
+        const user = await transaction.getUser(uid);
+        if (!user || user.username !== username) {
+          return false;
+        }
+        const reservation = await transaction.getUsernameReservation(
+          usernameKey
+        );
+
+        if (reservation && reservation.uid === uid) {
+          transaction.deleteUsernameReservation(usernameKey);
+        }
+        transaction.addRecord(uid, RECORD_KINDS.USERNAME_HISTORY, {
+          username: null,
+          previousUsername: username,
+          changedAt: new Date(),
+          reason,
+        });
+        transaction.updateUser(uid, {
+          username: null,
+          usernameVerifiedBy: DELETE_FIELD,
+          usernameVerifiedAt: DELETE_FIELD,
+        });
+        return true;
+      }
+    );
+
+    if (released) {
+      await emitWebhookEvent(WEBHOOK_EVENTS.USERNAME_CHANGED, {
+        uid,
+        username: null,
+        previousUsername: username,
+        reason,
+      });
+      logger.info(`Username ${username} released from user ${uid}: ${reason}`);
+    }
+    return released;
+  } catch (error) {
+    logger.error(`Error releasing username of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List a user's username changes, newest first
+ * @param {string} uid - The user ID
+ * @returns {Promise<Array<{username: string|null, previousUsername: string|null, changedAt: Date, reason: string=}>>} The username history
+ */
+const getUsernameHistory = async (uid) => {
+  try {
+    const records = await getUserRepository().listRecords(
+      uid,
+      RECORD_KINDS.USERNAME_HISTORY,
+      { orderBy: "changedAt", direction: "desc" }
+    );
+
+    return records.map((record) => ({
+      username: record.username,
+      previousUsername: record.previousUsername || null,
+      changedAt: record.changedAt || null,
+      // Set when the username was taken away rather than changed by the user
+      ...(record.reason ? { reason: record.reason } : {}),
+    }));
+  } catch (error) {
+    logger.error(`Error getting username history for user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user by any of their linked wallet addresses
  * @param {string} walletAddress - The wallet address
  * @returns {Promise<object|null>} The user document or null if not found
  */
 const getUserByWallet = async (walletAddress) => {
+  const { canonicalAddress } = parseWalletAddress(walletAddress);
+
   try {
-    const db = admin.firestore();
-    const usersRef = db.collection("users");
-    const snapshot = await usersRef
-      .where("walletAddress", "==", walletAddress)
-      .limit(1)
-      .get();
-
-    if (snapshot.empty) {
+    const wallet = await getUserRepository().getWallet(canonicalAddress);
+
+    if (!wallet) {
       return null;
     }
 
-    return { ...snapshot.docs[0].data(), id: snapshot.docs[0].id };
+    return getUserById(wallet.uid);
   } catch (error) {
     logger.error(`Error getting user by wallet: ${walletAddress}`, error);
     throw error;
@@ -475,28 +1600,74 @@ const getUserByWallet = async (walletAddress) => {
 };
 
 /**
- * Update a user's last active timestamp and handle logout
+ * Revoke every session of a user through refresh-token revocation
  * @param {string} uid - The user ID
+ * @returns {Promise<{sessionsRevokedAt: Date, revokedSessions: number[]}>} Fields to store on the user document
+ */
+const revokeAllSessions = async (uid) => {
+  // Refresh tokens can only be revoked per user, which ends every session
+  const identity = getIdentityProvider();
+  await identity.revokeRefreshTokens(uid);
+  const authUser = await identity.getUser(uid);
+  if (!authUser) {
+    throw userNotFoundError();
+  }
+  return {
+    sessionsRevokedAt: new Date(authUser.tokensValidAfterTime),
+    revokedSessions: [],
+  };
+};
+
+/**
+ * Update a user's last active timestamp and handle logout. The session the
+ * request came from is revoked; with `everywhere` every session is revoked
+ * through refresh-token revocation.
+ * @param {string} uid - The user ID
+ * @param {object} options - Logout options
+ * @param {number} options.authTime - `auth_time` claim of the session being logged out
+ * @param {boolean} options.everywhere - Whether to revoke every session of the user
  * @returns {Promise<boolean>} Success status
  */
-const updateUserLastActive = async (uid) => {
+const updateUserLastActive = async (
+  uid,
+  { authTime = null, everywhere = false } = {}
+) => {
   try {
     if (!uid) {
-      throw new Error("User ID is required");
+      throw new BadRequestError("User ID is required", "MISSING_USER_ID");
     }
 
-    // Update Firestore user document
-    const db = admin.firestore();
-    await db.collection("users").doc(uid).update({
-      lastActive: admin.firestore.FieldValue.serverTimestamp(),
-      lastLogout: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    const repository = getUserRepository();
+    const update = {
+      lastActive: new Date(),
+      lastLogout: new Date(),
+    };
 
-    // We don't actually revoke Firebase tokens here since Firebase doesn't provide a direct
-    // way to invalidate custom tokens. Instead, we rely on token expiration.
-    // The frontend should clear tokens from storage on logout.
+    if (everywhere) {
+      Object.assign(update, await revokeAllSessions(uid));
+      await repository.updateUser(uid, update);
+    } else {
+      // A single session is identified by the auth_time shared by all of its ID tokens
+      await repository.runTransaction(async (transaction) => {
+        const user = await transaction.getUser(uid);
+        if (!user) {
+          throw userNotFoundError();
+        }
 
-    logger.info(`User ${uid} logged out successfully`);
+        const revokedSessions = user.revokedSessions || [];
+        if (authTime && !revokedSessions.includes(authTime)) {
+          update.revokedSessions = [...revokedSessions, authTime].slice(
+            -MAX_REVOKED_SESSIONS
+          );
+        }
+
+        transaction.updateUser(uid, update);
+      });
+    }
+
+    logger.info(
+      `User ${uid} logged out${everywhere ? " from every session" : ""}`
+    );
     return true;
   } catch (error) {
     logger.error(`Error updating last active for user ${uid}:`, error);
@@ -505,21 +1676,101 @@ const updateUserLastActive = async (uid) => {
 };
 
 /**
- * Get a user by their ID
+ * Check whether a decoded ID token belongs to a session revoked by logout
+ * @param {object} decodedToken - Decoded ID token
+ * @returns {Promise<boolean>} True if the session has been revoked
+ */
+const isSessionRevoked = async (decodedToken) => {
+  try {
+    const user = await getUserById(decodedToken.uid);
+
+    if (!user) {
+      return false;
+    }
+
+    // Accounts merged into another one have no sessions left
+    if (user.mergedInto) {
+      return true;
+    }
+
+    const { sessionsRevokedAt, revokedSessions = [] } = user;
+    const authTimeMillis = decodedToken.auth_time * 1000;
+
+    if (sessionsRevokedAt && authTimeMillis < sessionsRevokedAt.getTime()) {
+      return true;
+    }
+
+    return revokedSessions.includes(decodedToken.auth_time);
+  } catch (error) {
+    logger.error(
+      `Error checking session revocation for user ${decodedToken.uid}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Change the role of a user. The role is stored on the user document and as a
+ * custom claim. Tokens already issued still carry the old role, so every
+ * session of the user is revoked and the new role applies from their next
+ * sign-in.
  * @param {string} uid - The user ID
- * @returns {Promise<object|null>} The user document or null if not found
+ * @param {string} role - The new role, one of ROLES
+ * @returns {Promise<{uid: string, role: string, previousRole: string, changed: boolean}>} The outcome
  */
-const getUserById = async (uid) => {
+const setUserRole = async (uid, role) => {
   try {
-    const db = admin.firestore();
-    const userRef = db.collection("users").doc(uid);
-    const doc = await userRef.get();
+    if (!isValidRole(role)) {
+      throw new BadRequestError(
+        `Role must be one of: ${ROLES.join(", ")}`,
+        "INVALID_ROLE"
+      );
+    }
 
-    if (!doc.exists) {
-      return null;
+    const user = await getUserById(uid);
+    if (!user || user.mergedInto) {
+      throw userNotFoundError();
     }
 
-    return { ...doc.data(), id: doc.id };
+    const previousRole = getUserRole(user);
+    if (previousRole === role) {
+      return { uid, role, previousRole, changed: false };
+    }
+
+    const identity = getIdentityProvider();
+    const authUser = await identity.getUser(uid);
+    if (!authUser) {
+      throw userNotFoundError();
+    }
+
+    // Keep any other claims the account carries
+    await identity.setCustomUserClaims(uid, {
+      ...(authUser.customClaims || {}),
+      ...buildRoleClaims(role),
+    });
+    await getUserRepository().updateUser(uid, {
+      role,
+      roleUpdatedAt: new Date(),
+      ...(await revokeAllSessions(uid)),
+    });
+
+    logger.info(`Role of user ${uid} changed from ${previousRole} to ${role}`);
+    return { uid, role, previousRole, changed: true };
+  } catch (error) {
+    logger.error(`Error setting role of user ${uid}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user by their ID
+ * @param {string} uid - The user ID
+ * @returns {Promise<object|null>} The user document or null if not found
+ */
+const getUserById = async (uid) => {
+  try {
+    return await getUserRepository().getUser(uid);
   } catch (error) {
     logger.error(`Error getting user by ID: ${uid}`, error);
     throw error;
@@ -528,13 +1779,27 @@ const getUserById = async (uid) => {
 
 module.exports = {
   isUsernameExists,
+  checkUsernameAvailability,
   isWalletExists,
   createAnonymousUser,
   unifiedWalletAuth,
+  walletSignatureRequiredError,
+  createWalletChallenge,
+  verifyWalletSignature,
   linkWalletToUser,
+  listUserWallets,
+  removeWalletFromUser,
+  rotateWallet,
+  mergeAnonymousAccount,
+  setPrimaryWallet,
   updateUsername,
+  releaseUsername,
+  getUsernameHistory,
   getUserByWallet,
   getUserByUsername,
   updateUserLastActive,
+  revokeAllSessions,
+  isSessionRevoked,
+  setUserRole,
   getUserById,
 };
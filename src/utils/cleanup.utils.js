@@ -0,0 +1,197 @@
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const { getUserRepository } = require("../repositories");
+const { getIdentityProvider } = require("../identity");
+const { WEBHOOK_EVENTS, emitWebhookEvent } = require("./webhook.utils");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Firebase Auth deletes at most 1000 users per deleteUsers call
+const MAX_AUTH_BATCH = 1000;
+
+/**
+ * Check whether an anonymous user left nothing behind worth keeping
+ * @param {object} user - The user document
+ * @returns {boolean} True if the user can be cleaned up
+ */
+const isAbandonedAnonymousUser = (user) =>
+  !user.username &&
+  !user.walletAddress &&
+  // Merge tombstones point at the surviving account and are kept
+  !user.mergedInto;
+
+/**
+ * Drop users whose session was refreshed after the cutoff. Clients keep
+ * refreshing ID tokens without calling this server, so `lastActive` alone can
+ * make an active anonymous user look abandoned.
+ * @param {object[]} users - Candidate user documents
+ * @param {Date} cutoff - Users active after this time are kept
+ * @returns {Promise<object[]>} The users inactive in Auth too
+ */
+const filterInactiveInAuth = async (users, cutoff) => {
+  const authUsers = await getIdentityProvider().getUsers(
+    users.map((user) => user.id)
+  );
+
+  const activeUids = new Set(
+    authUsers
+      .filter((authUser) => {
+        const lastSeen =
+          authUser.metadata.lastRefreshTime || authUser.metadata.lastSignInTime;
+        return lastSeen && new Date(lastSeen) > cutoff;
+      })
+      .map((authUser) => authUser.uid)
+  );
+
+  return users.filter((user) => !activeUids.has(user.id));
+};
+
+/**
+ * Delete a batch of abandoned users. Auth users go first: if the job stops
+ * halfway, the remaining documents are found again on the next run, whereas
+ * Auth users without a document could never be found.
+ * @param {object[]} users - User documents to delete
+ * @returns {Promise<number>} Number of users deleted
+ */
+const deleteAnonymousBatch = async (users) => {
+  const uids = users.map((user) => user.id);
+
+  for (let i = 0; i < uids.length; i += MAX_AUTH_BATCH) {
+    const result = await getIdentityProvider().deleteUsers(
+      uids.slice(i, i + MAX_AUTH_BATCH)
+    );
+
+    // Users already missing from Auth were deleted by an interrupted run and
+    // are not reported
+    result.errors.forEach((entry) =>
+      logger.warn(
+        `Failed to delete Auth user ${uids[i + entry.index]}: ${
+          entry.error.message
+        }`
+      )
+    );
+  }
+
+  // Removes thumbnails, reservations and every record of the users too
+  await getUserRepository().deleteUsers(uids);
+
+  for (const uid of uids) {
+    await emitWebhookEvent(WEBHOOK_EVENTS.USER_DELETED, { uid });
+  }
+
+  return users.length;
+};
+
+/**
+ * Find and delete anonymous users without a username or wallet whose
+ * `lastActive` is older than the configured age. Safe to re-run after an
+ * interruption: every run starts from the oldest remaining candidate.
+ * @param {object} options - Cleanup options
+ * @param {boolean} options.dryRun - Only report the users that would be deleted
+ * @param {number} options.maxAgeDays - Minimum days since the user was last active
+ * @param {number} options.batchSize - Users read and deleted per batch
+ * @returns {Promise<{scanned: number, deleted: number, cutoff: Date}>} Counts for the run
+ */
+const cleanupAnonymousUsers = async ({
+  dryRun = false,
+  maxAgeDays = authConfig.anonymousCleanup.maxAgeDays,
+  batchSize = authConfig.anonymousCleanup.batchSize,
+} = {}) => {
+  const repository = getUserRepository();
+  const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS);
+  let lastUser = null;
+  let scanned = 0;
+  let deleted = 0;
+
+  logger.info(
+    `Cleaning up anonymous users inactive since ${cutoff.toISOString()}${
+      dryRun ? " (dry run)" : ""
+    }...`
+  );
+
+  try {
+    for (;;) {
+      const users = await repository.findUsers({
+        filters: [
+          ["isAnonymous", "==", true],
+          ["lastActive", "<", cutoff],
+        ],
+        orderBy: "lastActive",
+        limit: batchSize,
+        startAfter: lastUser,
+      });
+      if (!users.length) break;
+
+      scanned += users.length;
+      lastUser = users[users.length - 1];
+
+      const abandoned = await filterInactiveInAuth(
+        users.filter(isAbandonedAnonymousUser),
+        cutoff
+      );
+      if (!abandoned.length) continue;
+
+      if (dryRun) {
+        abandoned.forEach((user) =>
+          logger.info(
+            `Would delete anonymous user ${
+              user.id
+            }, last active ${user.lastActive.toISOString()}`
+          )
+        );
+        deleted += abandoned.length;
+        continue;
+      }
+
+      deleted += await deleteAnonymousBatch(abandoned);
+      logger.info(`Deleted ${deleted} anonymous users so far`);
+    }
+
+    logger.info(
+      `Anonymous cleanup ${
+        dryRun ? "dry run " : ""
+      }complete: ${scanned} scanned, ${deleted} ${
+        dryRun ? "would be deleted" : "deleted"
+      }`
+    );
+    return { scanned, deleted, cutoff };
+  } catch (error) {
+    logger.error("Error cleaning up anonymous users:", error);
+    throw error;
+  }
+};
+
+/**
+ * Run the anonymous-user cleanup in-process every
+ * `anonymousCleanup.intervalHours`. Runs never overlap.
+ * @returns {NodeJS.Timeout|null} The interval, or null when the scheduler is disabled
+ */
+const startAnonymousCleanupScheduler = () => {
+  const { intervalHours } = authConfig.anonymousCleanup;
+  if (!intervalHours || intervalHours <= 0) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await cleanupAnonymousUsers();
+    } catch (error) {
+      // Already logged; the next run picks up where this one stopped
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info(
+    `Anonymous user cleanup scheduled every ${intervalHours} hour(s)`
+  );
+
+  // Do not keep the process alive just for the cleanup
+  return setInterval(run, intervalHours * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  cleanupAnonymousUsers,
+  startAnonymousCleanupScheduler,
+};
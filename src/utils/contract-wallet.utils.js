@@ -0,0 +1,43 @@
+const { ethers } = require("ethers");
+const logger = require("./logger");
+const { getChainDataProvider } = require("../chain-data");
+
+/**
+ * Verify a Sign-In with Ethereum signature from a smart-contract wallet such
+ * as a Safe, which cannot produce an ECDSA signature that recovers to its own
+ * address. The wallet is asked through EIP-1271 isValidSignature; wallets not
+ * deployed yet can sign with an EIP-6492 wrapped signature. A failed chain
+ * read rejects the signature.
+ * @param {string} message - The signed message
+ * @param {string} signature - Hex encoded signature
+ * @param {string} address - Address of the wallet expected to have signed the message
+ * @param {number} chainId - EIP-155 chain ID the wallet is read on
+ * @returns {Promise<boolean>} True if the wallet accepts the signature
+ */
+const verifyContractWalletSignature = async (
+  message,
+  signature,
+  address,
+  chainId
+) => {
+  if (!ethers.isHexString(signature)) return false;
+
+  try {
+    return await getChainDataProvider().isValidSignature({
+      chainId,
+      address,
+      hash: ethers.hashMessage(message),
+      signature,
+    });
+  } catch (error) {
+    logger.warn(
+      `Contract wallet signature check failed for ${address} on chain ${chainId}:`,
+      error
+    );
+    return false;
+  }
+};
+
+module.exports = {
+  verifyContractWalletSignature,
+};
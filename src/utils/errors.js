@@ -0,0 +1,93 @@
+/**
+ * Errors with a stable code, an HTTP status and a message that is safe to
+ * show to clients. The auth logic throws them and the error middleware
+ * (middleware/error.middleware.js) renders them as
+ * `{success: false, message, error: code, ...details}`.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message safe to send to the client
+   * @param {string} code - Stable error code, e.g. USER_NOT_FOUND
+   * @param {object} details - Extra fields added to the response body
+   * @param {number} status - HTTP status
+   */
+  constructor(message, code, details = {}, status = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+// 400: the request cannot be processed as sent
+class BadRequestError extends AppError {
+  constructor(message, code = "INVALID_REQUEST", details = {}) {
+    super(message, code, details, 400);
+  }
+}
+
+// 400 listing every request field that failed schema validation
+class ValidationError extends BadRequestError {
+  /**
+   * @param {{field: string, message: string}[]} errors - Failed fields, e.g. {field: "body.walletAddress", message: "is required"}
+   */
+  constructor(errors) {
+    super("Request validation failed", "VALIDATION_FAILED", { errors });
+  }
+}
+
+// 401: missing or invalid credentials, tokens, nonces or signatures
+class AuthenticationError extends AppError {
+  constructor(message, code = "UNAUTHENTICATED", details = {}) {
+    super(message, code, details, 401);
+  }
+}
+
+// 403: authenticated, but not allowed to act on the resource
+class ForbiddenError extends AppError {
+  constructor(message, code = "FORBIDDEN", details = {}) {
+    super(message, code, details, 403);
+  }
+}
+
+// 404: the user, wallet or other resource does not exist
+class NotFoundError extends AppError {
+  constructor(message, code = "NOT_FOUND", details = {}) {
+    super(message, code, details, 404);
+  }
+}
+
+// 409: the request conflicts with the current state, e.g. a lost race
+class ConflictError extends AppError {
+  constructor(message, code = "CONFLICT", details = {}) {
+    super(message, code, details, 409);
+  }
+}
+
+// 429: try again later; `retryAt` is sent as Retry-After
+class TooManyRequestsError extends AppError {
+  constructor(message, code = "TOO_MANY_REQUESTS", retryAt = null) {
+    super(message, code, retryAt ? { retryAt } : {}, 429);
+    this.retryAt = retryAt;
+  }
+}
+
+// 503: a service the request depends on is unavailable; retrying may help
+class ServiceUnavailableError extends AppError {
+  constructor(message, code = "SERVICE_UNAVAILABLE", details = {}) {
+    super(message, code, details, 503);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+};
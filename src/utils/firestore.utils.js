@@ -0,0 +1,30 @@
+const admin = require("firebase-admin");
+
+/**
+ * Convert Firestore data to plain values: timestamps become Dates. Other
+ * Firestore types, such as references and geo points, are kept as they are.
+ * @param {*} value - A Firestore value
+ * @returns {*} The plain value
+ */
+const fromFirestore = (value) => {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  if (
+    value &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  ) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, fromFirestore(entry)])
+    );
+  }
+  return value;
+};
+
+module.exports = {
+  fromFirestore,
+};
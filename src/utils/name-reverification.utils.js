@@ -0,0 +1,142 @@
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const { getUserRepository } = require("../repositories");
+const { listUserWallets, releaseUsername } = require("./auth.utils");
+const { getNameService, findNameOwnerWallet } = require("./name-service.utils");
+
+// Reason recorded in the username history of released names
+const RELEASE_REASON = "name_ownership_changed";
+
+/**
+ * Check that an ENS or SNS username still belongs to the user: refresh the
+ * verification if a linked wallet resolves to it, otherwise release it
+ * @param {object} user - The user document
+ * @param {boolean} dryRun - Only report names that would be released
+ * @returns {Promise<string>} "verified" or "released"
+ */
+const reverifyUser = async (user, dryRun) => {
+  const walletAddress = await findNameOwnerWallet(
+    user.username,
+    await listUserWallets(user.id)
+  );
+
+  if (walletAddress) {
+    if (!dryRun) {
+      await getUserRepository().updateUser(user.id, {
+        usernameVerifiedBy: walletAddress,
+        usernameVerifiedAt: new Date(),
+      });
+    }
+    return "verified";
+  }
+
+  if (dryRun) {
+    logger.info(`Would release username ${user.username} of user ${user.id}`);
+  } else {
+    await releaseUsername(user.id, user.username, RELEASE_REASON);
+  }
+  return "released";
+};
+
+/**
+ * Re-verify every ENS and SNS username and release the ones no linked wallet
+ * resolves to anymore, e.g. because the name was transferred or the wallet
+ * unlinked. Users whose names cannot be resolved right now keep them until
+ * the next run.
+ * @param {object} options - Re-verification options
+ * @param {boolean} options.all - Scan every user instead of only verified names, to find names claimed before verification existed
+ * @param {boolean} options.dryRun - Only report names that would be released
+ * @param {number} options.batchSize - Users read per batch
+ * @returns {Promise<{checked: number, verified: number, released: number, failed: number}>} Counts for the run
+ */
+const reverifyNameUsernames = async ({
+  all = false,
+  dryRun = false,
+  batchSize = authConfig.nameResolution.batchSize,
+} = {}) => {
+  const repository = getUserRepository();
+  const startedAt = new Date();
+  const counts = { checked: 0, verified: 0, released: 0, failed: 0 };
+  let lastUser = null;
+
+  try {
+    for (;;) {
+      // Names re-checked in this run are stamped at or after `startedAt`, so
+      // they drop out of the query instead of being checked again
+      const users = await repository.findUsers(
+        all
+          ? { orderBy: "createdAt", limit: batchSize, startAfter: lastUser }
+          : {
+              filters: [["usernameVerifiedAt", "<", startedAt]],
+              orderBy: "usernameVerifiedAt",
+              limit: batchSize,
+              startAfter: lastUser,
+            }
+      );
+      if (!users.length) break;
+      lastUser = users[users.length - 1];
+
+      for (const user of users) {
+        if (!getNameService(user.username) || user.mergedInto) continue;
+
+        counts.checked += 1;
+        try {
+          counts[await reverifyUser(user, dryRun)] += 1;
+        } catch (error) {
+          logger.warn(
+            `Could not re-verify username ${user.username} of user ${user.id}:`,
+            error
+          );
+          counts.failed += 1;
+        }
+      }
+    }
+  } catch (error) {
+    logger.error("Error re-verifying name service usernames:", error);
+    throw error;
+  }
+
+  logger.info(
+    `Name re-verification ${dryRun ? "dry run " : ""}complete: ${
+      counts.checked
+    } checked, ${counts.verified} verified, ${counts.released} ${
+      dryRun ? "would be released" : "released"
+    }, ${counts.failed} failed`
+  );
+  return counts;
+};
+
+/**
+ * Re-verify ENS and SNS usernames in this process every
+ * `nameResolution.reverifyIntervalHours`. Runs never overlap.
+ * @returns {NodeJS.Timeout|null} The interval, or null when the scheduler is disabled
+ */
+const startNameReverificationScheduler = () => {
+  const { reverifyIntervalHours } = authConfig.nameResolution;
+  if (!reverifyIntervalHours || reverifyIntervalHours <= 0) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reverifyNameUsernames();
+    } catch (error) {
+      // Already logged; the next run checks every name again
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info(
+    `Name re-verification scheduled every ${reverifyIntervalHours} hour(s)`
+  );
+
+  // Do not keep the process alive just for the re-verification
+  return setInterval(run, reverifyIntervalHours * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  reverifyNameUsernames,
+  startNameReverificationScheduler,
+};
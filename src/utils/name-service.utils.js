@@ -0,0 +1,92 @@
+const logger = require("./logger");
+const { ServiceUnavailableError } = require("./errors");
+const { getUsernameKey, usernameError } = require("./username.utils");
+const { getNameResolver } = require("../name-resolvers");
+
+// Username suffixes of name services, with the chain family their names point at
+const NAME_SERVICES = [
+  { suffix: ".eth", service: "ENS", chain: "evm" },
+  { suffix: ".sol", service: "SNS", chain: "solana" },
+];
+
+/**
+ * Get the name service a username belongs to. The suffix is matched on the
+ * uniqueness key, so a look-alike such as "vitalik.еth" (Cyrillic "е"), which
+ * would take the key of "vitalik.eth", counts as an ENS name too.
+ * @param {string|null} username - The username
+ * @returns {{suffix: string, service: string, chain: string}|null} The name service, or null for ordinary usernames
+ */
+const getNameService = (username) => {
+  if (!username) return null;
+  const key = getUsernameKey(username);
+  return (
+    NAME_SERVICES.find(({ suffix }) => key.endsWith(getUsernameKey(suffix))) ||
+    null
+  );
+};
+
+/**
+ * Find the wallet whose primary name is a username. Only wallets of the name
+ * service's chain family are looked up.
+ * @param {string} username - A username of a name service
+ * @param {Array<{address: string, chain: string}>} wallets - The user's linked wallets
+ * @returns {Promise<string|null>} The wallet address, or null if none resolves to the username
+ */
+const findNameOwnerWallet = async (username, wallets) => {
+  const { chain } = getNameService(username);
+  const folded = username.toLowerCase();
+  let lookupFailed = false;
+
+  for (const wallet of wallets.filter((entry) => entry.chain === chain)) {
+    try {
+      const name = await getNameResolver().reverseResolve(
+        wallet.address,
+        chain
+      );
+      if (name && name.normalize("NFKC").toLowerCase() === folded) {
+        return wallet.address;
+      }
+    } catch (error) {
+      logger.warn(`Reverse resolution of ${wallet.address} failed:`, error);
+      lookupFailed = true;
+    }
+  }
+
+  // Without every answer, "not owned" could be wrong
+  if (lookupFailed) {
+    throw new ServiceUnavailableError(
+      "Name ownership could not be verified, please try again later",
+      "NAME_RESOLUTION_FAILED"
+    );
+  }
+  return null;
+};
+
+/**
+ * Check that a user may claim a username. ENS and SNS names are reserved for
+ * accounts with a linked wallet whose primary name (reverse record) is the
+ * username; other usernames need no check.
+ * @param {string} username - The normalized username
+ * @param {function(): Promise<Array<{address: string, chain: string}>>} getWallets - Loads the user's linked wallets, only called for name service usernames
+ * @returns {Promise<{usernameVerifiedBy: string, usernameVerifiedAt: Date}|null>} User fields recording the verification, or null for ordinary usernames
+ */
+const assertNameOwnership = async (username, getWallets) => {
+  const nameService = getNameService(username);
+  if (!nameService) return null;
+
+  const walletAddress = await findNameOwnerWallet(username, await getWallets());
+  if (!walletAddress) {
+    throw usernameError(
+      "USERNAME_NOT_VERIFIED",
+      `Username '${username}' is an ${nameService.service} name and can only be claimed with a linked wallet whose primary name it is`
+    );
+  }
+
+  return { usernameVerifiedBy: walletAddress, usernameVerifiedAt: new Date() };
+};
+
+module.exports = {
+  getNameService,
+  findNameOwnerWallet,
+  assertNameOwnership,
+};
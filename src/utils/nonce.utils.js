@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const { getUserRepository } = require("../repositories");
+const { AuthenticationError } = require("./errors");
+
+/**
+ * Issue a new single-use nonce and persist it with the challenge it belongs to
+ * @param {function(string, Date, Date): object} buildChallenge - Builds the stored challenge data from the nonce, issue time and expiry
+ * @returns {Promise<object>} The stored challenge data including nonce and expiry
+ */
+const issueNonce = async (buildChallenge) => {
+  try {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date();
+    const expiresAt = new Date(
+      issuedAt.getTime() + authConfig.nonceTtlSeconds * 1000
+    );
+
+    const challenge = buildChallenge(nonce, issuedAt, expiresAt);
+
+    await getUserRepository().createNonce(nonce, {
+      ...challenge,
+      nonce,
+      used: false,
+      createdAt: issuedAt,
+      expiresAt,
+    });
+
+    return { ...challenge, nonce, expiresAt };
+  } catch (error) {
+    logger.error("Error issuing nonce:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check that a stored challenge can still be signed in with
+ * @param {object|null} challenge - The stored challenge data, if any
+ */
+const assertUsableChallenge = (challenge) => {
+  if (!challenge) {
+    throw new AuthenticationError("Invalid or unknown nonce", "INVALID_NONCE");
+  }
+
+  if (challenge.used) {
+    throw new AuthenticationError(
+      "Nonce has already been used",
+      "INVALID_NONCE"
+    );
+  }
+
+  if (challenge.expiresAt.getTime() < Date.now()) {
+    throw new AuthenticationError("Nonce has expired", "INVALID_NONCE");
+  }
+};
+
+/**
+ * Read the challenge of an unused, unexpired nonce without consuming it, e.g.
+ * to run slow checks before the nonce transaction
+ * @param {string} nonce - The nonce
+ * @returns {Promise<object>} The stored challenge data
+ */
+const getChallenge = async (nonce) => {
+  if (!nonce || typeof nonce !== "string") {
+    throw new AuthenticationError("Invalid or unknown nonce", "INVALID_NONCE");
+  }
+
+  const challenge = await getUserRepository().runTransaction((transaction) =>
+    transaction.getNonce(nonce)
+  );
+  assertUsableChallenge(challenge);
+  return challenge;
+};
+
+/**
+ * Consume a nonce exactly once. The validator runs inside the transaction and
+ * must throw if the signed challenge does not match the stored one.
+ * @param {string} nonce - The nonce to consume
+ * @param {function(object): void} validate - Validates the stored challenge data
+ * @returns {Promise<object>} The stored challenge data
+ */
+const consumeNonce = async (nonce, validate) => {
+  if (!nonce || typeof nonce !== "string") {
+    throw new AuthenticationError("Invalid or unknown nonce", "INVALID_NONCE");
+  }
+
+  return getUserRepository().runTransaction(async (transaction) => {
+    const challenge = await transaction.getNonce(nonce);
+    assertUsableChallenge(challenge);
+
+    validate(challenge);
+
+    transaction.updateNonce(nonce, {
+      used: true,
+      usedAt: new Date(),
+    });
+
+    return challenge;
+  });
+};
+
+module.exports = {
+  issueNonce,
+  getChallenge,
+  consumeNonce,
+};
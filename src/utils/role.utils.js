@@ -0,0 +1,45 @@
+// Roles from least to most privileged; each role includes the ones before it
+const ROLES = ["user", "moderator", "admin"];
+
+const DEFAULT_ROLE = "user";
+
+/**
+ * Check whether a value is a known role
+ * @param {*} role - The value to check
+ * @returns {boolean} True if the value is one of ROLES
+ */
+const isValidRole = (role) => ROLES.includes(role);
+
+/**
+ * Get the role of a user document or decoded ID token. Accounts created
+ * before roles existed have no role and are plain users.
+ * @param {object|null} user - User document or decoded token
+ * @returns {string} The role
+ */
+const getUserRole = (user) =>
+  user && isValidRole(user.role) ? user.role : DEFAULT_ROLE;
+
+/**
+ * Check whether a role grants at least the privileges of another
+ * @param {string} role - The role held
+ * @param {string} required - The minimum role needed
+ * @returns {boolean} True if `role` is `required` or above it
+ */
+const hasRole = (role, required) =>
+  isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Build the custom claims that carry a role in sign-in tokens
+ * @param {string} role - The role
+ * @returns {{role: string}} The claims
+ */
+const buildRoleClaims = (role) => ({ role });
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  getUserRole,
+  hasRole,
+  buildRoleClaims,
+};
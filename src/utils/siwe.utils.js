@@ -0,0 +1,100 @@
+const { ethers } = require("ethers");
+
+/**
+ * Build a Sign-In with Ethereum (EIP-4361) message. Sign-In with Solana uses
+ * the same layout with a different account name.
+ * @param {object} fields - Message fields
+ * @param {string} fields.account - Account type named in the header, e.g. "Ethereum"
+ * @param {string} fields.domain - Domain requesting the signature
+ * @param {string} fields.address - Wallet address in its display form
+ * @param {string} fields.statement - Human readable statement
+ * @param {string} fields.uri - URI of the signing request
+ * @param {number|string} fields.chainId - EIP-155 chain ID or Solana cluster
+ * @param {string} fields.nonce - Single-use nonce
+ * @param {string} fields.issuedAt - ISO 8601 issue time
+ * @param {string} fields.expirationTime - ISO 8601 expiration time
+ * @returns {string} The message the wallet must sign
+ */
+const buildSiweMessage = ({
+  account = "Ethereum",
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+}) => {
+  return [
+    `${domain} wants you to sign in with your ${account} account:`,
+    address,
+    "",
+    statement,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join("\n");
+};
+
+/**
+ * Parse a Sign-In with Ethereum or Solana message back into its fields
+ * @param {string} message - The signed message
+ * @returns {object|null} The parsed fields or null if the message is malformed
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== "string") return null;
+
+  const lines = message.split("\n");
+  const header = lines[0].match(
+    /^(.+) wants you to sign in with your (\w+) account:$/
+  );
+  if (!header || !lines[1]) return null;
+
+  const fields = { domain: header[1], account: header[2], address: lines[1] };
+  const keys = {
+    URI: "uri",
+    Version: "version",
+    "Chain ID": "chainId",
+    Nonce: "nonce",
+    "Issued At": "issuedAt",
+    "Expiration Time": "expirationTime",
+  };
+
+  for (const line of lines.slice(2)) {
+    const separator = line.indexOf(": ");
+    if (separator === -1) continue;
+    const key = keys[line.slice(0, separator)];
+    if (key) fields[key] = line.slice(separator + 2);
+  }
+
+  if (!fields.nonce || !fields.chainId || !fields.uri) return null;
+
+  return fields;
+};
+
+/**
+ * Recover the signer of a personal_sign message and compare it to an address
+ * @param {string} message - The signed message
+ * @param {string} signature - Hex encoded signature
+ * @param {string} address - Address expected to have signed the message
+ * @returns {boolean} True if the signature was produced by the address
+ */
+const verifySiweSignature = (message, signature, address) => {
+  try {
+    const signer = ethers.verifyMessage(message, signature);
+    return signer.toLowerCase() === address.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  buildSiweMessage,
+  parseSiweMessage,
+  verifySiweSignature,
+};
@@ -0,0 +1,63 @@
+const nacl = require("tweetnacl");
+const bs58 = require("bs58");
+
+// Solana clusters accepted as the Chain ID of a Sign-In with Solana message
+const SOLANA_CHAIN_IDS = ["mainnet", "devnet", "testnet", "localnet"];
+
+/**
+ * Decode a base58 string, returning null instead of throwing on bad input
+ * @param {string} value - Base58 encoded value
+ * @returns {Uint8Array|null} The decoded bytes
+ */
+const decodeBase58 = (value) => {
+  if (typeof value !== "string") return null;
+
+  try {
+    return bs58.decode(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check if a string is a base58 encoded ed25519 public key
+ * @param {string} address - Solana address to check
+ * @returns {boolean} True if the address decodes to 32 bytes
+ */
+const isSolanaAddress = (address) => {
+  const bytes = decodeBase58(address);
+  return !!bytes && bytes.length === nacl.sign.publicKeyLength;
+};
+
+/**
+ * Verify an ed25519 signature over a Sign-In with Solana message
+ * @param {string} message - The signed message
+ * @param {string} signature - Base58 encoded signature
+ * @param {string} address - Base58 public key expected to have signed the message
+ * @returns {boolean} True if the signature was produced by the address
+ */
+const verifySiwsSignature = (message, signature, address) => {
+  const publicKey = decodeBase58(address);
+  const signatureBytes = decodeBase58(signature);
+
+  if (
+    !publicKey ||
+    publicKey.length !== nacl.sign.publicKeyLength ||
+    !signatureBytes ||
+    signatureBytes.length !== nacl.sign.signatureLength
+  ) {
+    return false;
+  }
+
+  return nacl.sign.detached.verify(
+    Buffer.from(message, "utf8"),
+    signatureBytes,
+    publicKey
+  );
+};
+
+module.exports = {
+  SOLANA_CHAIN_IDS,
+  isSolanaAddress,
+  verifySiwsSignature,
+};
@@ -0,0 +1,112 @@
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const { getChainDataProvider } = require("../chain-data");
+
+// Balances kept in the cache before the oldest ones are dropped
+const MAX_CACHE_ENTRIES = 10000;
+
+// Balance reads by query key: {balance, expiresAt}
+const balanceCache = new Map();
+
+/**
+ * Read a token balance, reusing a read younger than
+ * `tokenGates.cacheTtlSeconds`. Failed reads are not cached.
+ * @param {import("../chain-data/chain-data.provider").TokenBalanceQuery} query - The balance query
+ * @returns {Promise<bigint>} The balance
+ */
+const getCachedTokenBalance = async (query) => {
+  const key = [
+    query.chainId,
+    query.contract,
+    query.tokenId || "",
+    query.owner.toLowerCase(),
+  ].join(":");
+  const cached = balanceCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.balance;
+  }
+
+  const balance = await getChainDataProvider().getTokenBalance(query);
+
+  balanceCache.delete(key);
+  if (balanceCache.size >= MAX_CACHE_ENTRIES) {
+    // Maps iterate in insertion order, so this is the oldest read
+    balanceCache.delete(balanceCache.keys().next().value);
+  }
+  balanceCache.set(key, {
+    balance,
+    expiresAt: Date.now() + authConfig.tokenGates.cacheTtlSeconds * 1000,
+  });
+  return balance;
+};
+
+/**
+ * Forget every cached balance, e.g. between tests
+ */
+const clearTokenGateCache = () => balanceCache.clear();
+
+/**
+ * Check one rule against a set of wallets. Balances of every wallet add up,
+ * so holdings split across wallets count.
+ * @param {object} rule - A rule from `tokenGates.rules`
+ * @param {string[]} owners - EVM wallet addresses
+ * @returns {Promise<boolean>} True if the wallets hold at least `rule.minBalance`
+ */
+const evaluateRule = async (rule, owners) => {
+  const balances = await Promise.all(
+    owners.map((owner) =>
+      getCachedTokenBalance({
+        chainId: rule.chainId,
+        standard: rule.standard,
+        contract: rule.contract,
+        tokenId: rule.tokenId,
+        owner,
+      })
+    )
+  );
+  return (
+    balances.reduce((sum, balance) => sum + balance, 0n) >= rule.minBalance
+  );
+};
+
+/**
+ * Evaluate every token gate rule against a user's wallets. A rule whose
+ * balances cannot be read counts as not passed, so an RPC outage never
+ * grants access and never blocks sign-in.
+ * @param {Array<{address: string, chain: string}>} wallets - The user's linked wallets; only EVM ones are checked
+ * @returns {Promise<string[]>} Ids of the rules passed, in configuration order
+ */
+const evaluateTokenGates = async (wallets) => {
+  const owners = wallets
+    .filter((wallet) => wallet.chain === "evm")
+    .map((wallet) => wallet.address);
+  if (!owners.length) return [];
+
+  const results = await Promise.all(
+    authConfig.tokenGates.rules.map((rule) =>
+      evaluateRule(rule, owners).catch((error) => {
+        logger.warn(`Token gate ${rule.id} could not be evaluated:`, error);
+        return false;
+      })
+    )
+  );
+  return authConfig.tokenGates.rules
+    .filter((rule, index) => results[index])
+    .map((rule) => rule.id);
+};
+
+/**
+ * Build the custom claims that carry token gate results in sign-in tokens
+ * @param {Array<{address: string, chain: string}>} wallets - The user's linked wallets
+ * @returns {Promise<{gates: string[]}|{}>} The claims; empty when no rules are configured
+ */
+const buildTokenGateClaims = async (wallets) => {
+  if (!authConfig.tokenGates.rules.length) return {};
+  return { gates: await evaluateTokenGates(wallets) };
+};
+
+module.exports = {
+  evaluateTokenGates,
+  buildTokenGateClaims,
+  clearTokenGateCache,
+};
@@ -0,0 +1,224 @@
+const fs = require("fs");
+const authConfig = require("../config/auth.config");
+const { BadRequestError } = require("./errors");
+
+// Look-alike characters folded onto the Latin letter they imitate. A subset of
+// the Unicode confusables table covering the scripts we actually see abused.
+const CONFUSABLES = {
+  // Cyrillic
+  а: "a",
+  в: "b",
+  е: "e",
+  һ: "h",
+  і: "i",
+  ј: "j",
+  к: "k",
+  ӏ: "l",
+  м: "m",
+  н: "h",
+  о: "o",
+  р: "p",
+  ԛ: "q",
+  с: "c",
+  ѕ: "s",
+  т: "t",
+  у: "y",
+  ԝ: "w",
+  х: "x",
+  ԁ: "d",
+  ё: "e",
+  // Greek
+  α: "a",
+  β: "b",
+  ε: "e",
+  ι: "i",
+  κ: "k",
+  ν: "v",
+  ο: "o",
+  ρ: "p",
+  τ: "t",
+  υ: "u",
+  χ: "x",
+  // Digits and punctuation that read as letters
+  0: "o",
+  1: "l",
+  "|": "l",
+};
+
+let usernameLists = null;
+
+/**
+ * Load the reserved and blocked username lists, folded to skeletons
+ * @returns {{reserved: Set<string>, blocked: string[]}} The lists
+ */
+const getUsernameLists = () => {
+  if (!usernameLists) {
+    const { reserved = [], blocked = [] } = JSON.parse(
+      fs.readFileSync(authConfig.username.listsFile, "utf8")
+    );
+    usernameLists = {
+      reserved: new Set(reserved.map((name) => toSkeleton(foldCase(name)))),
+      blocked: blocked.map((word) => toSkeleton(foldCase(word))),
+    };
+  }
+
+  return usernameLists;
+};
+
+/**
+ * Normalize a username for display and storage (Unicode NFKC, trimmed)
+ * @param {string} username - The username as entered
+ * @returns {string} The normalized username
+ */
+const normalizeUsername = (username) => username.normalize("NFKC").trim();
+
+/**
+ * Case-fold a username so "Alice" and "alice" compare equal
+ * @param {string} username - The username
+ * @returns {string} The case-folded username
+ */
+const foldCase = (username) =>
+  normalizeUsername(username).toUpperCase().toLowerCase();
+
+/**
+ * Reduce a case-folded username to its confusable skeleton: accents are
+ * stripped and look-alike characters are replaced by the letter they imitate
+ * @param {string} folded - A case-folded username
+ * @returns {string} The skeleton
+ */
+const toSkeleton = (folded) =>
+  Array.from(folded.normalize("NFD").replace(/\p{M}/gu, ""))
+    .map((char) => CONFUSABLES[char] || char)
+    .join("");
+
+/**
+ * Get the uniqueness key of a username. Usernames with the same key are
+ * considered the same name, so look-alikes cannot be registered separately.
+ * @param {string} username - The username
+ * @returns {string} Key safe to use as a Firestore document ID
+ */
+const getUsernameKey = (username) =>
+  encodeURIComponent(toSkeleton(foldCase(username)));
+
+/**
+ * Check whether two usernames are the same name under the policy
+ * @param {string|null} a - A username
+ * @param {string|null} b - Another username
+ * @returns {boolean} True if both are set and share a uniqueness key
+ */
+const isSameUsername = (a, b) =>
+  !!a && !!b && getUsernameKey(a) === getUsernameKey(b);
+
+/**
+ * Build an error carrying a username policy code
+ * @param {string} code - Stable error code, e.g. USERNAME_TOO_SHORT
+ * @param {string} message - Human readable message
+ * @returns {BadRequestError} The error
+ */
+const usernameError = (code, message) => new BadRequestError(message, code);
+
+/**
+ * Check a username against the policy
+ * @param {string} username - The username as entered
+ * @returns {{valid: boolean, username?: string, key?: string, code?: string, message?: string}} The normalized username and key, or the rule that failed
+ */
+const validateUsername = (username) => {
+  const { minLength, maxLength, allowedPattern } = authConfig.username;
+
+  if (typeof username !== "string" || !normalizeUsername(username)) {
+    return {
+      valid: false,
+      code: "USERNAME_REQUIRED",
+      message: "Username is required",
+    };
+  }
+
+  const normalized = normalizeUsername(username);
+  const length = Array.from(normalized).length;
+
+  if (length < minLength) {
+    return {
+      valid: false,
+      code: "USERNAME_TOO_SHORT",
+      message: `Username must be at least ${minLength} characters`,
+    };
+  }
+
+  if (length > maxLength) {
+    return {
+      valid: false,
+      code: "USERNAME_TOO_LONG",
+      message: `Username must be at most ${maxLength} characters`,
+    };
+  }
+
+  if (!allowedPattern.test(normalized)) {
+    return {
+      valid: false,
+      code: "USERNAME_INVALID_CHARACTERS",
+      message:
+        "Username may only contain letters, numbers, '_', '.' and '-', and must start and end with a letter or number",
+    };
+  }
+
+  const skeleton = toSkeleton(foldCase(normalized));
+  const { reserved, blocked } = getUsernameLists();
+
+  if (reserved.has(skeleton)) {
+    return {
+      valid: false,
+      code: "USERNAME_RESERVED",
+      message: `Username '${normalized}' is reserved`,
+    };
+  }
+
+  if (blocked.some((word) => skeleton.includes(word))) {
+    return {
+      valid: false,
+      code: "USERNAME_BLOCKED",
+      message: `Username '${normalized}' is not allowed`,
+    };
+  }
+
+  return {
+    valid: true,
+    username: normalized,
+    key: encodeURIComponent(skeleton),
+  };
+};
+
+/**
+ * Validate a username and throw an error with the failing rule's code
+ * @param {string} username - The username as entered
+ * @returns {{username: string, key: string}} The normalized username and its key
+ */
+const assertValidUsername = (username) => {
+  const result = validateUsername(username);
+  if (!result.valid) {
+    throw usernameError(result.code, result.message);
+  }
+  return { username: result.username, key: result.key };
+};
+
+// Error codes produced by the username policy
+const USERNAME_POLICY_CODES = [
+  "USERNAME_REQUIRED",
+  "USERNAME_TOO_SHORT",
+  "USERNAME_TOO_LONG",
+  "USERNAME_INVALID_CHARACTERS",
+  "USERNAME_RESERVED",
+  "USERNAME_BLOCKED",
+  "USERNAME_CONFUSABLE",
+  "USERNAME_HELD",
+  "USERNAME_NOT_VERIFIED",
+];
+
+module.exports = {
+  USERNAME_POLICY_CODES,
+  normalizeUsername,
+  getUsernameKey,
+  isSameUsername,
+  validateUsername,
+  assertValidUsername,
+  usernameError,
+};
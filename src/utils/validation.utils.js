@@ -0,0 +1,177 @@
+/**
+ * Validation of request data against JSON Schema-style definitions. Only the
+ * keywords the route schemas use are supported: type (a name or a list of
+ * names), enum, minLength, maxLength, pattern, format ("url"), minimum,
+ * maximum, properties, required, items and maxItems. Unknown properties are
+ * allowed so older clients that send extra fields keep working.
+ */
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+const FORMAT_CHECKS = {
+  // Absolute http(s) URL
+  url: (value) => {
+    try {
+      const { protocol } = new URL(value);
+      return protocol === "http:" || protocol === "https:";
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+const FORMAT_MESSAGES = {
+  url: "must be an http or https URL",
+};
+
+/**
+ * Describe a list of type names for an error message
+ * @param {string[]} types - JSON Schema type names
+ * @returns {string} e.g. "a string or null"
+ */
+const describeTypes = (types) =>
+  types
+    .map((type) =>
+      type === "null" ? "null" : `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`
+    )
+    .join(" or ");
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - The schema
+ * @param {*} value - The value to check
+ * @param {string} field - Path of the value, used in error entries, e.g. "body.walletAddress"
+ * @returns {{field: string, message: string}[]} One entry per failed rule; empty if the value is valid
+ */
+const validateSchema = (schema, value, field) => {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => TYPE_CHECKS[type](value))) {
+      return [{ field, message: `must be ${describeTypes(types)}` }];
+    }
+  }
+
+  if (value === null) {
+    return [];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.join(", ")}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        field,
+        message: `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        field,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: "has an invalid format" });
+    }
+    if (schema.format && !FORMAT_CHECKS[schema.format](value)) {
+      errors.push({ field, message: FORMAT_MESSAGES[schema.format] });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: `${field}.${name}`, message: "is required" });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (value[name] !== undefined) {
+        errors.push(
+          ...validateSchema(propertySchema, value[name], `${field}.${name}`)
+        );
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        field,
+        message: `must contain at most ${schema.maxItems} items`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(...validateSchema(schema.items, item, `${field}[${index}]`))
+      );
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate an uploaded file (as stored by multer) against a file rule
+ * @param {object} rule - The file rule
+ * @param {string} rule.field - Name of the multipart field
+ * @param {boolean} rule.required - Whether the upload is mandatory
+ * @param {string[]} rule.mimeTypes - Accepted MIME types; "type/*" matches a whole family
+ * @param {number} rule.maxSize - Maximum size in bytes
+ * @param {object|undefined} file - The uploaded file
+ * @returns {{field: string, message: string}[]} One entry per failed rule
+ */
+const validateFile = (rule, file) => {
+  const field = `files.${rule.field}`;
+
+  if (!file) {
+    return rule.required ? [{ field, message: "is required" }] : [];
+  }
+
+  const errors = [];
+  if (
+    rule.mimeTypes &&
+    !rule.mimeTypes.some((type) =>
+      type.endsWith("/*")
+        ? file.mimetype.startsWith(type.slice(0, -1))
+        : file.mimetype === type
+    )
+  ) {
+    errors.push({
+      field,
+      message: `must be one of: ${rule.mimeTypes.join(", ")}`,
+    });
+  }
+  if (rule.maxSize !== undefined && file.size > rule.maxSize) {
+    errors.push({ field, message: `must be at most ${rule.maxSize} bytes` });
+  }
+  return errors;
+};
+
+module.exports = {
+  validateSchema,
+  validateFile,
+};
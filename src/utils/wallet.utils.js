@@ -0,0 +1,106 @@
+const { ethers } = require("ethers");
+const { isSolanaAddress } = require("./siws.utils");
+const { BadRequestError } = require("./errors");
+
+// Registered chain families, checked in registration order when no chain is given
+const walletChains = new Map();
+
+/**
+ * Register a chain family that wallet addresses can belong to
+ * @param {string} chain - Chain family identifier, e.g. "evm"
+ * @param {object} rules - Address rules for the chain
+ * @param {function(string): boolean} rules.matches - Cheap check whether an address looks like it belongs to this chain
+ * @param {function(string): string} rules.canonicalize - Returns the canonical address or throws if it is invalid
+ */
+const registerWalletChain = (chain, { matches, canonicalize }) => {
+  if (typeof matches !== "function" || typeof canonicalize !== "function") {
+    throw new Error(
+      `Wallet chain '${chain}' must define matches and canonicalize`
+    );
+  }
+
+  walletChains.set(chain, { matches, canonicalize });
+};
+
+/**
+ * List the registered chain families
+ * @returns {string[]} Chain family identifiers
+ */
+const getWalletChains = () => Array.from(walletChains.keys());
+
+/**
+ * Parse a wallet address into its chain family and canonical form
+ * @param {string} address - The wallet address as provided by the client
+ * @param {string} chain - Optional chain family hint; detected from the address when omitted
+ * @returns {{chain: string, canonicalAddress: string}} The wallet identity
+ */
+const parseWalletAddress = (address, chain = null) => {
+  if (typeof address !== "string" || !address.trim()) {
+    throw new BadRequestError(
+      "Invalid wallet address",
+      "INVALID_WALLET_ADDRESS"
+    );
+  }
+
+  const trimmed = address.trim();
+  const candidates = chain ? [chain] : getWalletChains();
+
+  for (const candidate of candidates) {
+    const rules = walletChains.get(candidate);
+    if (!rules) {
+      throw new BadRequestError(
+        "Unsupported wallet chain",
+        "UNSUPPORTED_CHAIN"
+      );
+    }
+
+    if (!rules.matches(trimmed)) continue;
+
+    try {
+      return {
+        chain: candidate,
+        canonicalAddress: rules.canonicalize(trimmed),
+      };
+    } catch (error) {
+      throw new BadRequestError(
+        "Invalid wallet address",
+        "INVALID_WALLET_ADDRESS"
+      );
+    }
+  }
+
+  throw new BadRequestError("Invalid wallet address", "INVALID_WALLET_ADDRESS");
+};
+
+/**
+ * Canonicalize a wallet address, detecting its chain family
+ * @param {string} address - The wallet address
+ * @returns {string} The canonical address
+ */
+const canonicalizeWalletAddress = (address) =>
+  parseWalletAddress(address).canonicalAddress;
+
+// EVM addresses are case-insensitive hex; the canonical form is the EIP-55 checksum.
+// Mixed-case input must carry a valid checksum, so typos are rejected.
+registerWalletChain("evm", {
+  matches: (address) => /^0x[0-9a-fA-F]{40}$/.test(address),
+  canonicalize: (address) => ethers.getAddress(address),
+});
+
+// Solana addresses are case-sensitive base58 ed25519 public keys (32 bytes)
+registerWalletChain("solana", {
+  matches: (address) => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address),
+  canonicalize: (address) => {
+    if (!isSolanaAddress(address)) {
+      throw new Error("Invalid Solana address");
+    }
+    return address;
+  },
+});
+
+module.exports = {
+  registerWalletChain,
+  getWalletChains,
+  parseWalletAddress,
+  canonicalizeWalletAddress,
+};
@@ -0,0 +1,355 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const authConfig = require("../config/auth.config");
+const { BadRequestError, NotFoundError } = require("./errors");
+const { getWebhookDeliveryStore } = require("../webhooks");
+
+const WEBHOOK_EVENTS = {
+  USER_CREATED: "user.created",
+  WALLET_LINKED: "wallet.linked",
+  USERNAME_CHANGED: "username.changed",
+  USER_DELETED: "user.deleted",
+};
+
+// Deliveries sent per dispatch run
+const DISPATCH_BATCH_SIZE = 50;
+
+// Retry backoff: 30s after the first failure, doubling up to 6 hours
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Attempts kept in a delivery's attempt log
+const ATTEMPT_LOG_SIZE = 10;
+
+// Longest receiver error kept on an attempt
+const MAX_ERROR_LENGTH = 500;
+
+// Default tolerance for signature timestamps, against replayed requests
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over "<t>.<body>" with
+ * their subscription secret and compare it to v1.
+ * @param {string} secret - The subscription secret
+ * @param {string} body - The raw JSON body
+ * @param {number} timestamp - Unix time of the attempt in seconds
+ * @returns {string} The X-Webhook-Signature value, "t=<timestamp>,v1=<hex>"
+ */
+const signWebhookPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verify an X-Webhook-Signature header, as a receiver would
+ * @param {string} secret - The subscription secret
+ * @param {string} header - The X-Webhook-Signature value
+ * @param {string} body - The raw JSON body
+ * @param {number} toleranceSeconds - Maximum age of the signature
+ * @returns {boolean} True if the signature is valid and recent
+ */
+const verifyWebhookSignature = (
+  secret,
+  header,
+  body,
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (
+    !Number.isInteger(timestamp) ||
+    !parts.v1 ||
+    Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(secret, body, timestamp).split("v1=")[1]
+  );
+  const received = Buffer.from(parts.v1);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Queue an event for every subscription that listens to its type. Callers
+ * emit after their write committed, so receivers never hear about changes
+ * that were rolled back. Emitting never fails the caller: errors are logged
+ * and swallowed.
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {object} data - The event payload
+ * @returns {Promise<void>}
+ */
+const emitWebhookEvent = async (type, data) => {
+  const subscriptions = authConfig.webhooks.subscriptions.filter(
+    ({ events }) => events.includes("*") || events.includes(type)
+  );
+  if (!subscriptions.length) return;
+
+  const now = new Date();
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+    type,
+    createdAt: now.toISOString(),
+    // Drop undefined fields and turn dates into strings, as in the body
+    data: JSON.parse(JSON.stringify(data)),
+  };
+
+  try {
+    const store = getWebhookDeliveryStore();
+    await Promise.all(
+      subscriptions.map((subscription) =>
+        store.add({
+          event,
+          subscriptionId: subscription.id,
+          url: subscription.url,
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: now,
+          leaseUntil: null,
+          lastAttemptAt: null,
+          lastStatusCode: null,
+          lastError: null,
+          attemptLog: [],
+          createdAt: now,
+          deliveredAt: null,
+        })
+      )
+    );
+  } catch (error) {
+    logger.error(`Error queueing ${type} webhook event ${event.id}:`, error);
+  }
+};
+
+/**
+ * Get the delay before the next attempt of a failed delivery
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} The delay in milliseconds
+ */
+const retryDelayMs = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * POST a delivery to its subscription
+ * @param {object} delivery - The delivery
+ * @param {object} subscription - The subscription
+ * @returns {Promise<{statusCode: number|null, error: string|null}>} The outcome; error is null on a 2xx response
+ */
+const sendDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.event);
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event.type,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Signature": signWebhookPayload(
+          subscription.secret,
+          body,
+          Math.floor(Date.now() / 1000)
+        ),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(authConfig.webhooks.timeoutMs),
+    });
+    // The body is not used, but must be consumed to free the connection
+    await response.arrayBuffer().catch(() => {});
+
+    return response.ok
+      ? { statusCode: response.status, error: null }
+      : { statusCode: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return {
+      statusCode: null,
+      error: String(error.message).slice(0, MAX_ERROR_LENGTH),
+    };
+  }
+};
+
+/**
+ * Send one claimed delivery and record the attempt: delivered on a 2xx
+ * response, otherwise retried with backoff until `webhooks.maxAttempts`
+ * @param {object} delivery - The claimed delivery
+ * @returns {Promise<string>} The new status
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = authConfig.webhooks.subscriptions.find(
+    ({ id }) => id === delivery.subscriptionId
+  );
+  const now = new Date();
+  const outcome = subscription
+    ? await sendDelivery(delivery, subscription)
+    : { statusCode: null, error: "Subscription no longer configured" };
+
+  const attempts = delivery.attempts + 1;
+  let status = "delivered";
+  if (outcome.error) {
+    status =
+      subscription && attempts < authConfig.webhooks.maxAttempts
+        ? "pending"
+        : "failed";
+  }
+
+  await getWebhookDeliveryStore().update(delivery.id, {
+    status,
+    attempts,
+    leaseUntil: null,
+    lastAttemptAt: now,
+    lastStatusCode: outcome.statusCode,
+    lastError: outcome.error,
+    attemptLog: [
+      ...(delivery.attemptLog || []),
+      { at: now, statusCode: outcome.statusCode, error: outcome.error },
+    ].slice(-ATTEMPT_LOG_SIZE),
+    ...(status === "pending" && {
+      nextAttemptAt: new Date(now.getTime() + retryDelayMs(attempts)),
+    }),
+    ...(status === "delivered" && { deliveredAt: new Date() }),
+  });
+
+  if (status === "failed") {
+    logger.warn(
+      `Webhook delivery ${delivery.id} to ${delivery.subscriptionId} failed after ${attempts} attempt(s): ${outcome.error}`
+    );
+  }
+  return status;
+};
+
+/**
+ * Send every due delivery, in batches of DISPATCH_BATCH_SIZE. Deliveries are
+ * leased while they are sent, so several dispatchers can run at once.
+ * @returns {Promise<{delivered: number, retrying: number, failed: number}>} Counts by outcome
+ */
+const dispatchWebhooks = async () => {
+  const store = getWebhookDeliveryStore();
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+
+  try {
+    for (;;) {
+      const now = new Date();
+      const batch = await store.claimDue(
+        now,
+        DISPATCH_BATCH_SIZE,
+        new Date(now.getTime() + authConfig.webhooks.timeoutMs + 60 * 1000)
+      );
+
+      const statuses = await Promise.all(batch.map(attemptDelivery));
+      statuses.forEach((status) => {
+        counts[status === "pending" ? "retrying" : status] += 1;
+      });
+      if (batch.length < DISPATCH_BATCH_SIZE) break;
+    }
+  } catch (error) {
+    logger.error("Webhook dispatch stopped:", error);
+    throw error;
+  }
+
+  return counts;
+};
+
+/**
+ * List webhook deliveries, newest first
+ * @param {object} options - List options
+ * @param {string} options.status - Only deliveries with this status
+ * @param {number} options.limit - Maximum number of deliveries
+ * @returns {Promise<object[]>} The deliveries
+ */
+const listWebhookDeliveries = async ({ status = null, limit = 50 } = {}) => {
+  try {
+    return await getWebhookDeliveryStore().list({ status, limit });
+  } catch (error) {
+    logger.error("Error listing webhook deliveries:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a webhook delivery
+ * @param {string} id - The delivery ID
+ * @returns {Promise<object>} The delivery
+ */
+const getWebhookDelivery = async (id) => {
+  const delivery = await getWebhookDeliveryStore().get(id);
+  if (!delivery) {
+    throw new NotFoundError("Webhook delivery not found", "DELIVERY_NOT_FOUND");
+  }
+  return delivery;
+};
+
+/**
+ * Queue a delivery to be sent again with a fresh set of attempts, e.g. after
+ * the receiver was fixed. It keeps its ID, so receivers that deduplicate on
+ * X-Webhook-Delivery can tell a replay from a new event.
+ * @param {string} id - The delivery ID
+ * @returns {Promise<object>} The updated delivery
+ */
+const replayWebhookDelivery = async (id) => {
+  const delivery = await getWebhookDelivery(id);
+  if (delivery.status === "pending") {
+    throw new BadRequestError("Delivery is still pending", "DELIVERY_PENDING");
+  }
+
+  await getWebhookDeliveryStore().update(id, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    leaseUntil: null,
+    replayedAt: new Date(),
+  });
+  return getWebhookDelivery(id);
+};
+
+/**
+ * Start sending due webhook deliveries in this process every
+ * `webhooks.dispatchIntervalSeconds`. Runs never overlap.
+ * @returns {NodeJS.Timeout|null} The interval, or null when no webhooks are configured or the dispatcher is disabled
+ */
+const startWebhookDispatcher = () => {
+  const { subscriptions, dispatchIntervalSeconds } = authConfig.webhooks;
+  if (!subscriptions.length || dispatchIntervalSeconds <= 0) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchWebhooks();
+    } catch (error) {
+      // Already logged; unsent deliveries stay pending for the next run
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info(
+    `Webhook dispatch scheduled every ${dispatchIntervalSeconds} second(s)`
+  );
+
+  // Do not keep the process alive just for the dispatcher
+  return setInterval(run, dispatchIntervalSeconds * 1000).unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  emitWebhookEvent,
+  retryDelayMs,
+  dispatchWebhooks,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+  startWebhookDispatcher,
+};
@@ -0,0 +1,77 @@
+const admin = require("firebase-admin");
+const { fromFirestore } = require("../utils/firestore.utils");
+
+const WEBHOOK_DELIVERIES_COLLECTION = "webhook_deliveries";
+
+const toDelivery = (doc) =>
+  doc.exists ? { ...fromFirestore(doc.data()), id: doc.id } : null;
+
+/**
+ * WebhookDeliveryStore backed by the Firestore `webhook_deliveries`
+ * collection. Claiming due deliveries needs a composite index on `status`
+ * and `nextAttemptAt`, and listing by status one on `status` and `createdAt`
+ * (descending); Firestore prints a link to create each on the first query.
+ * See webhook-delivery.store.js for the interface.
+ */
+class FirestoreWebhookDeliveryStore {
+  constructor(db = admin.firestore()) {
+    this.db = db;
+    this.deliveries = db.collection(WEBHOOK_DELIVERIES_COLLECTION);
+  }
+
+  async add(delivery) {
+    const ref = await this.deliveries.add(delivery);
+    return ref.id;
+  }
+
+  async get(id) {
+    return toDelivery(await this.deliveries.doc(id).get());
+  }
+
+  async update(id, fields) {
+    await this.deliveries.doc(id).update(fields);
+  }
+
+  async claimDue(now, limit, leaseUntil) {
+    const snapshot = await this.deliveries
+      .where("status", "==", "pending")
+      .where("nextAttemptAt", "<=", now)
+      .orderBy("nextAttemptAt")
+      .limit(limit)
+      .get();
+
+    const claimed = [];
+    for (const doc of snapshot.docs) {
+      // Another dispatcher may have leased or sent it since the query
+      const delivery = await this.db.runTransaction(async (transaction) => {
+        const current = toDelivery(await transaction.get(doc.ref));
+        if (
+          !current ||
+          current.status !== "pending" ||
+          (current.leaseUntil && current.leaseUntil > now)
+        ) {
+          return null;
+        }
+        transaction.update(doc.ref, { leaseUntil });
+        return { ...current, leaseUntil };
+      });
+      if (delivery) claimed.push(delivery);
+    }
+    return claimed;
+  }
+
+  async list({ status = null, limit }) {
+    let query = this.deliveries;
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+
+    const snapshot = await query
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(toDelivery);
+  }
+}
+
+module.exports = FirestoreWebhookDeliveryStore;
@@ -0,0 +1,33 @@
+const authConfig = require("../config/auth.config");
+
+let webhookDeliveryStore = null;
+
+/**
+ * Get the webhook delivery store for the configured backend (AUTH_BACKEND)
+ * @returns {import("./webhook-delivery.store").WebhookDeliveryStore} The store
+ */
+const getWebhookDeliveryStore = () => {
+  if (!webhookDeliveryStore) {
+    if (authConfig.backend === "memory") {
+      const MemoryWebhookDeliveryStore = require("./memory.webhook-delivery.store");
+      webhookDeliveryStore = new MemoryWebhookDeliveryStore();
+    } else {
+      const FirestoreWebhookDeliveryStore = require("./firestore.webhook-delivery.store");
+      webhookDeliveryStore = new FirestoreWebhookDeliveryStore();
+    }
+  }
+  return webhookDeliveryStore;
+};
+
+/**
+ * Replace the webhook delivery store, e.g. with a fresh in-memory one in tests
+ * @param {import("./webhook-delivery.store").WebhookDeliveryStore} store - The store to use
+ */
+const setWebhookDeliveryStore = (store) => {
+  webhookDeliveryStore = store;
+};
+
+module.exports = {
+  getWebhookDeliveryStore,
+  setWebhookDeliveryStore,
+};
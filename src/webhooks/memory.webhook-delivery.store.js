@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+
+/**
+ * WebhookDeliveryStore kept entirely in process memory. See
+ * webhook-delivery.store.js for the interface.
+ */
+class MemoryWebhookDeliveryStore {
+  constructor() {
+    this.deliveries = new Map();
+  }
+
+  /**
+   * Drop every delivery, e.g. between tests
+   */
+  clear() {
+    this.deliveries.clear();
+  }
+
+  async add(delivery) {
+    const id = crypto.randomBytes(10).toString("hex");
+    this.deliveries.set(id, structuredClone(delivery));
+    return id;
+  }
+
+  async get(id) {
+    return this.deliveries.has(id)
+      ? { ...structuredClone(this.deliveries.get(id)), id }
+      : null;
+  }
+
+  async update(id, fields) {
+    if (this.deliveries.has(id)) {
+      Object.assign(this.deliveries.get(id), structuredClone(fields));
+    }
+  }
+
+  async claimDue(now, limit, leaseUntil) {
+    const due = Array.from(this.deliveries.entries())
+      .filter(
+        ([, delivery]) =>
+          delivery.status === "pending" &&
+          delivery.nextAttemptAt <= now &&
+          !(delivery.leaseUntil && delivery.leaseUntil > now)
+      )
+      .sort(([, a], [, b]) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+
+    due.forEach(([, delivery]) => {
+      delivery.leaseUntil = new Date(leaseUntil);
+    });
+    return due.map(([id, delivery]) => ({ ...structuredClone(delivery), id }));
+  }
+
+  async list({ status = null, limit }) {
+    return Array.from(this.deliveries.entries())
+      .filter(([, delivery]) => !status || delivery.status === status)
+      .map(([id, delivery]) => ({ ...structuredClone(delivery), id }))
+      .reverse()
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+}
+
+module.exports = MemoryWebhookDeliveryStore;
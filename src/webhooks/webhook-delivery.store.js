@@ -0,0 +1,32 @@
+/**
+ * Webhook delivery store interface: the outbox every webhook event is queued
+ * in, one delivery per subscription, and the delivery log admins replay from.
+ *
+ * Implementations:
+ * - FirestoreWebhookDeliveryStore (firestore.webhook-delivery.store.js)
+ *   writes to the `webhook_deliveries` collection
+ * - MemoryWebhookDeliveryStore (memory.webhook-delivery.store.js) keeps
+ *   deliveries in process, for tests and local development
+ *
+ * @typedef {object} WebhookDelivery
+ * @property {string} id - The delivery ID, sent as X-Webhook-Delivery
+ * @property {string} subscriptionId - The subscription it is sent to
+ * @property {string} url - The subscription URL when the event was queued
+ * @property {{id: string, type: string, createdAt: string, data: object}} event - The JSON body
+ * @property {string} status - "pending", "delivered" or "failed"
+ * @property {number} attempts - Attempts made so far
+ * @property {Date} nextAttemptAt - When a pending delivery is due
+ * @property {Date|null} leaseUntil - A dispatcher is sending it until then
+ * @property {Array<{at: Date, statusCode: number|null, error: string|null}>} attemptLog - The most recent attempts
+ * @property {Date} createdAt - When the event was queued
+ * @property {Date|null} deliveredAt - When a receiver accepted it
+ *
+ * @typedef {object} WebhookDeliveryStore
+ * @property {function(object): Promise<string>} add - Queue a delivery, returns its ID
+ * @property {function(string): Promise<WebhookDelivery|null>} get - Read a delivery
+ * @property {function(string, object): Promise<void>} update - Update fields of a delivery
+ * @property {function(Date, number, Date): Promise<WebhookDelivery[]>} claimDue - Lease up to the given number of pending deliveries due at the date until the lease end, so concurrent dispatchers skip them
+ * @property {function({status: string=, limit: number}): Promise<WebhookDelivery[]>} list - List deliveries, newest first, optionally by status
+ */
+
+module.exports = {};